@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// AI scores shared across users, keyed by posting text, provider, model, niche and prompt version
+const AiScoreCache = sequelize.define('AiScoreCache', {
+  cacheKey: {
+    type: DataTypes.STRING(64),
+    primaryKey: true // sha256, see aiScorer.scoreCacheKey
+  },
+  promptVersion: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  model: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  result: {
+    type: DataTypes.JSONB,
+    allowNull: false // { score, reason, confidence, budgetSignal, urgencySignal }
+  },
+  hits: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'ai_score_cache',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['expires_at'] }
+  ]
+});
+
+module.exports = AiScoreCache;
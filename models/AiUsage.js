@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One row per LLM call made with a user's key, for spend tracking and caps
+const AiUsage = sequelize.define('AiUsage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  model: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  purpose: {
+    type: DataTypes.STRING(50),
+    allowNull: false // scoring, classification, test, repair, cache
+  },
+  leadCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  inputTokens: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  outputTokens: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // True when the provider didn't report usage and tokens were estimated from text length
+  tokensEstimated: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  costUsd: {
+    type: DataTypes.DECIMAL(12, 6),
+    defaultValue: 0
+  },
+  // purpose 'cache' rows: leads whose score came from the cache, and those that needed a call
+  cacheHits: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  cacheMisses: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  success: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  // Whether a scoring reply passed schema validation; null when it wasn't checked
+  outputValid: {
+    type: DataTypes.BOOLEAN,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'ai_usage',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['user_id', 'created_at'] },
+    { fields: ['created_at'] }
+  ]
+});
+
+module.exports = AiUsage;
@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Cached company lookup, shared by every lead at the same domain (see services/enrichment)
+const CompanyEnrichment = sequelize.define('CompanyEnrichment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  lookupKey: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true // The domain, or "name:<slug>" when no website is known
+  },
+  domain: {
+    type: DataTypes.STRING(255),
+    allowNull: true // Null when no website could be found
+  },
+  fields: {
+    type: DataTypes.JSONB,
+    defaultValue: {} // { field: { value, source, guessed, at } }
+  },
+  fetchedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'company_enrichments',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['expires_at'] }
+  ]
+});
+
+module.exports = CompanyEnrichment;
@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Job = sequelize.define('Job', {
+  id: {
+    type: DataTypes.BIGINT,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  type: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'running', 'completed', 'dead'),
+    defaultValue: 'pending'
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 5
+  },
+  runAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  lockedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lockedBy: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'jobs',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['status', 'run_at'] },
+    { fields: ['type'] }
+  ]
+});
+
+module.exports = Job;
@@ -15,8 +15,16 @@ const Lead = sequelize.define('Lead', {
       key: 'id'
     }
   },
+  rawPostingId: {
+    type: DataTypes.UUID,
+    allowNull: true, // Null for manual/legacy leads
+    references: {
+      model: 'raw_postings',
+      key: 'id'
+    }
+  },
   source: {
-    type: DataTypes.ENUM('hacker_news', 'reddit', 'upwork', 'linkedin', 'twitter', 'manual'),
+    type: DataTypes.ENUM('hacker_news', 'reddit', 'upwork', 'linkedin', 'twitter', 'rss', 'web', 'manual'),
     allowNull: false
   },
   sourceUrl: {
@@ -72,6 +80,10 @@ const Lead = sequelize.define('Lead', {
     allowNull: false,
     defaultValue: 'warm'
   },
+  scoreValue: {
+    type: DataTypes.INTEGER,
+    allowNull: true // 0-100 within the score's range; aiAnalysis.scoreBreakdown says where it came from
+  },
   scoreReason: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -111,6 +123,34 @@ const Lead = sequelize.define('Lead', {
   rawData: {
     type: DataTypes.JSONB,
     allowNull: true
+  },
+  clusterId: {
+    type: DataTypes.UUID,
+    allowNull: true // Shared by leads that look like the same buyer, see services/leadDedup
+  },
+  mergedIntoId: {
+    type: DataTypes.UUID,
+    allowNull: true, // Set on duplicates merged into another lead; hidden from listings
+    references: {
+      model: 'leads',
+      key: 'id'
+    }
+  },
+  mergedSources: {
+    type: DataTypes.JSONB,
+    defaultValue: [] // Source URLs and signals of the duplicates merged into this lead
+  },
+  mergeHistory: {
+    type: DataTypes.JSONB,
+    defaultValue: [] // Stack of merges with the fields they overwrote, for undo
+  },
+  types: {
+    type: DataTypes.JSONB,
+    defaultValue: [] // [{ type: 'hiring', confidence: 0.8 }], see services/leadClassifier
+  },
+  enrichment: {
+    type: DataTypes.JSONB,
+    allowNull: true // { enrichedAt, cached, fields: { field: { value, source, guessed, at } } }
   }
 }, {
   tableName: 'leads',
@@ -118,9 +158,14 @@ const Lead = sequelize.define('Lead', {
   underscored: true,
   indexes: [
     { fields: ['user_id'] },
+    { unique: true, fields: ['user_id', 'raw_posting_id'] },
     { fields: ['score'] },
+    { fields: ['user_id', 'score_value'] },
     { fields: ['status'] },
-    { fields: ['created_at'] }
+    { fields: ['created_at'] },
+    { fields: ['cluster_id'] },
+    { fields: ['merged_into_id'] },
+    { fields: ['types'], using: 'gin', operator: 'jsonb_path_ops' }
   ]
 });
 
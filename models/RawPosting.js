@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Canonical copy of a scraped posting, shared by every user it is assigned to
+const RawPosting = sequelize.define('RawPosting', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true // Derived from sourceKey + dedupeKey, see services/rawPostings
+  },
+  sourceKey: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  dedupeKey: {
+    type: DataTypes.STRING(500),
+    allowNull: false // External id on the source, or the URL when there is none
+  },
+  externalId: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  url: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  title: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  text: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  author: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  postedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Read from the source by the scraper, not extracted from the text
+  companyName: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  geo: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  budgetHint: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  meta: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  raw: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  firstSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'raw_postings',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['source_key', 'dedupe_key'] },
+    { fields: ['posted_at'] },
+    { fields: ['first_seen_at'] }
+  ]
+});
+
+module.exports = RawPosting;
@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// A user's outcome-trained lead scoring model, see services/outcomeModel.js
+const ScoringModel = sequelize.define('ScoringModel', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  algorithm: {
+    type: DataTypes.STRING(50),
+    defaultValue: 'logistic-regression'
+  },
+  // active: blended into new scores; weak: trained but not predictive enough to use
+  status: {
+    type: DataTypes.ENUM('insufficient_data', 'weak', 'active'),
+    defaultValue: 'insufficient_data'
+  },
+  parameters: {
+    type: DataTypes.JSONB,
+    allowNull: true // { bias, weights: { feature: weight } }
+  },
+  labels: {
+    type: DataTypes.JSONB,
+    defaultValue: {} // { total, positive, negative }
+  },
+  metrics: {
+    type: DataTypes.JSONB,
+    allowNull: true // Cross-validated { accuracy, precision, recall, auc, logLoss, baseRate }
+  },
+  trainedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'scoring_models',
+  timestamps: true,
+  underscored: true
+});
+
+module.exports = ScoringModel;
@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One row per source per worker run
+const ScrapeRun = sequelize.define('ScrapeRun', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  runId: {
+    type: DataTypes.UUID,
+    allowNull: false // Shared by every source scraped in the same worker run
+  },
+  sourceKey: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('running', 'completed', 'failed'),
+    defaultValue: 'running'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  finishedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  itemsFetched: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  itemsMatched: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  leadsCreated: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  duplicatesSkipped: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  quotaBlocked: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  errors: {
+    type: DataTypes.JSONB,
+    defaultValue: [] // [{ message, stage, at }]
+  },
+  // Users this run served, and their own counters keyed by user id
+  userIds: {
+    type: DataTypes.ARRAY(DataTypes.UUID),
+    defaultValue: []
+  },
+  userStats: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  // Outbound requests per host: { requests, statuses, retries, errors, robotsBlocked, cacheHits, bytes, avgLatencyMs }
+  httpStats: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  }
+}, {
+  tableName: 'scrape_runs',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['run_id'] },
+    { fields: ['source_key', 'started_at'] },
+    { fields: ['user_ids'], using: 'gin' }
+  ]
+});
+
+module.exports = ScrapeRun;
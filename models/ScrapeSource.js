@@ -35,11 +35,26 @@ const ScrapeSource = sequelize.define('ScrapeSource', {
   config: {
     type: DataTypes.JSONB,
     defaultValue: {}
+  },
+  ownerId: {
+    type: DataTypes.UUID,
+    allowNull: true, // Set on personal sources (user feeds); null for shared ones
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  cursor: {
+    type: DataTypes.JSONB,
+    defaultValue: {} // What the adapter returned last run (e.g. a feed's ETag/Last-Modified)
   }
 }, {
   tableName: 'scrape_sources',
   timestamps: true,
-  underscored: true
+  underscored: true,
+  indexes: [
+    { fields: ['owner_id'] }
+  ]
 });
 
 module.exports = ScrapeSource;
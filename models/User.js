@@ -22,6 +22,10 @@ const User = sequelize.define('User', {
   firstName: DataTypes.STRING(100),
   lastName: DataTypes.STRING(100),
   companyName: DataTypes.STRING(200),
+  role: {
+    type: DataTypes.STRING(20),
+    defaultValue: 'user' // 'admin' unlocks /api/admin/*
+  },
   
   // AI Provider Settings (User brings their own)
   aiProvider: {
@@ -40,6 +44,15 @@ const User = sequelize.define('User', {
     type: DataTypes.STRING(500), // For custom/OpenAI-compatible endpoints
     allowNull: true
   },
+  aiMonthlyBudget: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true // USD per calendar month across scoring and classification; null = no cap
+  },
+  aiCostPer1K: {
+    type: DataTypes.DECIMAL(10, 6),
+    field: 'ai_cost_per_1k',
+    allowNull: true // USD per 1K tokens for the custom provider, so its spend can be budgeted
+  },
   
   // API Access for n8n/Make.com
   apiKey: {
@@ -105,6 +118,20 @@ const User = sequelize.define('User', {
     defaultValue: ['marketing agency', 'growth']
   },
   
+  // Niche (see services/niches); scoring uses its buyer intent and weights
+  nicheId: {
+    type: DataTypes.STRING(100),
+    allowNull: true // Template id, or the id of customNiche
+  },
+  nicheConfig: {
+    type: DataTypes.JSONB,
+    allowNull: true // Snapshot of the applied template
+  },
+  customNiche: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  
   // OAuth fields
   googleId: {
     type: DataTypes.STRING(255),
@@ -197,6 +224,18 @@ const User = sequelize.define('User', {
     type: DataTypes.ARRAY(DataTypes.STRING),
     defaultValue: ['hiring', 'budget_mentioned']
   },
+  leadTypeClassifier: {
+    type: DataTypes.ENUM('rule', 'ai'),
+    defaultValue: 'rule' // 'ai' classifies lead types with the user's own AI provider
+  },
+  enrichScores: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: ['hot', 'warm'] // Lead scores that get enriched after scoring
+  },
+  enrichmentsThisMonth: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0 // Fresh company lookups; cache hits are free
+  },
   
   isActive: {
     type: DataTypes.BOOLEAN,
@@ -38,11 +38,19 @@ const UserScraperConfig = sequelize.define('UserScraperConfig', {
   lastScrapedAt: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  nextRunAt: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'user_scraper_configs',
   timestamps: true,
-  underscored: true
+  underscored: true,
+  indexes: [
+    { unique: true, fields: ['user_id', 'source_key'] },
+    { fields: ['next_run_at'] }
+  ]
 });
 
 module.exports = UserScraperConfig;
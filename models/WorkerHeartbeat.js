@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One row per worker process, refreshed while it runs
+const WorkerHeartbeat = sequelize.define('WorkerHeartbeat', {
+  workerId: {
+    type: DataTypes.STRING(100),
+    primaryKey: true // hostname:pid, as in jobs.locked_by
+  },
+  hostname: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  pid: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('running', 'stopping', 'stopped'),
+    defaultValue: 'running'
+  },
+  // Holds the scheduler lock, so its cron enqueues the scheduled jobs
+  isLeader: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  currentJob: {
+    type: DataTypes.JSONB,
+    allowNull: true // { id, type, startedAt }
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'worker_heartbeats',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    { fields: ['last_seen_at'] }
+  ]
+});
+
+module.exports = WorkerHeartbeat;
@@ -4,6 +4,14 @@ const Lead = require('./Lead');
 const ScrapeSource = require('./ScrapeSource');
 const UserScraperConfig = require('./UserScraperConfig');
 const SubscriptionPlan = require('./SubscriptionPlan');
+const Job = require('./Job');
+const ScrapeRun = require('./ScrapeRun');
+const RawPosting = require('./RawPosting');
+const CompanyEnrichment = require('./CompanyEnrichment');
+const WorkerHeartbeat = require('./WorkerHeartbeat');
+const ScoringModel = require('./ScoringModel');
+const AiUsage = require('./AiUsage');
+const AiScoreCache = require('./AiScoreCache');
 
 // Define relationships
 User.hasMany(Lead, { foreignKey: 'userId', as: 'leads' });
@@ -12,6 +20,15 @@ Lead.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 User.hasMany(UserScraperConfig, { foreignKey: 'userId', as: 'scraperConfigs' });
 UserScraperConfig.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 
+RawPosting.hasMany(Lead, { foreignKey: 'rawPostingId', as: 'leads' });
+Lead.belongsTo(RawPosting, { foreignKey: 'rawPostingId', as: 'posting' });
+
+User.hasOne(ScoringModel, { foreignKey: 'userId', as: 'scoringModel' });
+ScoringModel.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+User.hasMany(AiUsage, { foreignKey: 'userId', as: 'aiUsage' });
+AiUsage.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
 ScrapeSource.hasMany(UserScraperConfig, { foreignKey: 'sourceKey', as: 'userConfigs' });
 UserScraperConfig.belongsTo(ScrapeSource, { foreignKey: 'sourceKey', as: 'source' });
 
@@ -21,7 +38,15 @@ const db = {
   Lead,
   ScrapeSource,
   UserScraperConfig,
-  SubscriptionPlan
+  SubscriptionPlan,
+  Job,
+  ScrapeRun,
+  RawPosting,
+  CompanyEnrichment,
+  WorkerHeartbeat,
+  ScoringModel,
+  AiUsage,
+  AiScoreCache
 };
 
 module.exports = db;
@@ -1,5 +1,7 @@
-const { User, Lead } = require('../models');
+const { User, Lead, ScrapeRun, ScrapeSource } = require('../models');
 const { Op } = require('sequelize');
+const { listWorkers: listWorkerHeartbeats } = require('../services/workerCoordination');
+const { getValidationStats } = require('../services/aiUsage');
 
 // List all users (admin only)
 const listUsers = async (req, res) => {
@@ -148,9 +150,127 @@ const updateUserPlan = async (req, res) => {
   }
 };
 
+// Get per-source scraper health (admin only)
+const getScraperHealth = async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 7, 90);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const { fn, col, literal } = ScrapeRun.sequelize;
+
+    const stats = await ScrapeRun.findAll({
+      where: { startedAt: { [Op.gte]: since } },
+      attributes: [
+        'sourceKey',
+        [fn('COUNT', col('id')), 'runs'],
+        [fn('SUM', literal(`CASE WHEN status = 'failed' THEN 1 ELSE 0 END`)), 'failedRuns'],
+        [fn('AVG', col('items_fetched')), 'avgItemsFetched'],
+        [fn('SUM', col('leads_created')), 'leadsCreated'],
+        [fn('MAX', col('started_at')), 'lastRunAt']
+      ],
+      group: ['source_key'],
+      raw: true
+    });
+
+    const sources = await ScrapeSource.findAll({ attributes: ['key', 'name', 'isActive'] });
+    const sourcesByKey = new Map(sources.map(s => [s.key, s]));
+
+    const health = await Promise.all(stats.map(async (row) => {
+      const runs = parseInt(row.runs);
+      const failedRuns = parseInt(row.failedRuns) || 0;
+
+      const lastFailure = failedRuns > 0 ? await ScrapeRun.findOne({
+        where: { sourceKey: row.sourceKey, status: 'failed', startedAt: { [Op.gte]: since } },
+        order: [['startedAt', 'DESC']],
+        attributes: ['startedAt', 'errors']
+      }) : null;
+
+      // Per-host request counts from the latest run show throttling and robots.txt blocks
+      const lastRun = await ScrapeRun.findOne({
+        where: { sourceKey: row.sourceKey },
+        order: [['startedAt', 'DESC']],
+        attributes: ['httpStats']
+      });
+
+      const source = sourcesByKey.get(row.sourceKey);
+
+      return {
+        sourceKey: row.sourceKey,
+        name: source ? source.name : row.sourceKey,
+        isActive: source ? source.isActive : null,
+        runs,
+        failedRuns,
+        errorRate: runs > 0 ? Math.round((failedRuns / runs) * 1000) / 10 : 0,
+        avgItemsFetched: Math.round(parseFloat(row.avgItemsFetched) || 0),
+        leadsCreated: parseInt(row.leadsCreated) || 0,
+        lastRunAt: row.lastRunAt,
+        lastHttpStats: lastRun ? lastRun.httpStats : {},
+        lastFailure: lastFailure ? {
+          at: lastFailure.startedAt,
+          errors: lastFailure.errors
+        } : null
+      };
+    }));
+
+    res.json({
+      success: true,
+      data: { days, sources: health }
+    });
+  } catch (error) {
+    console.error('Get scraper health error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// How often each AI provider's scoring replies failed validation (admin only)
+const getAiValidation = async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 7, 90);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    res.json({
+      success: true,
+      data: { days, providers: await getValidationStats(since) }
+    });
+  } catch (error) {
+    console.error('Get AI validation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Worker processes, their heartbeats and which one is the scheduler leader
+const listWorkers = async (req, res) => {
+  try {
+    const workers = await listWorkerHeartbeats();
+
+    res.json({
+      success: true,
+      data: {
+        workers,
+        alive: workers.filter(worker => worker.alive).length,
+        leader: (workers.find(worker => worker.alive && worker.isLeader) || {}).workerId || null
+      }
+    });
+  } catch (error) {
+    console.error('List workers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   listUsers,
   getStats,
   addLeadsToUser,
-  updateUserPlan
+  updateUserPlan,
+  getScraperHealth,
+  getAiValidation,
+  listWorkers
 };
@@ -1,5 +1,7 @@
 const { Op } = require('sequelize');
 const { Lead, User } = require('../models');
+const { parseTypeFilter } = require('../services/leadClassifier');
+const { getUsageSummary } = require('../services/aiUsage');
 
 // API key authentication middleware for public API
 const authenticateApiKey = async (req, res, next) => {
@@ -47,17 +49,26 @@ const getLeadsPublic = async (req, res) => {
       status, 
       score, 
       source, 
+      type, // lead type, or several comma-separated
       limit = 100, 
       offset = 0,
       since, // ISO date string
       format = 'json' // json or csv
     } = req.query;
 
-    const where = { userId: req.user.id };
+    // Duplicates merged into another lead are only reachable through it
+    const where = { userId: req.user.id, mergedIntoId: null };
 
     if (status) where.status = status;
     if (score) where.score = score;
     if (source) where.source = source;
+    if (type) {
+      const { types, error } = parseTypeFilter(type);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      where[Op.or] = types.map(t => ({ types: { [Op.contains]: [{ type: t }] } }));
+    }
     if (since) {
       where.createdAt = { [Op.gte]: new Date(since) };
     }
@@ -68,7 +79,7 @@ const getLeadsPublic = async (req, res) => {
       offset: parseInt(offset),
       order: [['createdAt', 'DESC']],
       attributes: {
-        exclude: ['rawData', 'userId']
+        exclude: ['rawData', 'userId', 'mergeHistory']
       }
     });
 
@@ -235,7 +246,8 @@ const getApiUsage = async (req, res) => {
         apiCallsThisMonth: req.user.apiCallsThisMonth,
         leadsCollectedThisMonth: req.user.leadsCollectedThisMonth,
         rateLimit: req.user.apiRateLimit,
-        plan: req.user.plan
+        plan: req.user.plan,
+        ai: await getUsageSummary(req.user)
       }
     });
   } catch (error) {
@@ -250,7 +262,7 @@ const convertToCsv = (leads) => {
   
   const headers = [
     'id', 'companyName', 'companyWebsite', 'contactName', 'contactEmail',
-    'contactLinkedIn', 'score', 'status', 'source', 'intent', 'createdAt'
+    'contactLinkedIn', 'score', 'scoreValue', 'status', 'source', 'intent', 'createdAt'
   ];
   
   const rows = leads.map(lead =>
@@ -260,7 +272,7 @@ const convertToCsv = (leads) => {
       if (typeof val === 'string' && (val.includes(',') || val.includes('"'))) {
         return `"${val.replace(/"/g, '""')}"`;
       }
-      return val || '';
+      return val ?? '';
     }).join(',')
   );
   
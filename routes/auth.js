@@ -4,6 +4,8 @@ const crypto = require('crypto');
 const axios = require('axios');
 const { validationResult } = require('express-validator');
 const { User } = require('../models');
+const { validateKeywords } = require('../services/keywordQuery');
+const { backfillChangedKeywords } = require('../services/backfill');
 
 // Generate JWT token
 const generateToken = (userId) => {
@@ -178,7 +180,19 @@ const updateProfile = async (req, res) => {
   try {
     const { firstName, lastName, companyName, keywords, sourcesConfig } = req.body;
 
+    if (keywords !== undefined) {
+      const keywordErrors = validateKeywords(keywords);
+      if (keywordErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid keyword query',
+          errors: keywordErrors
+        });
+      }
+    }
+
     const user = await User.findByPk(req.user.id);
+    const previousKeywords = user.keywords;
     
     if (firstName !== undefined) user.firstName = firstName;
     if (lastName !== undefined) user.lastName = lastName;
@@ -188,6 +202,14 @@ const updateProfile = async (req, res) => {
 
     await user.save();
 
+    // Matches for new keywords from the last month, instead of only new posts
+    let backfill = null;
+    try {
+      backfill = await backfillChangedKeywords(user, previousKeywords);
+    } catch (error) {
+      console.error('Failed to queue keyword backfill:', error.message);
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -200,7 +222,8 @@ const updateProfile = async (req, res) => {
           companyName: user.companyName,
           keywords: user.keywords,
           sourcesConfig: user.sourcesConfig
-        }
+        },
+        backfillJobId: backfill ? backfill.job.id : null
       }
     });
   } catch (error) {
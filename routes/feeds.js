@@ -0,0 +1,206 @@
+const { FEED_KEY_PREFIX, validateMapping, previewFeed } = require('../scrapers/rssFeed');
+const {
+  getSourceLimit,
+  validateSourceSettings,
+  validateUrl,
+  listOwnSources,
+  findOwnSource,
+  countOwnSources,
+  createOwnSource,
+  updateOwnSource,
+  deleteOwnSource
+} = require('../services/personalSources');
+
+const CATEGORY = 'feed';
+
+// Validate a create/update body; url is required on create
+const validateFeedBody = (body, { creating }) => {
+  const { errors, filters } = validateSourceSettings(body, { creating });
+  if (creating || body.url !== undefined) errors.push(...validateUrl(body.url));
+  errors.push(...validateMapping(body.mapping));
+  return { errors, filters };
+};
+
+// Fetch the feed once so typos surface now rather than as failed runs
+const checkFeed = async (url, mapping) => {
+  let postings;
+  try {
+    postings = await previewFeed(url, mapping);
+  } catch (error) {
+    return { error: `Could not read feed: ${error.message}` };
+  }
+  return {
+    sample: postings.slice(0, 3).map(posting => ({
+      title: posting.title,
+      url: posting.url,
+      author: posting.author,
+      postedAt: posting.postedAt
+    }))
+  };
+};
+
+// List the user's feeds
+const getFeeds = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        feeds: await listOwnSources(req.user.id, CATEGORY),
+        limit: getSourceLimit(req.user)
+      }
+    });
+  } catch (error) {
+    console.error('Get feeds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch feeds'
+    });
+  }
+};
+
+// Register a feed as a personal source
+const createFeed = async (req, res) => {
+  try {
+    const { name, url, mapping = {}, keywords = [] } = req.body;
+
+    const { errors, filters } = validateFeedBody(req.body, { creating: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid feed',
+        errors
+      });
+    }
+
+    const limit = getSourceLimit(req.user);
+    if (await countOwnSources(req.user.id, CATEGORY) >= limit) {
+      return res.status(403).json({
+        success: false,
+        message: `Your plan allows ${limit} feed${limit === 1 ? '' : 's'}. Upgrade for more.`
+      });
+    }
+
+    const check = await checkFeed(url, mapping);
+    if (check.error) {
+      return res.status(400).json({
+        success: false,
+        message: check.error
+      });
+    }
+
+    const feed = await createOwnSource(req.user, {
+      keyPrefix: FEED_KEY_PREFIX,
+      category: CATEGORY,
+      icon: 'fas fa-rss',
+      name,
+      description: url,
+      config: { url, mapping },
+      keywords,
+      filters
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Feed added',
+      data: {
+        feed,
+        sample: check.sample
+      }
+    });
+  } catch (error) {
+    console.error('Create feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add feed'
+    });
+  }
+};
+
+// Update a feed's URL, mapping, keywords or filters
+const updateFeed = async (req, res) => {
+  try {
+    const source = await findOwnSource(req.user.id, req.params.key, CATEGORY);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feed not found'
+      });
+    }
+
+    const { name, url, mapping, keywords, isActive } = req.body;
+    const { errors, filters } = validateFeedBody(req.body, { creating: false });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid feed',
+        errors
+      });
+    }
+
+    if (url !== undefined || mapping !== undefined) {
+      const nextConfig = {
+        url: url !== undefined ? url : source.config.url,
+        mapping: mapping !== undefined ? mapping : (source.config.mapping || {})
+      };
+      const check = await checkFeed(nextConfig.url, nextConfig.mapping);
+      if (check.error) {
+        return res.status(400).json({
+          success: false,
+          message: check.error
+        });
+      }
+
+      source.config = nextConfig;
+      source.description = nextConfig.url;
+      // A new URL means the old validators no longer apply
+      source.cursor = {};
+    }
+
+    const feed = await updateOwnSource(req.user, source, { name, isActive, keywords, filters });
+
+    res.json({
+      success: true,
+      message: 'Feed updated',
+      data: { feed }
+    });
+  } catch (error) {
+    console.error('Update feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update feed'
+    });
+  }
+};
+
+// Remove a feed; leads it produced are kept
+const deleteFeed = async (req, res) => {
+  try {
+    const source = await findOwnSource(req.user.id, req.params.key, CATEGORY);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feed not found'
+      });
+    }
+
+    await deleteOwnSource(source);
+
+    res.json({
+      success: true,
+      message: 'Feed removed'
+    });
+  } catch (error) {
+    console.error('Delete feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove feed'
+    });
+  }
+};
+
+module.exports = {
+  getFeeds,
+  createFeed,
+  updateFeed,
+  deleteFeed
+};
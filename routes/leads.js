@@ -1,5 +1,23 @@
 const { Op } = require('sequelize');
-const { Lead } = require('../models');
+const { validationResult } = require('express-validator');
+const { Lead, RawPosting } = require('../models');
+const leadDedup = require('../services/leadDedup');
+const { validateKeywords, compileKeywords, requiredSubstrings } = require('../services/keywordQuery');
+const { parseTypeFilter } = require('../services/leadClassifier');
+
+const SEARCH_FIELDS = ['companyName', 'contactName', 'intent', 'description'];
+
+// Newest leads a search looks through after the SQL pre-filter
+const SEARCH_MAX_CANDIDATES = 2000;
+
+// requiredSubstrings() tree -> ILIKE conditions; each word sits within one field
+const substringCondition = (required) => {
+  if (typeof required === 'string') {
+    return { [Op.or]: SEARCH_FIELDS.map(field => ({ [field]: { [Op.iLike]: `%${required}%` } })) };
+  }
+  if (required.all) return { [Op.and]: required.all.map(substringCondition) };
+  return { [Op.or]: required.any.map(substringCondition) };
+};
 
 // Get all leads for current user
 const getLeads = async (req, res) => {
@@ -8,6 +26,7 @@ const getLeads = async (req, res) => {
       status, 
       score, 
       source, 
+      type,
       isFavorite, 
       search,
       limit = 50, 
@@ -16,28 +35,62 @@ const getLeads = async (req, res) => {
       sortOrder = 'DESC'
     } = req.query;
 
-    const where = { userId: req.user.id };
+    // Duplicates merged into another lead are only reachable through it
+    const where = { userId: req.user.id, mergedIntoId: null };
 
     // Apply filters
     if (status) where.status = status;
     if (score) where.score = score;
     if (source) where.source = source;
     if (isFavorite !== undefined) where.isFavorite = isFavorite === 'true';
+
+    // Leads tagged with any of the requested types
+    if (type) {
+      const { types, error } = parseTypeFilter(type);
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+      where[Op.or] = types.map(t => ({ types: { [Op.contains]: [{ type: t }] } }));
+    }
     
+    // search uses the keyword query language, which SQL can't evaluate exactly:
+    // ILIKE narrows to leads containing the words it needs, then the matcher
+    // decides over at most SEARCH_MAX_CANDIDATES of the newest of them
+    let searchTruncated = false;
     if (search) {
-      where[Op.or] = [
-        { companyName: { [Op.iLike]: `%${search}%` } },
-        { contactName: { [Op.iLike]: `%${search}%` } },
-        { intent: { [Op.iLike]: `%${search}%` } }
-      ];
+      const searchErrors = validateKeywords([search], 'search');
+      if (searchErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid search query',
+          errors: searchErrors
+        });
+      }
+
+      const matcher = compileKeywords([search]);
+      const required = requiredSubstrings([search]);
+      const candidates = await Lead.findAll({
+        where: required ? { ...where, [Op.and]: [substringCondition(required)] } : where,
+        attributes: ['id', ...SEARCH_FIELDS],
+        order: [['createdAt', 'DESC']],
+        limit: SEARCH_MAX_CANDIDATES + 1
+      });
+      searchTruncated = candidates.length > SEARCH_MAX_CANDIDATES;
+      where.id = candidates
+        .slice(0, SEARCH_MAX_CANDIDATES)
+        .filter(lead => matcher.matches(SEARCH_FIELDS.map(field => lead[field] || '').join(' ')))
+        .map(lead => lead.id);
     }
 
     const { count, rows: leads } = await Lead.findAndCountAll({
       where,
       limit: parseInt(limit),
       offset: parseInt(offset),
-      order: [[sortBy, sortOrder]],
-      attributes: { exclude: ['rawData'] }
+      // Leads from before score values existed sort last either way
+      order: sortBy === 'scoreValue'
+        ? [['scoreValue', `${sortOrder} NULLS LAST`], ['createdAt', 'DESC']]
+        : [[sortBy, sortOrder]],
+      attributes: { exclude: ['rawData', 'mergeHistory'] }
     });
 
     res.json({
@@ -49,7 +102,8 @@ const getLeads = async (req, res) => {
           limit: parseInt(limit),
           offset: parseInt(offset),
           hasMore: count > parseInt(offset) + parseInt(limit)
-        }
+        },
+        ...(search ? { searchTruncated } : {})
       }
     });
   } catch (error) {
@@ -68,7 +122,8 @@ const getLead = async (req, res) => {
       where: {
         id: req.params.id,
         userId: req.user.id
-      }
+      },
+      include: [{ model: RawPosting, as: 'posting' }]
     });
 
     if (!lead) {
@@ -297,6 +352,162 @@ const exportLead = async (req, res) => {
   }
 };
 
+// Get other leads in the same duplicate cluster
+const getLeadDuplicates = async (req, res) => {
+  try {
+    const lead = await Lead.findOne({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    const duplicates = lead.clusterId
+      ? await Lead.findAll({
+        where: {
+          userId: req.user.id,
+          clusterId: lead.clusterId,
+          mergedIntoId: null,
+          id: { [Op.ne]: lead.id }
+        },
+        order: [['createdAt', 'ASC']],
+        attributes: { exclude: ['rawData', 'mergeHistory'] }
+      })
+      : [];
+
+    res.json({
+      success: true,
+      data: { clusterId: lead.clusterId, duplicates }
+    });
+  } catch (error) {
+    console.error('Get lead duplicates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Merge duplicates into a lead (defaults to the rest of its cluster)
+const mergeLead = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { leadIds } = req.body;
+
+    const lead = await Lead.findOne({
+      where: {
+        id: req.params.id,
+        userId: req.user.id,
+        mergedIntoId: null
+      }
+    });
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    if (leadIds === undefined && !lead.clusterId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Lead has no detected duplicates; pass leadIds to merge explicitly'
+      });
+    }
+
+    const where = leadIds
+      ? { userId: req.user.id, id: leadIds.filter(id => id !== lead.id) }
+      : { userId: req.user.id, clusterId: lead.clusterId, id: { [Op.ne]: lead.id } };
+
+    const duplicates = await Lead.findAll({ where: { ...where, mergedIntoId: null } });
+
+    if (leadIds && duplicates.length !== new Set(leadIds.filter(id => id !== lead.id)).size) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some leads were not found or are already merged'
+      });
+    }
+
+    if (duplicates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No leads to merge'
+      });
+    }
+
+    await leadDedup.mergeLeads(lead, duplicates);
+
+    res.json({
+      success: true,
+      message: `Merged ${duplicates.length} lead(s)`,
+      data: { lead, mergedLeadIds: duplicates.map(dup => dup.id) }
+    });
+  } catch (error) {
+    console.error('Merge lead error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+// Undo the most recent merge into a lead
+const unmergeLead = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const lead = await Lead.findOne({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lead not found'
+      });
+    }
+
+    const restoredLeadIds = await leadDedup.unmergeLeads(lead);
+
+    if (!restoredLeadIds) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to undo'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Merge undone',
+      data: { lead, restoredLeadIds }
+    });
+  } catch (error) {
+    console.error('Unmerge lead error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
 // Get available lead sources
 const getSources = async (req, res) => {
   try {
@@ -327,5 +538,8 @@ module.exports = {
   deleteLead,
   toggleFavorite,
   exportLead,
-  getSources
+  getSources,
+  getLeadDuplicates,
+  mergeLead,
+  unmergeLead
 };
@@ -1,4 +1,9 @@
-const { NicheTemplates, getAvailableNiches, getNicheConfig, applyNicheToUser } = require('../services/niches');
+const { validationResult } = require('express-validator');
+const { NicheTemplates, getAvailableNiches, getNicheConfig, applyNicheToUser, getUserSubreddits, setUserSubreddits } = require('../services/niches');
+const { normalizeSubreddit } = require('../scrapers/reddit');
+const { validateKeywords } = require('../services/keywordQuery');
+const { checkPattern } = require('../services/safeRegex');
+const { backfillChangedKeywords } = require('../services/backfill');
 
 // Get all available niches
 const getNiches = async (req, res) => {
@@ -66,9 +71,17 @@ const applyNiche = async (req, res) => {
     }
 
     // Apply niche configuration to user
+    const previousKeywords = req.user.keywords;
     applyNicheToUser(req.user, nicheId, customizations);
     await req.user.save();
 
+    let backfill = null;
+    try {
+      backfill = await backfillChangedKeywords(req.user, previousKeywords);
+    } catch (error) {
+      console.error('Failed to queue keyword backfill:', error.message);
+    }
+
     res.json({
       success: true,
       message: `Niche "${config.name}" applied successfully`,
@@ -76,7 +89,8 @@ const applyNiche = async (req, res) => {
         nicheId,
         nicheName: config.name,
         keywords: req.user.keywords,
-        sources: req.user.sourcesConfig
+        sources: req.user.sourcesConfig,
+        backfillJobId: backfill ? backfill.job.id : null
       }
     });
   } catch (error) {
@@ -88,7 +102,7 @@ const applyNiche = async (req, res) => {
 // Create custom niche
 const createCustomNiche = async (req, res) => {
   try {
-    const { name, description, keywords, sources, subreddits } = req.body;
+    const { name, description, keywords, sources, subreddits, buyerIntentPatterns, scoringWeights } = req.body;
     
     if (!name || !keywords || keywords.length === 0) {
       return res.status(400).json({
@@ -97,6 +111,44 @@ const createCustomNiche = async (req, res) => {
       });
     }
 
+    const keywordErrors = validateKeywords(keywords);
+    if (keywordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid keyword query',
+        errors: keywordErrors
+      });
+    }
+
+    // Scoring rules are optional; patterns are regexes (see services/safeRegex), weights are term lists
+    const ruleErrors = [];
+    if (buyerIntentPatterns !== undefined && !Array.isArray(buyerIntentPatterns)) {
+      ruleErrors.push({ path: 'buyerIntentPatterns', msg: 'must be an array' });
+    } else {
+      (buyerIntentPatterns || []).forEach((pattern, i) => {
+        const problem = checkPattern(pattern);
+        if (problem) ruleErrors.push({ path: `buyerIntentPatterns[${i}]`, msg: problem });
+      });
+    }
+    if (scoringWeights !== undefined && (scoringWeights === null || typeof scoringWeights !== 'object' || Array.isArray(scoringWeights))) {
+      ruleErrors.push({ path: 'scoringWeights', msg: 'must be an object' });
+    } else {
+      Object.entries(scoringWeights || {}).forEach(([category, terms]) => {
+        if (!['budget', 'urgency', 'intent'].includes(category)) {
+          ruleErrors.push({ path: `scoringWeights.${category}`, msg: 'expected budget, urgency or intent' });
+        } else if (!Array.isArray(terms) || terms.some(term => typeof term !== 'string' || !term.trim())) {
+          ruleErrors.push({ path: `scoringWeights.${category}`, msg: 'must be an array of non-empty strings' });
+        }
+      });
+    }
+    if (ruleErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scoring rules',
+        errors: ruleErrors
+      });
+    }
+
     // Create custom niche for this user
     const customNicheId = `custom-${Date.now()}`;
     req.user.customNiche = {
@@ -106,20 +158,33 @@ const createCustomNiche = async (req, res) => {
       keywords,
       sources: sources || { hackerNews: true, reddit: true },
       subreddits: subreddits || [],
+      buyerIntent: buyerIntentPatterns || [],
+      scoringWeights: { budget: [], urgency: [], intent: [], ...scoringWeights },
       createdAt: new Date()
     };
 
     // Apply to user
+    const previousKeywords = req.user.keywords;
     req.user.keywords = keywords;
     req.user.sourcesConfig = sources || { hackerNews: true, reddit: true };
     req.user.nicheId = customNicheId;
     
     await req.user.save();
 
+    let backfill = null;
+    try {
+      backfill = await backfillChangedKeywords(req.user, previousKeywords);
+    } catch (error) {
+      console.error('Failed to queue keyword backfill:', error.message);
+    }
+
     res.json({
       success: true,
       message: 'Custom niche created successfully',
-      data: { niche: req.user.customNiche }
+      data: {
+        niche: req.user.customNiche,
+        backfillJobId: backfill ? backfill.job.id : null
+      }
     });
   } catch (error) {
     console.error('Create custom niche error:', error);
@@ -132,7 +197,7 @@ const getCurrentNiche = async (req, res) => {
   try {
     const { User } = require('../models');
     const user = await User.findByPk(req.user.id, {
-      attributes: ['nicheId', 'keywords', 'sourcesConfig', 'customNiche']
+      attributes: ['nicheId', 'keywords', 'sourcesConfig', 'customNiche', 'nicheConfig']
     });
 
     let nicheDetails = null;
@@ -151,6 +216,7 @@ const getCurrentNiche = async (req, res) => {
         currentNicheId: user.nicheId,
         keywords: user.keywords,
         sources: user.sourcesConfig,
+        subreddits: getUserSubreddits(user),
         nicheDetails
       }
     });
@@ -172,13 +238,34 @@ const updateKeywords = async (req, res) => {
       });
     }
 
+    const keywordErrors = validateKeywords(keywords);
+    if (keywordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid keyword query',
+        errors: keywordErrors
+      });
+    }
+
+    const previousKeywords = req.user.keywords;
     req.user.keywords = keywords;
     await req.user.save();
 
+    // Matches for the new keywords from the last month, instead of only new posts
+    let backfill = null;
+    try {
+      backfill = await backfillChangedKeywords(req.user, previousKeywords);
+    } catch (error) {
+      console.error('Failed to queue keyword backfill:', error.message);
+    }
+
     res.json({
       success: true,
       message: 'Keywords updated',
-      data: { keywords: req.user.keywords }
+      data: {
+        keywords: req.user.keywords,
+        backfillJobId: backfill ? backfill.job.id : null
+      }
     });
   } catch (error) {
     console.error('Update keywords error:', error);
@@ -189,18 +276,47 @@ const updateKeywords = async (req, res) => {
 // Update sources
 const updateSources = async (req, res) => {
   try {
-    const { sources } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { sources, subreddits } = req.body;
     
-    req.user.sourcesConfig = {
-      ...req.user.sourcesConfig,
-      ...sources
-    };
+    if (sources !== undefined) {
+      req.user.sourcesConfig = {
+        ...req.user.sourcesConfig,
+        ...sources
+      };
+    }
+
+    // subreddits: { add: [...], remove: [...] } edits the niche's Reddit list
+    if (subreddits !== undefined) {
+      const add = (subreddits.add || []).map(normalizeSubreddit);
+      const remove = (subreddits.remove || []).map(normalizeSubreddit);
+      const invalid = add.filter(name => !/^[a-z0-9_]{2,21}$/.test(name));
+
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid subreddit name: ${invalid.join(', ')}`
+        });
+      }
+
+      const current = getUserSubreddits(req.user) || [];
+      const updated = Array.from(new Set([...current, ...add])).filter(name => !remove.includes(name));
+      setUserSubreddits(req.user, updated);
+    }
+
     await req.user.save();
 
     res.json({
       success: true,
       message: 'Sources updated',
-      data: { sources: req.user.sourcesConfig }
+      data: {
+        sources: req.user.sourcesConfig,
+        subreddits: getUserSubreddits(req.user)
+      }
     });
   } catch (error) {
     console.error('Update sources error:', error);
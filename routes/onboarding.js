@@ -1,4 +1,7 @@
 const { User, ScrapeSource, UserScraperConfig } = require('../models');
+const { validateFilters } = require('../services/leadFilters');
+const { validateKeywords } = require('../services/keywordQuery');
+const { enqueueBackfill, backfillChangedKeywords, getSearchableKeys } = require('../services/backfill');
 
 // Get onboarding status
 const getOnboardingStatus = async (req, res) => {
@@ -27,8 +30,9 @@ const getOnboardingStatus = async (req, res) => {
 // Get available scrape sources
 const getScrapeSources = async (req, res) => {
   try {
+    // Users' own feeds are listed under /api/feeds
     const sources = await ScrapeSource.findAll({
-      where: { isActive: true },
+      where: { isActive: true, ownerId: null },
       order: [['category', 'ASC'], ['name', 'ASC']]
     });
 
@@ -95,9 +99,6 @@ const saveOnboarding = async (req, res) => {
       case 4: // Complete onboarding
         user.onboardingCompleted = true;
         user.onboardingStep = 4;
-        
-        // Trigger initial lead scrape for new users
-        // This would be handled by a background worker
         break;
 
       default:
@@ -114,6 +115,15 @@ const saveOnboarding = async (req, res) => {
 
     await user.save();
 
+    // New users start with the last month's matches instead of an empty inbox
+    if (step === 4) {
+      try {
+        await enqueueBackfill(user);
+      } catch (error) {
+        console.error('Failed to queue onboarding backfill:', error.message);
+      }
+    }
+
     res.json({
       success: true,
       message: 'Onboarding data saved',
@@ -173,16 +183,51 @@ const updateScraperConfig = async (req, res) => {
       });
     }
 
+    const errors = [];
+    let filters;
+
+    if (keywords !== undefined) {
+      errors.push(...validateKeywords(keywords));
+    }
+    if (customFilters !== undefined) {
+      const result = validateFilters(customFilters);
+      errors.push(...result.errors);
+      filters = result.value;
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid scraper config',
+        errors
+      });
+    }
+
+    const previousKeywords = config.keywords;
     if (isEnabled !== undefined) config.isEnabled = isEnabled;
-    if (keywords !== undefined) config.keywords = keywords;
-    if (customFilters !== undefined) config.customFilters = customFilters;
+    if (keywords !== undefined) config.keywords = keywords.map(k => k.trim());
+    if (customFilters !== undefined) config.customFilters = filters;
 
     await config.save();
 
+    // A source's own keywords replace the user's unless empty, so a change there needs a backfill too
+    const sourceKeywords = (list) => (list && list.length > 0 ? list : req.user.keywords);
+    let backfill = null;
+    if (keywords !== undefined && config.isEnabled && getSearchableKeys().includes(sourceKey)) {
+      try {
+        backfill = await backfillChangedKeywords(req.user, sourceKeywords(previousKeywords), sourceKeywords(config.keywords));
+      } catch (error) {
+        console.error('Failed to queue keyword backfill:', error.message);
+      }
+    }
+
     res.json({
       success: true,
       message: 'Scraper config updated',
-      data: { config }
+      data: {
+        config,
+        backfillJobId: backfill ? backfill.job.id : null
+      }
     });
   } catch (error) {
     console.error('Update scraper config error:', error);
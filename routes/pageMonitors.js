@@ -0,0 +1,246 @@
+const { PAGE_KEY_PREFIX, validateSelectors, previewPage } = require('../scrapers/pageMonitor');
+const {
+  getSourceLimit,
+  validateSourceSettings,
+  validateUrl,
+  listOwnSources,
+  findOwnSource,
+  countOwnSources,
+  createOwnSource,
+  updateOwnSource,
+  deleteOwnSource
+} = require('../services/personalSources');
+
+const CATEGORY = 'page';
+
+// Selector config from a body, falling back to the saved one for fields left out
+const selectorConfig = (body, saved = {}) => ({
+  url: body.url !== undefined ? body.url : saved.url,
+  itemSelector: body.itemSelector !== undefined ? body.itemSelector : saved.itemSelector,
+  fields: body.fields !== undefined ? body.fields : saved.fields
+});
+
+const validateSelectorConfig = (config) => [
+  ...validateUrl(config.url),
+  ...validateSelectors(config)
+];
+
+// Fetch the page and extract items; errors become a message for the user
+const runPreview = async (config) => {
+  try {
+    return await previewPage(config);
+  } catch (error) {
+    return { error: `Could not fetch page: ${error.message}` };
+  }
+};
+
+// List the user's page monitors
+const getPageMonitors = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        monitors: await listOwnSources(req.user.id, CATEGORY),
+        limit: getSourceLimit(req.user)
+      }
+    });
+  } catch (error) {
+    console.error('Get page monitors error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch page monitors'
+    });
+  }
+};
+
+// Show the items the given selectors (or a saved monitor's, overridden by the body) extract
+const previewPageMonitor = async (req, res) => {
+  try {
+    let saved = {};
+    if (req.params.key) {
+      const source = await findOwnSource(req.user.id, req.params.key, CATEGORY);
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          message: 'Page monitor not found'
+        });
+      }
+      saved = source.config;
+    }
+
+    const config = selectorConfig(req.body, saved);
+    const errors = validateSelectorConfig(config);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid page monitor',
+        errors
+      });
+    }
+
+    const preview = await runPreview(config);
+    if (preview.error) {
+      return res.status(400).json({
+        success: false,
+        message: preview.error
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        itemCount: preview.itemCount,
+        items: preview.items.slice(0, 20)
+      }
+    });
+  } catch (error) {
+    console.error('Preview page monitor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Preview failed'
+    });
+  }
+};
+
+// Add a page monitor as a personal source
+const createPageMonitor = async (req, res) => {
+  try {
+    const { name, keywords = [] } = req.body;
+    const config = selectorConfig(req.body);
+
+    const { errors, filters } = validateSourceSettings(req.body, { creating: true });
+    errors.push(...validateSelectorConfig(config));
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid page monitor',
+        errors
+      });
+    }
+
+    const limit = getSourceLimit(req.user);
+    if (await countOwnSources(req.user.id, CATEGORY) >= limit) {
+      return res.status(403).json({
+        success: false,
+        message: `Your plan allows ${limit} page monitor${limit === 1 ? '' : 's'}. Upgrade for more.`
+      });
+    }
+
+    // Selectors that match nothing are almost always a mistake
+    const preview = await runPreview(config);
+    if (preview.error || preview.itemCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: preview.error || 'Selectors matched no items on the page'
+      });
+    }
+
+    const monitor = await createOwnSource(req.user, {
+      keyPrefix: PAGE_KEY_PREFIX,
+      category: CATEGORY,
+      icon: 'fas fa-binoculars',
+      name,
+      description: config.url,
+      config,
+      keywords,
+      filters
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Page monitor added',
+      data: {
+        monitor,
+        sample: preview.items.slice(0, 3)
+      }
+    });
+  } catch (error) {
+    console.error('Create page monitor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add page monitor'
+    });
+  }
+};
+
+// Update a page monitor's URL, selectors, keywords or filters
+const updatePageMonitor = async (req, res) => {
+  try {
+    const source = await findOwnSource(req.user.id, req.params.key, CATEGORY);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Page monitor not found'
+      });
+    }
+
+    const { name, keywords, isActive } = req.body;
+    const selectorsChanged = ['url', 'itemSelector', 'fields'].some(field => req.body[field] !== undefined);
+    const config = selectorConfig(req.body, source.config);
+
+    const { errors, filters } = validateSourceSettings(req.body, { creating: false });
+    if (selectorsChanged) errors.push(...validateSelectorConfig(config));
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid page monitor',
+        errors
+      });
+    }
+
+    if (selectorsChanged) {
+      source.config = config;
+      source.description = config.url;
+      // Seen item ids depend on the selectors; items already delivered are still skipped as duplicates
+      source.cursor = {};
+    }
+
+    const monitor = await updateOwnSource(req.user, source, { name, isActive, keywords, filters });
+
+    res.json({
+      success: true,
+      message: 'Page monitor updated',
+      data: { monitor }
+    });
+  } catch (error) {
+    console.error('Update page monitor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update page monitor'
+    });
+  }
+};
+
+// Remove a page monitor; leads it produced are kept
+const deletePageMonitor = async (req, res) => {
+  try {
+    const source = await findOwnSource(req.user.id, req.params.key, CATEGORY);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Page monitor not found'
+      });
+    }
+
+    await deleteOwnSource(source);
+
+    res.json({
+      success: true,
+      message: 'Page monitor removed'
+    });
+  } catch (error) {
+    console.error('Delete page monitor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove page monitor'
+    });
+  }
+};
+
+module.exports = {
+  getPageMonitors,
+  previewPageMonitor,
+  createPageMonitor,
+  updatePageMonitor,
+  deletePageMonitor
+};
@@ -1,24 +1,54 @@
-const { User } = require('../models');
+const { Op } = require('sequelize');
+const { rateLimit } = require('express-rate-limit');
+const { validationResult } = require('express-validator');
+const { User, Lead, UserScraperConfig, ScrapeRun, ScrapeSource } = require('../models');
+const scrapers = require('../scrapers');
+const { PLAN_FREQUENCIES, getEnabledSourceKeys } = require('../services/scheduler');
+const { serializeRunForUser } = require('../services/scrapeRuns');
+const { validateKeywords, compileKeywords } = require('../services/keywordQuery');
+const { LEAD_TYPES, LEAD_TYPE_KEYS, classifyByRules, matchesLeadTypes } = require('../services/leadClassifier');
+const leadMatching = require('../services/leadMatching');
+const rawPostings = require('../services/rawPostings');
+const { getUserNiche } = require('../services/nicheScoring');
+const { getUserSubreddits } = require('../services/niches');
+const { enhancedRuleBasedScoring } = require('../services/aiScorer');
+const { explainScore } = require('../services/leadScore');
+const backfill = require('../services/backfill');
+const { getEnrichmentLimit } = require('../services/enrichment');
+
+const SCORES = ['hot', 'warm', 'cold'];
 
 // Get scraper configuration
 const getScraperConfig = async (req, res) => {
   try {
     const user = await User.findByPk(req.user.id, {
       attributes: [
-        'scrapeFrequency', 'leadTypes', 'keywords', 'scrapeSources',
-        'subscriptionTier', 'sourcesConfig'
+        'scrapeFrequency', 'leadTypes', 'leadTypeClassifier', 'keywords', 'scrapeSources',
+        'subscriptionTier', 'sourcesConfig', 'enrichScores', 'enrichmentsThisMonth'
       ]
     });
 
+    const schedule = await UserScraperConfig.findAll({
+      where: { userId: req.user.id },
+      attributes: ['sourceKey', 'isEnabled', 'lastScrapedAt', 'nextRunAt']
+    });
+
     res.json({
       success: true,
       data: {
         scrapeFrequency: user.scrapeFrequency,
         leadTypes: user.leadTypes,
+        leadTypeClassifier: user.leadTypeClassifier,
         keywords: user.keywords,
         scrapeSources: user.scrapeSources,
         sourcesConfig: user.sourcesConfig,
-        canChangeFrequency: user.subscriptionTier !== 'free'
+        enrichScores: user.enrichScores,
+        enrichment: {
+          used: user.enrichmentsThisMonth,
+          limit: getEnrichmentLimit(user)
+        },
+        canChangeFrequency: user.subscriptionTier !== 'free',
+        schedule
       }
     });
   } catch (error) {
@@ -33,38 +63,67 @@ const getScraperConfig = async (req, res) => {
 // Update scraper configuration
 const updateScraperConfig = async (req, res) => {
   try {
-    const { scrapeFrequency, leadTypes, keywords, scrapeSources } = req.body;
+    const { scrapeFrequency, leadTypes, leadTypeClassifier, keywords, scrapeSources, enrichScores } = req.body;
     const user = await User.findByPk(req.user.id);
 
     // Validate scrape frequency based on subscription tier
     if (scrapeFrequency) {
-      const validFrequencies = {
-        free: ['daily'],
-        pro: ['hourly', 'daily'],
-        enterprise: ['hourly', 'daily', 'weekly', 'realtime']
-      };
-      
-      if (!validFrequencies[user.subscriptionTier].includes(scrapeFrequency)) {
+      if (!PLAN_FREQUENCIES[user.subscriptionTier].includes(scrapeFrequency)) {
         return res.status(403).json({
           success: false,
           message: `Upgrade to ${user.subscriptionTier === 'free' ? 'Pro' : 'Enterprise'} for ${scrapeFrequency} scraping`
         });
       }
       
+      // Reschedule pending runs so a faster frequency takes effect on the next tick
+      if (scrapeFrequency !== user.scrapeFrequency) {
+        await UserScraperConfig.update(
+          { nextRunAt: null },
+          { where: { userId: user.id } }
+        );
+      }
+      
       user.scrapeFrequency = scrapeFrequency;
     }
 
     // Update lead types
     if (leadTypes && Array.isArray(leadTypes)) {
-      const validTypes = [
-        'hiring', 'budget_mentioned', 'complaint', 
-        'feature_request', 'integration_request', 'competitor_mention'
-      ];
-      user.leadTypes = leadTypes.filter(type => validTypes.includes(type));
+      user.leadTypes = leadTypes.filter(type => LEAD_TYPE_KEYS.includes(type));
+    }
+
+    // Rules (free) or the user's own LLM for classifying lead types
+    if (leadTypeClassifier !== undefined) {
+      if (!['rule', 'ai'].includes(leadTypeClassifier)) {
+        return res.status(400).json({
+          success: false,
+          message: 'leadTypeClassifier must be "rule" or "ai"'
+        });
+      }
+      user.leadTypeClassifier = leadTypeClassifier;
+    }
+
+    // Which lead scores get enriched after scoring ([] turns enrichment off)
+    if (enrichScores !== undefined) {
+      if (!Array.isArray(enrichScores) || enrichScores.some(score => !SCORES.includes(score))) {
+        return res.status(400).json({
+          success: false,
+          message: `enrichScores must be a list of ${SCORES.join(', ')}`
+        });
+      }
+      user.enrichScores = [...new Set(enrichScores)];
     }
 
     // Update keywords
+    const previousKeywords = user.keywords;
     if (keywords && Array.isArray(keywords)) {
+      const keywordErrors = validateKeywords(keywords);
+      if (keywordErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid keyword query',
+          errors: keywordErrors
+        });
+      }
       user.keywords = keywords.slice(0, 20); // Max 20 keywords
     }
 
@@ -82,14 +141,25 @@ const updateScraperConfig = async (req, res) => {
 
     await user.save();
 
+    // Matches for new keywords from the last month, instead of only new posts
+    let keywordBackfill = null;
+    try {
+      keywordBackfill = await backfill.backfillChangedKeywords(user, previousKeywords);
+    } catch (error) {
+      console.error('Failed to queue keyword backfill:', error.message);
+    }
+
     res.json({
       success: true,
       message: 'Scraper configuration updated',
       data: {
         scrapeFrequency: user.scrapeFrequency,
         leadTypes: user.leadTypes,
+        leadTypeClassifier: user.leadTypeClassifier,
         keywords: user.keywords,
-        scrapeSources: user.scrapeSources
+        scrapeSources: user.scrapeSources,
+        enrichScores: user.enrichScores,
+        backfillJobId: keywordBackfill ? keywordBackfill.job.id : null
       }
     });
   } catch (error) {
@@ -101,37 +171,185 @@ const updateScraperConfig = async (req, res) => {
   }
 };
 
-// Test scraper with current config
+// Dry-run window bounds (hours of postings to test against)
+const DRY_RUN_DEFAULT_HOURS = 24;
+const DRY_RUN_MAX_HOURS = 168;
+const DRY_RUN_MAX_MATCHES = 50;
+
+// Fresh dry runs fetch every source live: a few per user per window, and a
+// time bound shared by all sources of one run
+const FRESH_DRY_RUN_WINDOW_MS = 15 * 60 * 1000;
+const FRESH_DRY_RUN_LIMIT = 5;
+const FRESH_DRY_RUN_TIMEOUT_MS = 30 * 1000;
+
+// Per-user limit on fresh dry runs; dry runs over stored postings aren't limited
+const limitFreshDryRuns = rateLimit({
+  windowMs: FRESH_DRY_RUN_WINDOW_MS,
+  limit: FRESH_DRY_RUN_LIMIT,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  skip: (req) => !(req.body && req.body.fresh),
+  keyGenerator: (req) => req.user.id,
+  message: {
+    success: false,
+    message: `Fresh dry runs are limited to ${FRESH_DRY_RUN_LIMIT} every ${FRESH_DRY_RUN_WINDOW_MS / 60000} minutes; try again later or leave fresh off`
+  }
+});
+
+// Resolves with the promise, or rejects once `ms` have passed (the work itself isn't cancelled)
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Postings for a dry run: fetched now from each source, or what the worker already stored
+const loadDryRunPostings = async (user, sourceKeys, since, fresh) => {
+  if (!fresh) {
+    return { postings: await rawPostings.findRecentPostings(sourceKeys, since), errors: [] };
+  }
+
+  const sources = await ScrapeSource.findAll({ where: { key: sourceKeys } });
+  const sourcesByKey = new Map(sources.map(source => [source.key, source]));
+  const postings = [];
+  const errors = [];
+  const deadline = Date.now() + FRESH_DRY_RUN_TIMEOUT_MS;
+
+  for (const sourceKey of sourceKeys) {
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) {
+      errors.push({ sourceKey, message: `Skipped: the dry run's ${FRESH_DRY_RUN_TIMEOUT_MS / 1000}s fetch time ran out` });
+      continue;
+    }
+
+    const source = sourcesByKey.get(sourceKey);
+    const adapter = source ? scrapers.getSourceScraper(source) : scrapers.getScraper(sourceKey);
+    let config = (source && source.config) || {};
+    if (sourceKey === 'reddit') {
+      const subreddits = getUserSubreddits(user);
+      if (subreddits && subreddits.length > 0) config = { ...config, subreddits };
+    }
+
+    try {
+      const result = await withTimeout(
+        adapter.fetch(config, { since: Math.floor(since.getTime() / 1000) }),
+        remainingMs,
+        `Timed out: the dry run's ${FRESH_DRY_RUN_TIMEOUT_MS / 1000}s fetch time ran out`
+      );
+      postings.push(...result.postings);
+    } catch (error) {
+      errors.push({ sourceKey, message: error.message });
+    }
+  }
+
+  return { postings, errors };
+};
+
+// Test scraper with current config: a dry run that saves nothing
 const testScraper = async (req, res) => {
   try {
     const user = await User.findByPk(req.user.id);
+    const { fresh = false } = req.body;
+    
+    // Optionally try keywords before saving them
+    const keywords = req.body.keywords || user.keywords || [];
+    const keywordErrors = validateKeywords(keywords);
+    if (keywordErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid keyword query',
+        errors: keywordErrors
+      });
+    }
     
-    // Simulate a test scrape
-    const testResults = {
-      sources: user.scrapeSources,
-      keywords: user.keywords,
-      leadTypes: user.leadTypes,
-      simulatedMatches: [
-        {
-          source: 'hackerNews',
-          title: 'Looking for marketing agency',
-          score: 'hot',
-          reason: 'Budget mentioned, hiring intent'
+    const hours = req.body.hours === undefined ? DRY_RUN_DEFAULT_HOURS : Number(req.body.hours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > DRY_RUN_MAX_HOURS) {
+      return res.status(400).json({
+        success: false,
+        message: `hours must be between 1 and ${DRY_RUN_MAX_HOURS}`
+      });
+    }
+    
+    // The same sources, windows and filters the worker would use for this user
+    const configs = await UserScraperConfig.findAll({ where: { userId: user.id } });
+    const configsByKey = new Map(configs.map(config => [config.sourceKey, config]));
+    const feeds = await ScrapeSource.findAll({ where: { ownerId: user.id, isActive: true } });
+    const owners = new Map(feeds.map(feed => [feed.key, feed.ownerId]));
+    const availableKeys = [...scrapers.listScrapers().map(adapter => adapter.key), ...owners.keys()];
+    const sourceKeys = getEnabledSourceKeys(user, availableKeys, owners)
+      .filter(key => !configsByKey.has(key) || configsByKey.get(key).isEnabled !== false);
+    
+    const now = new Date();
+    const since = new Date(now.getTime() - hours * 60 * 60 * 1000);
+    const windows = new Map(sourceKeys.map(key => [
+      key, leadMatching.buildSourceWindow(user, key, since, configsByKey.get(key))
+    ]));
+    const matcher = leadMatching.createUserMatcher(user, windows, { keywords });
+    
+    const { postings, errors } = await loadDryRunPostings(user, sourceKeys, since, Boolean(fresh));
+    
+    // Keep only the lead types the user selected, as the worker does
+    const niche = getUserNiche(user);
+    const matches = postings
+      .filter(posting => matcher.matches(posting, now))
+      .map(posting => ({ posting, types: classifyByRules(posting) }))
+      .filter(({ types }) => matchesLeadTypes(types, user.leadTypes));
+    
+    const assigned = matches.length > 0
+      ? await Lead.findAll({
+        where: {
+          userId: user.id,
+          [Op.or]: [
+            { rawPostingId: matches.map(({ posting }) => posting.rawPostingId).filter(Boolean) },
+            { sourceUrl: matches.map(({ posting }) => posting.url).filter(Boolean) }
+          ]
         },
-        {
-          source: 'reddit',
-          title: 'Need help scaling B2B sales',
-          score: 'warm',
-          reason: 'Growth intent, no explicit budget'
-        }
-      ],
-      estimatedDailyLeads: Math.floor(Math.random() * 10) + 1
-    };
+        attributes: ['rawPostingId', 'sourceUrl']
+      })
+      : [];
+    const assignedKeys = new Set(assigned.flatMap(lead => [lead.rawPostingId, lead.sourceUrl]).filter(Boolean));
+    
+    const results = matches.slice(0, DRY_RUN_MAX_MATCHES).map(({ posting, types }) => {
+      const scoring = enhancedRuleBasedScoring(`${posting.title || ''}\n${posting.text || ''}`, niche);
+      return {
+        sourceKey: posting.sourceKey,
+        title: posting.title,
+        url: posting.url,
+        author: posting.author,
+        postedAt: posting.postedAt,
+        score: scoring.score,
+        scoreValue: explainScore(posting, scoring.score, { niche, user, types, now }).value,
+        reason: scoring.reason,
+        confidence: scoring.confidence,
+        matchedTerms: matcher.matchedTerms(posting),
+        types,
+        alreadyAssigned: assignedKeys.has(posting.rawPostingId) || assignedKeys.has(posting.url)
+      };
+    });
+    
+    // Matches per day over the window, capped by what the user's quota lets through
+    const matchesPerDay = Math.round((matches.length / hours) * 24 * 10) / 10;
+    const remaining = Math.max(user.leadsLimit - user.leadsUsedThisMonth, 0);
 
     res.json({
       success: true,
       message: 'Test scrape completed',
-      data: testResults
+      data: {
+        sources: sourceKeys,
+        keywords,
+        queries: compileKeywords(keywords).queries,
+        leadTypes: user.leadTypes,
+        window: { hours, since, fresh: Boolean(fresh) },
+        postingsScanned: postings.length,
+        totalMatches: matches.length,
+        matches: results,
+        scoringMethod: 'rule-based',
+        matchesPerDay,
+        estimatedDailyLeads: Math.min(Math.round(matchesPerDay), remaining),
+        errors
+      }
     });
   } catch (error) {
     console.error('Test scraper error:', error);
@@ -142,19 +360,140 @@ const testScraper = async (req, res) => {
   }
 };
 
+// Queue a search of source archives for the last N days
+const backfillScraper = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    const days = req.body.days === undefined ? backfill.DEFAULT_BACKFILL_DAYS : parseInt(req.body.days);
+
+    if (!Number.isInteger(days) || days < 1 || days > backfill.MAX_BACKFILL_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid backfill',
+        errors: [{ path: 'days', msg: `must be between 1 and ${backfill.MAX_BACKFILL_DAYS}` }]
+      });
+    }
+
+    const remaining = Math.max(user.leadsLimit - user.leadsUsedThisMonth, 0);
+    if (remaining === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'No leads left this month. Upgrade to backfill more.'
+      });
+    }
+
+    const sources = getEnabledSourceKeys(user, backfill.getSearchableKeys());
+    if (sources.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'None of your sources can be backfilled. Enable Hacker News or Reddit.'
+      });
+    }
+
+    const { job, queued } = await backfill.enqueueBackfill(user, days);
+
+    res.status(queued ? 202 : 200).json({
+      success: true,
+      message: queued ? 'Backfill queued' : 'A backfill is already in progress',
+      data: {
+        jobId: job.id,
+        days: queued ? days : job.payload.days,
+        sources,
+        maxLeads: remaining
+      }
+    });
+  } catch (error) {
+    console.error('Backfill scraper error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue backfill'
+    });
+  }
+};
+
+// Get scrape run history for current user
+const getScrapeRuns = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { sourceKey, since, limit = 50, offset = 0 } = req.query;
+
+    const where = { userIds: { [Op.contains]: [req.user.id] } };
+    if (sourceKey) where.sourceKey = sourceKey;
+    if (since) where.startedAt = { [Op.gte]: since };
+
+    const { count, rows: runs } = await ScrapeRun.findAndCountAll({
+      where,
+      limit,
+      offset,
+      order: [['startedAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        runs: runs.map(run => serializeRunForUser(run, req.user.id)),
+        pagination: {
+          total: count,
+          limit,
+          offset,
+          hasMore: count > offset + limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get scrape runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch scrape runs'
+    });
+  }
+};
+
+// Get a single scrape run
+const getScrapeRun = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const run = await ScrapeRun.findOne({
+      where: {
+        id: req.params.id,
+        userIds: { [Op.contains]: [req.user.id] }
+      }
+    });
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scrape run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { run: serializeRunForUser(run, req.user.id) }
+    });
+  } catch (error) {
+    console.error('Get scrape run error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch scrape run'
+    });
+  }
+};
+
 // Get available lead types
 const getLeadTypes = async (req, res) => {
   res.json({
     success: true,
     data: {
-      leadTypes: [
-        { key: 'hiring', name: 'Hiring/Recruiting', description: 'Companies looking to hire' },
-        { key: 'budget_mentioned', name: 'Budget Mentioned', description: 'Posts mentioning specific budgets' },
-        { key: 'complaint', name: 'Complaints', description: 'Users complaining about competitors' },
-        { key: 'feature_request', name: 'Feature Requests', description: 'Users requesting features you might offer' },
-        { key: 'integration_request', name: 'Integration Requests', description: 'Users looking for integrations' },
-        { key: 'competitor_mention', name: 'Competitor Mentions', description: 'Mentions of your competitors' }
-      ]
+      leadTypes: LEAD_TYPES
     }
   });
 };
@@ -162,6 +501,10 @@ const getLeadTypes = async (req, res) => {
 module.exports = {
   getScraperConfig,
   updateScraperConfig,
+  limitFreshDryRuns,
   testScraper,
+  backfillScraper,
+  getScrapeRuns,
+  getScrapeRun,
   getLeadTypes
 };
@@ -1,11 +1,13 @@
 const { User } = require('../models');
 const { validationResult } = require('express-validator');
+const { describeModel } = require('../services/outcomeModel');
+const { getUsageSummary, createBudget } = require('../services/aiUsage');
 
 // Get current AI settings
 const getAiSettings = async (req, res) => {
   try {
     const user = await User.findByPk(req.user.id, {
-      attributes: ['aiProvider', 'aiModel', 'aiBaseUrl', 'apiKey', 'apiEnabled', 'apiWebhookUrl']
+      attributes: ['id', 'aiProvider', 'aiModel', 'aiBaseUrl', 'aiMonthlyBudget', 'aiCostPer1K', 'apiKey', 'apiEnabled', 'apiWebhookUrl']
     });
 
     res.json({
@@ -15,6 +17,9 @@ const getAiSettings = async (req, res) => {
         aiModel: user.aiModel,
         aiBaseUrl: user.aiBaseUrl,
         hasApiKey: !!user.getAiApiKey(),
+        aiMonthlyBudget: user.aiMonthlyBudget !== null ? parseFloat(user.aiMonthlyBudget) : null,
+        aiCostPer1K: user.aiCostPer1K !== null ? parseFloat(user.aiCostPer1K) : null,
+        aiUsage: await getUsageSummary(user), // Actual spend with their key this month
         apiKey: user.apiKey, // Their API key for n8n/Make.com
         apiEnabled: user.apiEnabled,
         apiWebhookUrl: user.apiWebhookUrl
@@ -34,7 +39,7 @@ const updateAiSettings = async (req, res) => {
       return res.status(400).json({ success: false, errors: errors.array() });
     }
 
-    const { aiProvider, aiApiKey, aiModel, aiBaseUrl } = req.body;
+    const { aiProvider, aiApiKey, aiModel, aiBaseUrl, aiMonthlyBudget, aiCostPer1K } = req.body;
     const user = await User.findByPk(req.user.id);
 
     // Update provider
@@ -68,6 +73,36 @@ const updateAiSettings = async (req, res) => {
       user.aiBaseUrl = aiBaseUrl;
     }
 
+    // Monthly AI spend cap in USD; null removes it
+    if (aiMonthlyBudget !== undefined) {
+      if (aiMonthlyBudget !== null && (typeof aiMonthlyBudget !== 'number' || !(aiMonthlyBudget >= 0) || aiMonthlyBudget > 100000)) {
+        return res.status(400).json({
+          success: false,
+          message: 'aiMonthlyBudget must be a number of USD between 0 and 100000, or null for no cap'
+        });
+      }
+      user.aiMonthlyBudget = aiMonthlyBudget;
+    }
+
+    // What a custom endpoint charges, in USD per 1K tokens; null when unknown
+    if (aiCostPer1K !== undefined) {
+      if (aiCostPer1K !== null && (typeof aiCostPer1K !== 'number' || !(aiCostPer1K >= 0) || aiCostPer1K > 1)) {
+        return res.status(400).json({
+          success: false,
+          message: 'aiCostPer1K must be a number of USD per 1K tokens between 0 and 1, or null'
+        });
+      }
+      user.aiCostPer1K = aiCostPer1K;
+    }
+
+    // Spend on a custom endpoint is only known from its price, so a cap needs one
+    if (user.aiProvider === 'custom' && user.aiMonthlyBudget !== null && user.aiCostPer1K === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'aiMonthlyBudget can only be enforced for a custom endpoint once aiCostPer1K (USD per 1K tokens) is set'
+      });
+    }
+
     await user.save();
 
     res.json({
@@ -77,7 +112,9 @@ const updateAiSettings = async (req, res) => {
         aiProvider: user.aiProvider,
         aiModel: user.aiModel,
         aiBaseUrl: user.aiBaseUrl,
-        hasApiKey: !!user.getAiApiKey()
+        hasApiKey: !!user.getAiApiKey(),
+        aiMonthlyBudget: user.aiMonthlyBudget !== null ? parseFloat(user.aiMonthlyBudget) : null,
+        aiCostPer1K: user.aiCostPer1K !== null ? parseFloat(user.aiCostPer1K) : null
       }
     });
   } catch (error) {
@@ -94,10 +131,14 @@ const testAiConnection = async (req, res) => {
 
     const testText = "Looking for a marketing agency. Budget $50K. Need to start ASAP.";
     
+    // The test call is billed to their key, so it counts towards their budget
     const result = await scoreLead(testText, user.aiProvider, {
       apiKey: user.getAiApiKey(),
       model: user.aiModel,
-      baseUrl: user.aiBaseUrl
+      baseUrl: user.aiBaseUrl,
+      costPer1K: user.aiCostPer1K,
+      budget: await createBudget(user),
+      purpose: 'test'
     });
 
     res.json({
@@ -118,6 +159,19 @@ const testAiConnection = async (req, res) => {
   }
 };
 
+// Outcome-trained scoring model: status, labels and cross-validated quality
+const getScoringModel = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await describeModel(req.user.id)
+    });
+  } catch (error) {
+    console.error('Get scoring model error:', error);
+    res.status(500).json({ success: false, message: 'Internal server error' });
+  }
+};
+
 // Get API credentials for n8n/Make.com
 const getApiCredentials = async (req, res) => {
   try {
@@ -260,6 +314,7 @@ module.exports = {
   getAiSettings,
   updateAiSettings,
   testAiConnection,
+  getScoringModel,
   getApiCredentials,
   regenerateApiKey,
   updateWebhook,
@@ -0,0 +1,94 @@
+/**
+ * RSS/Atom Feed Parser
+ * Minimal dependency-free parser for the feeds our sources publish
+ */
+
+const { decodeEntities } = require('./utils');
+
+// Text content of the first <tag> in a fragment, CDATA unwrapped
+const readTag = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+  if (!match) return null;
+
+  const cdata = match[1].match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  return cdata ? cdata[1] : decodeEntities(match[1]).trim();
+};
+
+// Value of an attribute on the first <tag ...> in a fragment
+const readAttr = (xml, tag, attr) => {
+  const match = xml.match(new RegExp(`<${tag}\\s[^>]*${attr}=["']([^"']*)["']`, 'i'));
+  return match ? decodeEntities(match[1]) : null;
+};
+
+// Atom entries may carry several <link>s; prefer rel="alternate"
+const readAtomLink = (entry) => {
+  const links = entry.match(/<link\s[^>]*>/gi) || [];
+  const alternate = links.find(l => !/rel=["']/i.test(l) || /rel=["']alternate["']/i.test(l));
+  const chosen = alternate || links[0];
+  if (!chosen) return null;
+  const href = chosen.match(/href=["']([^"']*)["']/i);
+  return href ? decodeEntities(href[1]) : null;
+};
+
+const parseRssItem = (item) => ({
+  title: readTag(item, 'title'),
+  link: readTag(item, 'link'),
+  description: readTag(item, 'content:encoded') || readTag(item, 'description'),
+  author: readTag(item, 'dc:creator') || readTag(item, 'author'),
+  published: readTag(item, 'pubDate') || readTag(item, 'dc:date'),
+  guid: readTag(item, 'guid'),
+  categories: (item.match(/<category[^>]*>[\s\S]*?<\/category>/gi) || [])
+    .map(c => readTag(c, 'category'))
+    .filter(Boolean)
+});
+
+const parseAtomEntry = (entry) => ({
+  title: readTag(entry, 'title'),
+  link: readAtomLink(entry),
+  description: readTag(entry, 'content') || readTag(entry, 'summary'),
+  author: readTag(entry, 'name') || readTag(entry, 'author'),
+  published: readTag(entry, 'published') || readTag(entry, 'updated'),
+  guid: readTag(entry, 'id'),
+  categories: (entry.match(/<category\s[^>]*>/gi) || [])
+    .map(c => readAttr(c, 'category', 'term'))
+    .filter(Boolean)
+});
+
+/**
+ * Split an RSS 2.0 or Atom document into its raw <item>/<entry> fragments
+ * @returns {{ format: 'rss'|'atom'|null, items: Array<string> }}
+ */
+const splitFeed = (xml = '') => {
+  const rssItems = xml.match(/<item[\s>][\s\S]*?<\/item>/gi);
+  if (rssItems) return { format: 'rss', items: rssItems };
+
+  const atomEntries = xml.match(/<entry[\s>][\s\S]*?<\/entry>/gi);
+  if (atomEntries) return { format: 'atom', items: atomEntries };
+
+  return { format: null, items: [] };
+};
+
+// Parse one fragment from splitFeed
+const parseFeedItem = (fragment, format) => (format === 'atom' ? parseAtomEntry(fragment) : parseRssItem(fragment));
+
+// True when the document looks like a feed at all, even an empty one
+const isFeed = (xml = '') => /<(?:rss|feed|rdf:RDF)[\s>]/i.test(xml);
+
+/**
+ * Parse an RSS 2.0 or Atom document into a flat list of items
+ * @param {string} xml - Feed body
+ * @returns {Array<{title, link, description, author, published, guid, categories}>}
+ */
+const parseFeed = (xml = '') => {
+  const { format, items } = splitFeed(xml);
+  return items.map(item => parseFeedItem(item, format));
+};
+
+module.exports = {
+  parseFeed,
+  splitFeed,
+  parseFeedItem,
+  isFeed,
+  readTag,
+  readAttr
+};
@@ -0,0 +1,196 @@
+/**
+ * Hacker News Scraper
+ * Pulls Ask HN posts and "Who is hiring?" comments via the Algolia HN API,
+ * and searches the same archive for backfills
+ */
+
+const http = require('../services/httpClient');
+const { stripHtml, createPosting } = require('./utils');
+
+const API_URL = 'https://hn.algolia.com/api/v1';
+
+const DEFAULT_CONFIG = {
+  hitsPerPage: 100,
+  tags: ['ask_hn'],
+  includeWhoIsHiring: true
+};
+
+// The hiring thread changes monthly; look it up again after this long (seconds)
+const HIRING_STORY_TTL = 24 * 60 * 60;
+
+// Pages of results read per search term and tag set in a backfill
+const SEARCH_MAX_PAGES = 3;
+
+// Pages read per tag set in a regular fetch (Algolia serves 1000 hits per
+// query at most); a longer burst is finished by the following runs
+const FETCH_MAX_PAGES = 10;
+
+const adapter = {
+  key: 'hackerNews',
+  name: 'Hacker News',
+  leadSource: 'hacker_news'
+};
+
+// "Acme Corp | Growth Marketer | Remote | $120k" -> "Acme Corp"
+const companyFromHiringComment = (text) => {
+  const firstLine = text.split('\n')[0];
+  if (!firstLine.includes('|')) return null;
+  const company = firstLine.split('|')[0].trim();
+  return company.length > 0 && company.length <= 100 ? company : null;
+};
+
+/**
+ * Convert one Algolia hit (story or comment) into a posting
+ */
+const parseHit = (hit) => {
+  const isComment = !!hit.comment_text;
+  const text = stripHtml(hit.comment_text || hit.story_text || '');
+  const title = isComment ? text.split('\n')[0].substring(0, 200) : hit.title;
+
+  return createPosting(adapter, {
+    externalId: hit.objectID,
+    url: `https://news.ycombinator.com/item?id=${hit.objectID}`,
+    title,
+    text: text || hit.title || '',
+    author: hit.author,
+    postedAt: hit.created_at_i || hit.created_at,
+    companyName: isComment ? companyFromHiringComment(text) : null,
+    meta: {
+      type: isComment ? 'comment' : 'story',
+      storyId: hit.story_id ? String(hit.story_id) : null,
+      storyTitle: hit.story_title || null,
+      points: hit.points || 0
+    },
+    raw: hit
+  });
+};
+
+const searchPage = async (params) => {
+  // A public API meant for programs, so robots.txt (written for crawlers) isn't consulted
+  const response = await http.get(`${API_URL}/search_by_date`, {
+    params,
+    checkRobots: false
+  });
+  return response.data;
+};
+
+const search = async (params) => (await searchPage(params)).hits || [];
+
+/**
+ * Every hit in the window (after, before], newest first, paging back until
+ * `after` is reached. Without `after` (the first run) only the newest page is read.
+ * @returns {Promise<{hits: Array, stoppedAt: number|null}>} stoppedAt is the
+ *   oldest created_at_i read when the page limit cut the walk short
+ */
+const searchWindow = async (params, { after, before }) => {
+  if (!after) return { hits: await search(params), stoppedAt: null };
+
+  const numericFilters = before ? `created_at_i>${after},created_at_i<=${before}` : `created_at_i>${after}`;
+  const hits = [];
+  for (let page = 0; page < FETCH_MAX_PAGES; page++) {
+    const data = await searchPage({ ...params, numericFilters, page });
+    hits.push(...(data.hits || []));
+    if (page + 1 >= (data.nbPages || 0)) return { hits, stoppedAt: null };
+  }
+  return { hits, stoppedAt: Math.min(...hits.map(hit => hit.created_at_i || before || Infinity)) };
+};
+
+// Latest "Ask HN: Who is hiring?" thread posted by the whoishiring bot
+const findWhoIsHiringStory = async () => {
+  const hits = await search({ tags: 'story,author_whoishiring', query: 'who is hiring', hitsPerPage: 1 });
+  return hits[0] ? hits[0].objectID : null;
+};
+
+/**
+ * Reads everything posted since the cursor. When a burst is too long for one
+ * run, the cursor keeps the unread part, (since, until], and the following
+ * runs read it before moving on to resumeFrom, the newest item already read.
+ * @param {Object} config - ScrapeSource.config for hackerNews
+ * @param {Object} cursor - { since: unix seconds of the newest item already seen,
+ *   until, resumeFrom: the unread window, if any,
+ *   hiringStoryId, hiringCheckedAt: the current hiring thread and when it was looked up }
+ * @returns {Promise<{postings: Array, cursor: Object}>}
+ */
+const fetch = async (config = {}, cursor = {}) => {
+  const options = { ...DEFAULT_CONFIG, ...config };
+  const now = Math.floor(Date.now() / 1000);
+  let { hiringStoryId = null, hiringCheckedAt = 0 } = cursor;
+  const window = { after: cursor.since, before: cursor.until || null };
+
+  const hits = [];
+  const stops = [];
+  const collect = async (params) => {
+    const result = await searchWindow({ ...params, hitsPerPage: options.hitsPerPage }, window);
+    hits.push(...result.hits);
+    if (result.stoppedAt) stops.push(result.stoppedAt);
+  };
+
+  for (const tag of options.tags) {
+    await collect({ tags: tag });
+  }
+
+  if (options.includeWhoIsHiring) {
+    if (!hiringStoryId || now - hiringCheckedAt > HIRING_STORY_TTL) {
+      hiringStoryId = await findWhoIsHiringStory();
+      hiringCheckedAt = now;
+    }
+    if (hiringStoryId) {
+      await collect({ tags: `comment,story_${hiringStoryId}` });
+    }
+  }
+
+  const postings = hits.map(parseHit).filter(p => p.text);
+  const newest = hits.reduce((max, hit) => Math.max(max, hit.created_at_i || 0), cursor.resumeFrom || cursor.since || 0);
+
+  // Cut short: the rest of the window, down to the old cursor, comes next.
+  // The oldest second read is read again; postings are deduplicated downstream
+  const next = stops.length > 0
+    ? { since: cursor.since, until: Math.max(...stops), resumeFrom: newest }
+    : { since: newest || null, until: null, resumeFrom: null };
+
+  return {
+    postings,
+    cursor: { ...next, hiringStoryId, hiringCheckedAt }
+  };
+};
+
+/**
+ * Search the archive for items since `since` mentioning any of `terms`: the
+ * configured story tags, plus comments in the recent hiring threads
+ * @param {Object} options - { since: unix seconds, terms: Array<string>, limit }
+ * @returns {Promise<{postings: Array}>}
+ */
+const searchArchive = async (config = {}, { since, terms, limit = 1000 }) => {
+  const options = { ...DEFAULT_CONFIG, ...config };
+  const tagSets = [...options.tags];
+
+  if (options.includeWhoIsHiring) {
+    // Threads are monthly, so the latest two cover a window of up to a month
+    const stories = await search({ tags: 'story,author_whoishiring', query: 'who is hiring', hitsPerPage: 2 });
+    if (stories.length > 0) {
+      tagSets.push(`comment,(${stories.map(hit => `story_${hit.objectID}`).join(',')})`);
+    }
+  }
+
+  const hits = new Map();
+  for (const query of terms) {
+    for (const tags of tagSets) {
+      for (let page = 0; page < SEARCH_MAX_PAGES && hits.size < limit; page++) {
+        const data = await searchPage({ query, tags, numericFilters: `created_at_i>${since}`, hitsPerPage: 100, page });
+        (data.hits || []).forEach(hit => hits.set(hit.objectID, hit));
+        if (page + 1 >= (data.nbPages || 0)) break;
+      }
+    }
+  }
+
+  return {
+    postings: Array.from(hits.values()).map(parseHit).filter(p => p.text).slice(0, limit)
+  };
+};
+
+module.exports = {
+  ...adapter,
+  fetch,
+  search: searchArchive,
+  parseHit
+};
@@ -0,0 +1,74 @@
+/**
+ * Scraper Registry
+ * Source adapters keyed by ScrapeSource.key
+ *
+ * An adapter is a module exporting:
+ *   key          - ScrapeSource.key it serves (e.g. 'hackerNews')
+ *   name         - display name
+ *   leadSource   - Lead.source enum value its postings carry
+ *   fetch(config, cursor) -> Promise<{ postings, cursor }>
+ *   search(config, { since, terms, limit }) -> Promise<{ postings }>
+ *                - optional: archive search used by backfills
+ *
+ * `config` is the source's ScrapeSource.config JSONB; `cursor` is whatever the
+ * adapter returned from its previous run. Postings use the shape documented
+ * on createPosting in ./utils.
+ *
+ * Sources users add for themselves aren't in the registry: each feed
+ * (./rssFeed, feed- keys) or page monitor (./pageMonitor, page- keys) is a
+ * ScrapeSource row, served by an adapter built per source.
+ */
+
+const hackerNews = require('./hackerNews');
+const reddit = require('./reddit');
+const upwork = require('./upwork');
+const rssFeed = require('./rssFeed');
+const pageMonitor = require('./pageMonitor');
+
+const registry = new Map();
+
+const registerScraper = (adapter) => {
+  const missing = ['key', 'name', 'leadSource', 'fetch'].filter(field => !adapter[field]);
+  if (missing.length > 0) {
+    throw new Error(`Invalid scraper adapter: missing ${missing.join(', ')}`);
+  }
+  if (typeof adapter.fetch !== 'function') {
+    throw new Error(`Invalid scraper adapter "${adapter.key}": fetch must be a function`);
+  }
+
+  registry.set(adapter.key, adapter);
+  return adapter;
+};
+
+const getScraper = (key) => registry.get(key) || null;
+
+const listScrapers = () => Array.from(registry.values());
+
+// Adapter for a ScrapeSource row: the registered one, or one built for a personal source
+const getSourceScraper = (source) => {
+  if (rssFeed.isFeedKey(source.key)) return rssFeed.createFeedAdapter(source);
+  if (pageMonitor.isPageKey(source.key)) return pageMonitor.createPageAdapter(source);
+  return getScraper(source.key);
+};
+
+// Lead.source enum value for postings from a source key
+const getLeadSource = (key) => {
+  if (rssFeed.isFeedKey(key)) return rssFeed.LEAD_SOURCE;
+  if (pageMonitor.isPageKey(key)) return pageMonitor.LEAD_SOURCE;
+  const adapter = getScraper(key);
+  return adapter ? adapter.leadSource : null;
+};
+
+// Feeds and page monitors a user added: one owner, and a cursor that already skips items seen before
+const isPersonalSourceKey = (key) => rssFeed.isFeedKey(key) || pageMonitor.isPageKey(key);
+
+[hackerNews, reddit, upwork].forEach(registerScraper);
+
+module.exports = {
+  registerScraper,
+  getScraper,
+  listScrapers,
+  getSourceScraper,
+  getLeadSource,
+  isPersonalSourceKey
+};
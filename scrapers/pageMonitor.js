@@ -0,0 +1,206 @@
+/**
+ * Page Monitor Scraper
+ * Personal sources for pages without a feed (forum boards, RFP listings,
+ * directories). The user picks CSS selectors: one matching each item on the
+ * page, and one per field inside it. Items not seen on earlier runs become
+ * postings. Selectors live in ScrapeSource.config { url, itemSelector, fields };
+ * the cursor remembers which items were seen.
+ */
+
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const http = require('../services/httpClient');
+const { createPosting } = require('./utils');
+
+const PAGE_KEY_PREFIX = 'page-';
+
+const LEAD_SOURCE = 'web';
+
+const FIELDS = ['title', 'link', 'body', 'date'];
+
+// Item ids remembered per page; the oldest are forgotten first
+const MAX_SEEN_ITEMS = 1000;
+
+// Items read per page, so a broad selector can't flood the pipeline
+const MAX_ITEMS_PER_PAGE = 200;
+
+const isPageKey = (key) => typeof key === 'string' && key.startsWith(PAGE_KEY_PREFIX);
+
+// "a.title" reads text; "a.title@href" reads an attribute; "@href" reads the item's own attribute
+const parseFieldSelector = (value) => {
+  const at = value.lastIndexOf('@');
+  if (at === -1) return { selector: value.trim(), attr: null };
+  return { selector: value.slice(0, at).trim(), attr: value.slice(at + 1).trim() };
+};
+
+const checkSelector = ($, selector) => {
+  try {
+    $.root().find(selector);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/**
+ * @returns {Array<{path, msg}>} Problems with the selector config, empty when valid
+ */
+const validateSelectors = ({ itemSelector, fields } = {}) => {
+  const $ = cheerio.load('');
+  const errors = [];
+
+  if (typeof itemSelector !== 'string' || !itemSelector.trim()) {
+    errors.push({ path: 'itemSelector', msg: 'is required' });
+  } else {
+    const problem = checkSelector($, itemSelector);
+    if (problem) errors.push({ path: 'itemSelector', msg: `invalid selector: ${problem}` });
+  }
+
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    errors.push({ path: 'fields', msg: 'must be an object' });
+    return errors;
+  }
+  if (!fields.title && !fields.link) {
+    errors.push({ path: 'fields', msg: 'needs a title or link selector' });
+  }
+
+  Object.entries(fields).forEach(([field, value]) => {
+    if (!FIELDS.includes(field)) {
+      errors.push({ path: `fields.${field}`, msg: `unknown field, expected one of ${FIELDS.join(', ')}` });
+      return;
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+      errors.push({ path: `fields.${field}`, msg: 'must be a selector' });
+      return;
+    }
+    const { selector, attr } = parseFieldSelector(value);
+    if (attr !== null && !/^[\w:-]+$/.test(attr)) {
+      errors.push({ path: `fields.${field}`, msg: 'attribute name after @ is invalid' });
+    } else if (selector) {
+      const problem = checkSelector($, selector);
+      if (problem) errors.push({ path: `fields.${field}`, msg: `invalid selector: ${problem}` });
+    }
+  });
+
+  return errors;
+};
+
+const readField = ($, item, value) => {
+  if (!value) return null;
+  const { selector, attr } = parseFieldSelector(value);
+  const target = selector ? $(item).find(selector).first() : $(item);
+  if (target.length === 0) return null;
+
+  const text = attr ? target.attr(attr) : target.text();
+  return text ? text.replace(/\s+/g, ' ').trim() || null : null;
+};
+
+const resolveLink = (link, pageUrl) => {
+  if (!link) return null;
+  try {
+    return new URL(link, pageUrl).toString();
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Items on a page with the given selectors
+ * @returns {Array<{id, title, link, body, date}>} id: stable per item (its link, or a hash of its text)
+ */
+const extractItems = (html, { url, itemSelector, fields }) => {
+  const $ = cheerio.load(html);
+
+  return $(itemSelector).toArray().slice(0, MAX_ITEMS_PER_PAGE).map(item => {
+    const title = readField($, item, fields.title);
+    const link = resolveLink(readField($, item, fields.link), url);
+    const body = readField($, item, fields.body);
+    const date = readField($, item, fields.date);
+    const id = link || crypto.createHash('sha1').update(`${title || ''}\n${body || ''}`).digest('hex');
+    return { id, title, link, body, date };
+  }).filter(item => item.title || item.body);
+};
+
+// Pages are crawled, so robots.txt applies (the client checks it)
+const fetchPage = async (url, headers = {}) => {
+  return http.get(url, { headers, responseType: 'text' });
+};
+
+const toPosting = (adapter, item, pageUrl) => createPosting(adapter, {
+  externalId: item.id,
+  url: item.link || pageUrl,
+  title: item.title,
+  text: item.body || item.title,
+  postedAt: item.date,
+  meta: { pageKey: adapter.key, pageUrl },
+  raw: item
+});
+
+/**
+ * Fetch the page and return the items not seen before
+ * @param {Object} config - { url, itemSelector, fields }
+ * @param {Object} cursor - { seen: Array<item id>, etag, lastModified }
+ * @returns {Promise<{postings: Array, cursor: Object, notModified: boolean}>}
+ */
+const fetchMonitoredPage = async (adapter, config = {}, cursor = {}) => {
+  if (!config.url || !config.itemSelector) throw new Error(`Page monitor ${adapter.key} has no URL or item selector`);
+
+  const headers = {};
+  if (cursor.etag) headers['If-None-Match'] = cursor.etag;
+  if (cursor.lastModified) headers['If-Modified-Since'] = cursor.lastModified;
+
+  const response = await fetchPage(config.url, headers);
+  if (response.status === 304) {
+    return { postings: [], cursor, notModified: true };
+  }
+
+  const seen = new Set(cursor.seen || []);
+  const items = extractItems(response.data, config);
+  const unseen = items.filter(item => !seen.has(item.id));
+
+  return {
+    postings: unseen.map(item => toPosting(adapter, item, config.url)),
+    cursor: {
+      seen: [...unseen.map(item => item.id), ...(cursor.seen || [])].slice(0, MAX_SEEN_ITEMS),
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null
+    },
+    notModified: false
+  };
+};
+
+/**
+ * Fetch the page and extract items with the given selectors, without
+ * remembering anything
+ * @returns {Promise<{itemCount: number, items: Array}>}
+ */
+const previewPage = async (config) => {
+  const response = await fetchPage(config.url);
+  const items = extractItems(response.data, config);
+  return { itemCount: items.length, items };
+};
+
+/**
+ * Adapter for one page monitor (a ScrapeSource with a page- key)
+ */
+const createPageAdapter = (source) => {
+  const adapter = {
+    key: source.key,
+    name: source.name,
+    leadSource: LEAD_SOURCE
+  };
+  return {
+    ...adapter,
+    fetch: (config, cursor) => fetchMonitoredPage(adapter, config, cursor)
+  };
+};
+
+module.exports = {
+  PAGE_KEY_PREFIX,
+  LEAD_SOURCE,
+  isPageKey,
+  validateSelectors,
+  extractItems,
+  previewPage,
+  createPageAdapter
+};
@@ -0,0 +1,210 @@
+/**
+ * Reddit Scraper
+ * Reads the newest posts from a set of subreddits via the public JSON listing,
+ * one request per subreddit so busy subreddits don't crowd out small ones.
+ * The cursor keeps a high-water mark per subreddit, so later runs page back
+ * only as far as the newest post already seen. Backfills use Reddit search,
+ * restricted to the same subreddits.
+ */
+
+const http = require('../services/httpClient');
+const { createPosting } = require('./utils');
+
+const DEFAULT_CONFIG = {
+  subreddits: ['forhire', 'startups', 'smallbusiness', 'entrepreneur', 'marketing'],
+  limit: 100
+};
+
+const SUBREDDIT_NAME = /^[a-z0-9_]{2,21}$/;
+
+// Page size once a subreddit has a high-water mark; frequent polls rarely need more
+const INCREMENTAL_PAGE_SIZE = 25;
+
+// Reddit rejects long search queries; terms are OR-ed into queries up to this length
+const MAX_SEARCH_QUERY_LENGTH = 250;
+
+const normalizeSubreddit = (name) => String(name).trim().toLowerCase().replace(/^\/?r\//, '');
+
+const getSubreddits = (options) => Array.from(new Set(options.subreddits.map(normalizeSubreddit)))
+  .filter(name => SUBREDDIT_NAME.test(name));
+
+const adapter = {
+  key: 'reddit',
+  name: 'Reddit',
+  leadSource: 'reddit'
+};
+
+/**
+ * Convert one listing child (`{ kind: 't3', data }`) into a posting
+ */
+const parsePost = (child) => {
+  const post = child.data || child;
+
+  return createPosting(adapter, {
+    externalId: post.name || `t3_${post.id}`,
+    url: `https://www.reddit.com${post.permalink}`,
+    title: post.title,
+    text: post.selftext || post.title,
+    author: post.author,
+    postedAt: post.created_utc,
+    meta: {
+      subreddit: post.subreddit ? post.subreddit.toLowerCase() : null,
+      flair: post.link_flair_text || null,
+      score: post.score || 0,
+      numComments: post.num_comments || 0
+    },
+    raw: post
+  });
+};
+
+/**
+ * Parse a listing response body into postings, dropping stickies
+ */
+const parseListing = (body) => {
+  const children = (body && body.data && body.data.children) || [];
+  return children
+    .filter(child => child.kind === 't3' && !child.data.stickied)
+    .map(parsePost);
+};
+
+/**
+ * Posts in a subreddit newer than `since` (unix seconds), newest first, at most
+ * `limit`, a page at a time until an older post turns up
+ */
+const fetchSubreddit = async (subreddit, { limit, since = 0, pageSize = limit }) => {
+  const posts = [];
+  let after;
+
+  while (posts.length < limit) {
+    // The JSON listings are Reddit's public API; robots.txt covers crawling the site
+    const response = await http.get(`https://www.reddit.com/r/${subreddit}/new.json`, {
+      params: { limit: pageSize, raw_json: 1, after },
+      checkRobots: false
+    });
+
+    const page = parseListing(response.data);
+    const fresh = page.filter(p => !p.postedAt || p.postedAt.getTime() / 1000 > since);
+    posts.push(...fresh);
+
+    after = response.data && response.data.data && response.data.data.after;
+    if (!after || page.length === 0 || fresh.length < page.length) break;
+  }
+
+  return posts.slice(0, limit);
+};
+
+const newestPostedAt = (postings, since) => postings.reduce(
+  (max, p) => Math.max(max, p.postedAt ? Math.floor(p.postedAt.getTime() / 1000) : 0),
+  since
+);
+
+/**
+ * @param {Object} config - ScrapeSource.config for reddit ({ subreddits, limit }); the
+ *   worker replaces subreddits with the union of what its due users follow
+ * @param {Object} cursor - { since: unix seconds to fetch back to at most,
+ *   subreddits: { name: unix seconds of the newest post seen there } }
+ * @returns {Promise<{postings: Array, cursor: Object}>}
+ * @throws only when every subreddit failed; private or banned ones are skipped
+ */
+const fetch = async (config = {}, cursor = {}) => {
+  const options = { ...DEFAULT_CONFIG, ...config };
+  const subreddits = getSubreddits(options);
+  if (subreddits.length === 0) {
+    return { postings: [], cursor };
+  }
+
+  const postings = [];
+  const failures = [];
+  const highWater = { ...(cursor.subreddits || {}) };
+  for (const subreddit of subreddits) {
+    const since = Math.max(highWater[subreddit] || 0, cursor.since || 0);
+    // A subreddit seen before only needs the few posts since then
+    const pageSize = highWater[subreddit] ? Math.min(INCREMENTAL_PAGE_SIZE, options.limit) : options.limit;
+    try {
+      const fetched = await fetchSubreddit(subreddit, { limit: options.limit, since, pageSize });
+      postings.push(...fetched);
+      highWater[subreddit] = newestPostedAt(fetched, since) || null;
+    } catch (error) {
+      failures.push(`r/${subreddit}: ${error.message}`);
+    }
+  }
+
+  if (failures.length === subreddits.length) {
+    throw new Error(`All subreddits failed (${failures.join('; ')})`);
+  }
+  if (failures.length > 0) {
+    console.warn(`⚠️ Reddit: skipped ${failures.join('; ')}`);
+  }
+
+  return {
+    postings,
+    cursor: { subreddits: highWater }
+  };
+};
+
+// Search only takes whole periods; the smallest one reaching back to `since`
+const searchPeriod = (since) => {
+  const days = (Date.now() / 1000 - since) / (24 * 60 * 60);
+  if (days <= 1) return 'day';
+  if (days <= 7) return 'week';
+  if (days <= 31) return 'month';
+  return 'year';
+};
+
+const buildSearchQueries = (terms) => {
+  const queries = [];
+  let current = '';
+  for (const term of terms) {
+    const part = term.includes(' ') ? `"${term}"` : term;
+    const next = current ? `${current} OR ${part}` : part;
+    if (current && next.length > MAX_SEARCH_QUERY_LENGTH) {
+      queries.push(current);
+      current = part;
+    } else {
+      current = next;
+    }
+  }
+  if (current) queries.push(current);
+  return queries;
+};
+
+/**
+ * Search the subreddits for posts since `since` mentioning any of `terms`
+ * @param {Object} options - { since: unix seconds, terms: Array<string>, limit }
+ * @returns {Promise<{postings: Array}>}
+ */
+const searchArchive = async (config = {}, { since, terms, limit = 1000 }) => {
+  const options = { ...DEFAULT_CONFIG, ...config };
+  const subreddits = getSubreddits(options);
+  if (subreddits.length === 0) return { postings: [] };
+
+  const postings = new Map();
+  for (const q of buildSearchQueries(terms)) {
+    let after;
+    do {
+      const response = await http.get(`https://www.reddit.com/r/${subreddits.join('+')}/search.json`, {
+        params: { q, restrict_sr: 1, sort: 'new', t: searchPeriod(since), limit: 100, after, raw_json: 1 },
+        checkRobots: false
+      });
+
+      const page = parseListing(response.data);
+      const fresh = page.filter(p => !p.postedAt || p.postedAt.getTime() / 1000 > since);
+      fresh.forEach(p => postings.set(p.externalId, p));
+
+      after = response.data && response.data.data && response.data.data.after;
+      if (fresh.length < page.length) break;
+    } while (after && postings.size < limit);
+  }
+
+  return { postings: Array.from(postings.values()).slice(0, limit) };
+};
+
+module.exports = {
+  ...adapter,
+  DEFAULT_CONFIG,
+  normalizeSubreddit,
+  fetch,
+  search: searchArchive,
+  parsePost,
+  parseListing
+};
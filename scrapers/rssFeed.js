@@ -0,0 +1,171 @@
+/**
+ * RSS/Atom Feed Scraper
+ * Personal sources: any feed a user registers (job boards, forums, Google
+ * Alerts, ...). Each feed is a ScrapeSource row owned by the user, with
+ * config { url, mapping } and a cursor holding the HTTP validators.
+ */
+
+const http = require('../services/httpClient');
+const { splitFeed, parseFeedItem, isFeed, readTag, readAttr } = require('./feed');
+const { stripHtml, createPosting } = require('./utils');
+
+const FEED_KEY_PREFIX = 'feed-';
+
+const LEAD_SOURCE = 'rss';
+
+// Feeds list recent items only; anything bigger isn't worth parsing
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+
+// Posting fields a feed can map, and the item field each reads by default
+const DEFAULT_MAPPING = {
+  title: 'title',
+  description: 'description',
+  link: 'link',
+  author: 'author'
+};
+
+// Fields the feed parser already extracts for RSS and Atom alike
+const PARSED_FIELDS = ['title', 'link', 'description', 'author', 'published', 'guid'];
+
+// An element name ("job:company") or element@attribute ("enclosure@url")
+const MAPPING_PATTERN = /^[a-z_][\w.:-]*(?:@[a-z_][\w:-]*)?$/i;
+
+const isFeedKey = (key) => typeof key === 'string' && key.startsWith(FEED_KEY_PREFIX);
+
+/**
+ * @returns {Array<{path, msg}>} Problems with a mapping, empty when valid
+ */
+const validateMapping = (mapping) => {
+  if (mapping === undefined || mapping === null) return [];
+  if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return [{ path: 'mapping', msg: 'must be an object' }];
+  }
+
+  const errors = [];
+  Object.entries(mapping).forEach(([field, value]) => {
+    if (!DEFAULT_MAPPING[field]) {
+      errors.push({ path: `mapping.${field}`, msg: `unknown field, expected one of ${Object.keys(DEFAULT_MAPPING).join(', ')}` });
+    } else if (typeof value !== 'string' || !MAPPING_PATTERN.test(value)) {
+      errors.push({ path: `mapping.${field}`, msg: 'must be an element name, optionally with @attribute' });
+    }
+  });
+  return errors;
+};
+
+// Value of a mapped field: a parsed field, or read straight from the item's XML
+const readMapped = (fragment, parsed, source) => {
+  if (PARSED_FIELDS.includes(source)) return parsed[source];
+
+  const [tag, attr] = source.split('@');
+  return attr ? readAttr(fragment, tag, attr) : readTag(fragment, tag);
+};
+
+/**
+ * Convert one feed item into a posting for the given feed source
+ */
+const parseItem = (adapter, fragment, format, mapping) => {
+  const parsed = parseFeedItem(fragment, format);
+  const field = (name) => readMapped(fragment, parsed, mapping[name]);
+  const link = field('link');
+
+  return createPosting(adapter, {
+    externalId: parsed.guid || link,
+    url: link,
+    title: stripHtml(field('title') || ''),
+    text: stripHtml(field('description') || ''),
+    author: field('author'),
+    postedAt: parsed.published,
+    meta: { feedKey: adapter.key, categories: parsed.categories },
+    raw: parsed
+  });
+};
+
+// Postings in a feed body, newer than `since` (unix seconds)
+const parseFeedBody = (adapter, body, mapping, since = 0) => {
+  const { format, items } = splitFeed(body);
+  return items
+    .map(fragment => parseItem(adapter, fragment, format, mapping))
+    .filter(p => p.externalId && (!p.postedAt || p.postedAt.getTime() / 1000 > since));
+};
+
+/**
+ * Fetch a feed, conditionally when the cursor has validators from last time
+ * @param {Object} config - { url, mapping }
+ * @param {Object} cursor - { since: unix seconds, etag, lastModified }
+ * @returns {Promise<{postings: Array, cursor: Object, notModified: boolean}>}
+ */
+const fetchFeed = async (adapter, config = {}, cursor = {}) => {
+  if (!config.url) throw new Error(`Feed ${adapter.key} has no URL`);
+
+  const mapping = { ...DEFAULT_MAPPING, ...(config.mapping || {}) };
+  const headers = { Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, */*;q=0.8' };
+  if (cursor.etag) headers['If-None-Match'] = cursor.etag;
+  if (cursor.lastModified) headers['If-Modified-Since'] = cursor.lastModified;
+
+  // Feeds are published for readers to poll, so robots.txt isn't consulted
+  // for the feed itself, only when it redirects to another site; the HTTP
+  // client still refuses private and loopback addresses on every hop
+  const response = await http.get(config.url, {
+    headers,
+    responseType: 'text',
+    checkRobots: 'redirects',
+    maxBytes: MAX_FEED_BYTES
+  });
+
+  if (response.status === 304) {
+    return { postings: [], cursor, notModified: true };
+  }
+
+  const since = cursor.since || 0;
+  const postings = parseFeedBody(adapter, response.data, mapping, since);
+  const newest = postings.reduce((max, p) => Math.max(max, p.postedAt ? Math.floor(p.postedAt.getTime() / 1000) : 0), since);
+
+  return {
+    postings,
+    cursor: {
+      since: newest || null,
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null
+    },
+    notModified: false
+  };
+};
+
+/**
+ * Fetch a feed unconditionally and parse it with the given mapping, to check
+ * a feed before it is saved
+ * @throws when the URL can't be fetched, isn't a public address or isn't a feed
+ */
+const previewFeed = async (url, mapping = {}) => {
+  const response = await http.get(url, { responseType: 'text', checkRobots: 'redirects', maxBytes: MAX_FEED_BYTES });
+  if (!isFeed(response.data)) throw new Error('URL is not an RSS or Atom feed');
+
+  const adapter = { key: `${FEED_KEY_PREFIX}preview`, name: 'Preview', leadSource: LEAD_SOURCE };
+  return parseFeedBody(adapter, response.data, { ...DEFAULT_MAPPING, ...mapping });
+};
+
+/**
+ * Adapter for one registered feed (a ScrapeSource with a feed- key)
+ */
+const createFeedAdapter = (source) => {
+  const adapter = {
+    key: source.key,
+    name: source.name,
+    leadSource: LEAD_SOURCE
+  };
+  return {
+    ...adapter,
+    fetch: (config, cursor) => fetchFeed(adapter, config, cursor)
+  };
+};
+
+module.exports = {
+  FEED_KEY_PREFIX,
+  LEAD_SOURCE,
+  MAX_FEED_BYTES,
+  DEFAULT_MAPPING,
+  isFeedKey,
+  validateMapping,
+  previewFeed,
+  createFeedAdapter
+};
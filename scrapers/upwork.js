@@ -0,0 +1,97 @@
+/**
+ * Upwork Scraper
+ * Reads job postings from Upwork's RSS search feeds
+ */
+
+const http = require('../services/httpClient');
+const { parseFeed } = require('./feed');
+const { stripHtml, createPosting } = require('./utils');
+
+const FEED_URL = 'https://www.upwork.com/ab/feed/jobs/rss';
+
+const DEFAULT_CONFIG = {
+  queries: ['marketing agency', 'lead generation', 'facebook ads', 'google ads'],
+  paging: '0;50'
+};
+
+const adapter = {
+  key: 'upwork',
+  name: 'Upwork',
+  leadSource: 'upwork'
+};
+
+// Upwork descriptions end with "<b>Budget</b>: $500<br /><b>Country</b>: ..." lines
+const readField = (html, label) => {
+  const match = html.match(new RegExp(`<b>${label}</b>:\\s*([^<]+)`, 'i'));
+  return match ? match[1].trim() : null;
+};
+
+// The job id is the "~01abc..." token at the end of the job link; feeds
+// usually percent-encode the tilde as %7E
+const jobIdFromLink = (link = '') => {
+  const match = link.match(/(?:~|%7E)([0-9a-z]+)/i);
+  return match ? `~${match[1]}` : null;
+};
+
+/**
+ * Convert one parsed feed item into a posting
+ */
+const parseItem = (item) => {
+  const html = item.description || '';
+  const budget = readField(html, 'Budget') || readField(html, 'Hourly Range');
+  const country = readField(html, 'Country');
+  const category = readField(html, 'Category');
+
+  return createPosting(adapter, {
+    externalId: jobIdFromLink(item.link) || item.guid || item.link,
+    url: item.link,
+    title: (item.title || '').replace(/\s*-\s*Upwork\s*$/i, ''),
+    text: stripHtml(html),
+    postedAt: item.published,
+    budgetHint: budget,
+    geo: country,
+    meta: { category },
+    raw: item
+  });
+};
+
+/**
+ * @param {Object} config - ScrapeSource.config for upwork ({ queries, paging })
+ * @param {Object} cursor - { since: unix seconds } of the newest job already seen
+ * @returns {Promise<{postings: Array, cursor: Object}>}
+ */
+const fetch = async (config = {}, cursor = {}) => {
+  const options = { ...DEFAULT_CONFIG, ...config };
+  const seen = new Set();
+  const postings = [];
+
+  for (const query of options.queries) {
+    // Feeds are published for readers to poll, so robots.txt isn't consulted
+    const response = await http.get(FEED_URL, {
+      params: { q: query, sort: 'recency', paging: options.paging },
+      responseType: 'text',
+      checkRobots: false
+    });
+
+    for (const posting of parseFeed(response.data).map(parseItem)) {
+      if (seen.has(posting.externalId)) continue;
+      seen.add(posting.externalId);
+      postings.push(posting);
+    }
+  }
+
+  const since = cursor.since || 0;
+  const fresh = postings.filter(p => !p.postedAt || p.postedAt.getTime() / 1000 > since);
+  const newest = fresh.reduce((max, p) => Math.max(max, p.postedAt ? Math.floor(p.postedAt.getTime() / 1000) : 0), since);
+
+  return {
+    postings: fresh,
+    cursor: { since: newest || null }
+  };
+};
+
+module.exports = {
+  ...adapter,
+  fetch,
+  parseItem
+};
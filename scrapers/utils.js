@@ -0,0 +1,115 @@
+/**
+ * Scraper Utilities
+ * Shared helpers for turning source payloads into normalized postings
+ */
+
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&#x27;': "'",
+  '&#x2F;': '/',
+  '&apos;': "'",
+  '&nbsp;': ' '
+};
+
+// Decode the handful of entities sources actually emit, plus numeric ones
+const decodeEntities = (text = '') => {
+  return text
+    .replace(/&(?:amp|lt|gt|quot|apos|nbsp|#39|#x27|#x2F);/g, entity => HTML_ENTITIES[entity])
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)));
+};
+
+// Strip tags and collapse whitespace, keeping paragraph breaks as newlines
+const stripHtml = (html = '') => {
+  return decodeEntities(
+    html
+      .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+      .replace(/<(?:br|\/p|p)\s*\/?>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+  )
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n')
+    .trim();
+};
+
+// Signal keyword groups, surfaced as tags on the lead
+const SIGNAL_PATTERNS = {
+  'Meta/Facebook Ads': /\b(?:facebook|meta|instagram) ads?\b/i,
+  'Google Ads': /\b(?:google ads|adwords|sem)\b/i,
+  'Shopify': /\bshopify\b/i,
+  'PPC': /\b(?:ppc|pay[- ]per[- ]click|paid (?:media|ads|social))\b/i,
+  'Performance focus': /\b(?:roas|cpa|cac|conversion rate|performance marketing)\b/i,
+  'Startup': /\b(?:startup|seed|pre-seed|series [abc])\b/i,
+  'SaaS': /\b(?:saas|b2b software)\b/i,
+  'E-commerce': /\b(?:e-?commerce|dtc|d2c|online store)\b/i,
+  'Hiring': /\b(?:hiring|we're hiring|join our team|looking to hire)\b/i,
+  'Urgent': /\b(?:asap|urgent(?:ly)?|immediately|right away)\b/i,
+  'Remote': /\bremote\b/i
+};
+
+const extractSignals = (text = '') => {
+  return Object.entries(SIGNAL_PATTERNS)
+    .filter(([, pattern]) => pattern.test(text))
+    .map(([signal]) => signal);
+};
+
+// First explicit money amount or range, e.g. "$5k", "$1,000-$2,500", "$40/hr"
+const extractBudget = (text = '') => {
+  const match = text.match(/\$\s?[\d,.]+\s?[kKmM]?(?:\s?(?:-|to)\s?\$?\s?[\d,.]+\s?[kKmM]?)?(?:\s?(?:\/|per )\s?(?:hr|hour|month|mo|year))?/);
+  return match ? match[0].replace(/\s+/g, ' ').trim() : null;
+};
+
+const toDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Build a normalized posting. Every adapter returns postings in this shape:
+ * {
+ *   sourceKey,   // ScrapeSource.key, e.g. 'hackerNews'
+ *   source,      // Lead.source enum value, e.g. 'hacker_news'
+ *   externalId,  // id on the source site, stable across runs
+ *   url, title, text, author,
+ *   postedAt,    // Date or null
+ *   companyName, signals, budgetHint, geo,
+ *   meta,        // source-specific extras (subreddit, feed id, ...)
+ *   raw          // original payload, kept for debugging
+ * }
+ */
+const createPosting = (adapter, fields) => {
+  const text = fields.text || '';
+  const title = fields.title || text.split('\n')[0].substring(0, 200);
+  const combined = `${title}\n${text}`;
+
+  return {
+    sourceKey: adapter.key,
+    source: adapter.leadSource,
+    externalId: fields.externalId ? String(fields.externalId) : null,
+    url: fields.url || null,
+    title,
+    text,
+    author: fields.author || null,
+    postedAt: toDate(fields.postedAt),
+    companyName: fields.companyName || null,
+    signals: fields.signals || extractSignals(combined),
+    budgetHint: fields.budgetHint || extractBudget(combined),
+    geo: fields.geo || null,
+    meta: fields.meta || {},
+    raw: fields.raw || null
+  };
+};
+
+module.exports = {
+  decodeEntities,
+  stripHtml,
+  extractSignals,
+  extractBudget,
+  toDate,
+  createPosting
+};
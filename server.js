@@ -4,10 +4,10 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 
 const db = require('./models');
-const { authenticate } = require('./middleware/auth');
+const { authenticate, requireAdmin } = require('./middleware/auth');
 
 // Route controllers
 const authController = require('./routes/auth');
@@ -17,6 +17,9 @@ const subscriptionController = require('./routes/subscription');
 const nichesController = require('./routes/niches');
 const onboardingController = require('./routes/onboarding');
 const scraperController = require('./routes/scraper');
+const feedsController = require('./routes/feeds');
+const pageMonitorsController = require('./routes/pageMonitors');
+const adminController = require('./routes/admin');
 const { 
   authenticateApiKey, 
   getLeadsPublic, 
@@ -100,6 +103,7 @@ app.put('/api/user/profile', authenticate, authController.updateProfile);
 app.get('/api/settings/ai', authenticate, settingsController.getAiSettings);
 app.put('/api/settings/ai', authenticate, settingsController.updateAiSettings);
 app.post('/api/settings/ai/test', authenticate, settingsController.testAiConnection);
+app.get('/api/settings/ai/model', authenticate, settingsController.getScoringModel);
 app.get('/api/settings/api-credentials', authenticate, settingsController.getApiCredentials);
 app.post('/api/settings/api-key/regenerate', authenticate, settingsController.regenerateApiKey);
 app.put('/api/settings/webhook', authenticate, settingsController.updateWebhook);
@@ -110,6 +114,15 @@ app.get('/api/leads', authenticate, leadsController.getLeads);
 app.get('/api/leads/stats', authenticate, leadsController.getLeadStats);
 app.get('/api/leads/:id', authenticate, leadsController.getLead);
 app.put('/api/leads/:id', authenticate, leadsController.updateLead);
+app.get('/api/leads/:id/duplicates', authenticate, leadsController.getLeadDuplicates);
+app.post('/api/leads/:id/merge', authenticate, [
+  param('id').isUUID().withMessage('must be a UUID'),
+  body('leadIds').optional().isArray({ min: 1 }).withMessage('must be a non-empty array'),
+  body('leadIds.*').isUUID().withMessage('must be a UUID')
+], leadsController.mergeLead);
+app.post('/api/leads/:id/unmerge', authenticate, [
+  param('id').isUUID().withMessage('must be a UUID')
+], leadsController.unmergeLead);
 
 // Subscription routes (protected)
 app.get('/api/subscription', authenticate, subscriptionController.getSubscription);
@@ -129,7 +142,11 @@ app.get('/api/niches/current', authenticate, nichesController.getCurrentNiche);
 app.post('/api/niches/apply', authenticate, nichesController.applyNiche);
 app.post('/api/niches/custom', authenticate, nichesController.createCustomNiche);
 app.put('/api/niches/keywords', authenticate, nichesController.updateKeywords);
-app.put('/api/niches/sources', authenticate, nichesController.updateSources);
+app.put('/api/niches/sources', authenticate, [
+  body('subreddits').optional().isObject().withMessage('must be an object with add and remove lists'),
+  body(['subreddits.add', 'subreddits.remove']).optional().isArray().withMessage('must be an array'),
+  body(['subreddits.add.*', 'subreddits.remove.*']).optional().isString().withMessage('must be a subreddit name')
+], nichesController.updateSources);
 
 // Onboarding routes (protected)
 app.get('/api/onboarding/status', authenticate, onboardingController.getOnboardingStatus);
@@ -142,8 +159,34 @@ app.post('/api/onboarding/skip', authenticate, onboardingController.skipOnboardi
 // Scraper settings routes (protected)
 app.get('/api/scraper/config', authenticate, scraperController.getScraperConfig);
 app.put('/api/scraper/config', authenticate, scraperController.updateScraperConfig);
-app.post('/api/scraper/test', authenticate, scraperController.testScraper);
+app.post('/api/scraper/test', authenticate, scraperController.limitFreshDryRuns, scraperController.testScraper);
+app.post('/api/scraper/backfill', authenticate, scraperController.backfillScraper);
 app.get('/api/scraper/lead-types', authenticate, scraperController.getLeadTypes);
+app.get('/api/scraper/runs', authenticate, [
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('must be an integer from 1 to 200').toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('must be a non-negative integer').toInt(),
+  query('since').optional().isISO8601().withMessage('must be an ISO 8601 date').toDate()
+], scraperController.getScrapeRuns);
+app.get('/api/scraper/runs/:id', authenticate, [
+  param('id').isUUID().withMessage('must be a UUID')
+], scraperController.getScrapeRun);
+
+// Personal sources: feeds and page monitors (protected)
+app.get('/api/feeds', authenticate, feedsController.getFeeds);
+app.post('/api/feeds', authenticate, feedsController.createFeed);
+app.put('/api/feeds/:key', authenticate, feedsController.updateFeed);
+app.delete('/api/feeds/:key', authenticate, feedsController.deleteFeed);
+app.get('/api/page-monitors', authenticate, pageMonitorsController.getPageMonitors);
+app.post('/api/page-monitors', authenticate, pageMonitorsController.createPageMonitor);
+app.post('/api/page-monitors/preview', authenticate, pageMonitorsController.previewPageMonitor);
+app.post('/api/page-monitors/:key/preview', authenticate, pageMonitorsController.previewPageMonitor);
+app.put('/api/page-monitors/:key', authenticate, pageMonitorsController.updatePageMonitor);
+app.delete('/api/page-monitors/:key', authenticate, pageMonitorsController.deletePageMonitor);
+
+// Admin routes (protected, admin only)
+app.get('/api/admin/scraper/health', authenticate, requireAdmin, adminController.getScraperHealth);
+app.get('/api/admin/ai/validation', authenticate, requireAdmin, adminController.getAiValidation);
+app.get('/api/admin/workers', authenticate, requireAdmin, adminController.listWorkers);
 
 // Competitor Defector routes (protected)
 app.use('/api/competitor-defector', authenticate, competitorDefectorRoutes);
@@ -1,6 +1,12 @@
+const crypto = require('crypto');
 const axios = require('axios');
+const nicheScoring = require('./nicheScoring');
+const { validate, extractJson } = require('./structuredOutput');
 
 // Provider configurations
+// jsonMode: how the provider is held to a JSON reply, 'response_format' (JSON
+// object mode) or 'prefill' (the assistant turn starts with "{"); null when
+// it only has the prompt to go on
 const PROVIDERS = {
   rule: {
     name: 'Rule-Based (FREE)',
@@ -11,62 +17,264 @@ const PROVIDERS = {
     name: 'Groq',
     model: 'llama3-8b-8192',
     costPer1K: 0.0005,
-    baseURL: 'https://api.groq.com/openai/v1'
+    baseURL: 'https://api.groq.com/openai/v1',
+    jsonMode: 'response_format'
   },
   together: {
     name: 'Together AI',
     model: 'mistralai/Mixtral-8x7B-Instruct-v0.1',
     costPer1K: 0.0006,
-    baseURL: 'https://api.together.xyz/v1'
+    baseURL: 'https://api.together.xyz/v1',
+    jsonMode: null // JSON mode depends on the model
   },
   openai: {
     name: 'OpenAI',
     model: 'gpt-3.5-turbo',
     costPer1K: 0.0015,
-    baseURL: 'https://api.openai.com/v1'
+    baseURL: 'https://api.openai.com/v1',
+    jsonMode: 'response_format'
   },
   anthropic: {
     name: 'Anthropic',
     model: 'claude-3-haiku-20240307',
     costPer1K: 0.001,
-    baseURL: 'https://api.anthropic.com/v1'
+    baseURL: 'https://api.anthropic.com/v1',
+    jsonMode: 'prefill'
   },
   custom: {
     name: 'Custom/OpenAI-Compatible',
     model: null, // User specifies
-    costPer1K: 0
+    costPer1K: 0, // Unknown; the user's aiCostPer1K is used when they set one
+    jsonMode: null
   }
 };
 
+const SCORE_RANK = { cold: 0, warm: 1, hot: 2 };
+
+// Keywords rule-based scoring looks for; hot ones are worth 3 points, warm ones 1
+const SIGNALS = {
+  hot: {
+    urgent: ['urgent', 'asap', 'immediately', 'this week', 'today', 'hiring now', 'start asap'],
+    budget: ['$50k', '$100k', '$500k', '$1m', 'budget approved', 'series a', 'series b'],
+    decision: ['decision made', 'approved', 'ready to buy', 'ready to start'],
+    action: ['book a call', 'schedule demo', 'send proposal', 'lets talk']
+  },
+  warm: {
+    interest: ['interested', 'looking for', 'seeking', 'considering', 'evaluating'],
+    research: ['comparing', 'research', 'explore', 'get quote', 'pricing'],
+    timing: ['next month', 'next quarter', 'soon', 'planning to']
+  }
+};
+
+// First dollar amount in the text ("$5,000", "$50k")
+const BUDGET_PATTERN = /\$[\d,]+(?:k|K)?|\$[\d,]+(?:m|M)?/i;
+
 // Default provider
 const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'rule';
 
-// Score a lead using AI or rule-based
-// Options: { apiKey, model, baseUrl } for user-provided credentials
-const scoreLead = async (leadText, provider = DEFAULT_PROVIDER, options = {}) => {
-  // Always use rule-based if explicitly set
-  if (provider === 'rule') {
-    return enhancedRuleBasedScoring(leadText);
+// Batches pack leads into one prompt up to this many input tokens, and this many leads
+const BATCH_INPUT_TOKENS = parseInt(process.env.AI_BATCH_INPUT_TOKENS || '3000');
+const BATCH_MAX_LEADS = parseInt(process.env.AI_BATCH_MAX_LEADS || '10');
+
+// Lead text beyond this is cut before it goes into a prompt
+const MAX_LEAD_CHARS = 2000;
+
+// Reply tokens allowed per scored lead, plus a little for the surrounding JSON
+const OUTPUT_TOKENS_PER_LEAD = 100;
+
+const BUDGET_EXCEEDED = 'AI_BUDGET_EXCEEDED';
+const INVALID_OUTPUT = 'AI_INVALID_OUTPUT';
+
+// What a scoring reply must hold for each lead
+const SCORING_PROPERTIES = {
+  score: { type: 'string', enum: ['hot', 'warm', 'cold'] },
+  reason: { type: 'string', minLength: 1, maxLength: 1000 },
+  confidence: { type: 'number', minimum: 0, maximum: 100 },
+  budgetSignal: { type: ['string', 'null'] },
+  urgencySignal: { type: ['string', 'null'] }
+};
+
+const SCORING_SCHEMA = {
+  type: 'object',
+  required: ['score', 'reason', 'confidence'],
+  properties: SCORING_PROPERTIES
+};
+
+// One entry per lead in the batch, numbered 1..size
+const batchSchema = (size) => ({
+  type: 'object',
+  required: ['leads'],
+  properties: {
+    leads: {
+      type: 'array',
+      minItems: size,
+      maxItems: size,
+      uniqueKey: 'id',
+      items: {
+        type: 'object',
+        required: ['id', 'score', 'reason', 'confidence'],
+        properties: { id: { type: 'integer', minimum: 1, maximum: size }, ...SCORING_PROPERTIES }
+      }
+    }
   }
+});
+
+// Rough token count (~4 characters each), for budgeting before a call
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+// USD per 1K tokens: the provider's list price, or the user's own for a custom endpoint
+const priceFor = (provider, costPer1K = null) => {
+  const config = PROVIDERS[provider];
+  if (!config) return 0;
+  if (provider === 'custom' && costPer1K !== null && costPer1K !== undefined) return parseFloat(costPer1K);
+  return config.costPer1K;
+};
+
+const estimateCost = (provider, inputTokens, outputTokens, costPer1K = null) => {
+  return ((inputTokens + outputTokens) / 1000) * priceFor(provider, costPer1K);
+};
+
+// The provider config when a lead can be scored with AI, null when rules have to do
+const aiProviderFor = (provider, options) => {
+  if (provider === 'rule') return null;
 
   const config = PROVIDERS[provider];
   if (!config) {
     console.warn(`Unknown provider: ${provider}, using rule-based`);
-    return enhancedRuleBasedScoring(leadText);
+    return null;
   }
 
   // If no API key provided and not using env vars, fall back to rule-based
-  const apiKey = options.apiKey;
-  if (!apiKey && provider !== 'rule') {
+  if (!options.apiKey) {
     console.log(`No API key for ${provider}, using rule-based`);
-    return enhancedRuleBasedScoring(leadText);
+    return null;
   }
+  return config;
+};
 
-  const prompt = `Analyze this lead and classify as Hot, Warm, or Cold based on buying intent.
+const nicheContextFor = (niche) => (niche
+  ? `\nThe user sells to the "${niche.name}" niche${niche.description ? ` (${niche.description})` : ''}. Judge buying intent for what they offer.\n`
+  : '');
+
+/**
+ * Call a provider with a user's key, metered: the estimated cost is reserved
+ * against options.budget first (throws with code AI_BUDGET_EXCEEDED when it
+ * doesn't fit) and the actual usage is recorded through it afterwards
+ * @param {Object} options - { apiKey, model, baseUrl, costPer1K (custom provider's price),
+ *   budget: { reserve, record } }
+ * @param {Object} call - { purpose, leadCount, maxTokens, json } and optionally
+ *   check(reply) -> boolean, recorded as whether the reply was valid
+ * @returns {Promise<string>} The reply text
+ */
+const meteredCall = async (prompt, provider, options, { purpose, leadCount = 1, maxTokens, json = false, check = null }) => {
+  const { budget } = options;
+  const model = options.model || PROVIDERS[provider].model;
+  const reservedUsd = estimateCost(provider, estimateTokens(prompt), maxTokens, options.costPer1K);
+
+  if (budget && !budget.reserve(reservedUsd)) {
+    const error = new Error('Monthly AI budget reached');
+    error.code = BUDGET_EXCEEDED;
+    throw error;
+  }
+
+  const entry = { provider, model, purpose, leadCount, reservedUsd };
+  try {
+    const { content, usage } = await callProviderWithUsage(prompt, provider, { ...options, maxTokens, json });
+    if (budget) {
+      await budget.record({
+        ...entry,
+        ...usage,
+        costUsd: estimateCost(provider, usage.inputTokens, usage.outputTokens, options.costPer1K),
+        success: true,
+        outputValid: check ? check(content) : null
+      });
+    }
+    return content;
+  } catch (error) {
+    // Failed requests aren't billed, but are kept for the error rate
+    if (budget) await budget.record({ ...entry, costUsd: 0, success: false, error: error.message });
+    throw error;
+  }
+};
+
+// The reply's JSON checked against schema; scores are compared lowercased
+const parseReply = (content, schema) => {
+  const { value, error } = extractJson(content);
+  if (error) return { value: null, errors: [error] };
+
+  const entries = value && Array.isArray(value.leads) ? value.leads : [value];
+  entries.forEach(entry => {
+    if (entry && typeof entry.score === 'string') entry.score = entry.score.trim().toLowerCase();
+  });
+  return { value, errors: validate(value, schema) };
+};
+
+const repairPrompt = (prompt, reply, errors) => `${prompt}
+
+Your previous reply did not match the requested format:
+${errors.slice(0, 10).map(error => `- ${error}`).join('\n')}
+
+Previous reply:
+"""${String(reply).substring(0, 2000)}"""
+
+Respond again with only the corrected JSON.`;
+
+/**
+ * A metered call whose reply must match `schema`. An invalid reply gets one
+ * repair call (purpose 'repair') listing what was wrong with it; if that
+ * reply is invalid too, throws with code AI_INVALID_OUTPUT, carrying the
+ * last parsed value and its errors.
+ * @param {Object} call - as for meteredCall, plus { schema }
+ * @returns {Promise<Object>} The validated reply
+ */
+const structuredCall = async (prompt, provider, options, { schema, ...call }) => {
+  const check = (content) => parseReply(content, schema).errors.length === 0;
+
+  const content = await meteredCall(prompt, provider, options, { ...call, json: true, check });
+  const reply = parseReply(content, schema);
+  if (reply.errors.length === 0) return reply.value;
+
+  console.warn(`⚠️ Invalid ${provider} reply, asking for a repair: ${reply.errors.slice(0, 3).join('; ')}`);
+  const repairContent = await meteredCall(repairPrompt(prompt, content, reply.errors), provider, options, {
+    ...call,
+    purpose: 'repair',
+    json: true,
+    check
+  });
+  const repaired = parseReply(repairContent, schema);
+  if (repaired.errors.length === 0) return repaired.value;
+
+  const error = new Error(`Invalid AI reply after repair: ${repaired.errors.slice(0, 3).join('; ')}`);
+  error.code = INVALID_OUTPUT;
+  error.value = repaired.value;
+  error.errors = repaired.errors;
+  throw error;
+};
+
+// Rule-based result for a lead the AI couldn't score, noting what failed
+const fallbackScoring = (leadText, provider, options, error) => ({
+  ...enhancedRuleBasedScoring(leadText, options.niche),
+  fallbackFrom: provider,
+  error: error.message,
+  budgetExceeded: error.code === BUDGET_EXCEEDED,
+  invalidOutput: error.code === INVALID_OUTPUT
+});
 
+// Score a lead using AI or rule-based
+// Options: { apiKey, model, baseUrl } for user-provided credentials,
+// { niche } from nicheScoring.getUserNiche to score for the user's niche,
+// { budget, purpose } to meter the call (see meteredCall)
+const scoreLead = async (leadText, provider = DEFAULT_PROVIDER, options = {}) => {
+  const config = aiProviderFor(provider, options);
+  if (!config) {
+    return enhancedRuleBasedScoring(leadText, options.niche);
+  }
+
+  const prompt = `Analyze this lead and classify as Hot, Warm, or Cold based on buying intent.
+${nicheContextFor(options.niche)}
 Lead: """${leadText}"""
 
-Respond in JSON format:
+Respond with only a JSON object:
 {
   "score": "hot|warm|cold",
   "reason": "brief explanation",
@@ -76,91 +284,294 @@ Respond in JSON format:
 }`;
 
   try {
-    let response;
-    const baseURL = options.baseUrl || config.baseURL;
-    const model = options.model || config.model;
-
-    if (provider === 'anthropic') {
-      // Anthropic Claude
-      response = await axios.post(`${baseURL}/messages`, {
-        model: model,
-        max_tokens: 300,
-        messages: [{ role: 'user', content: prompt }]
-      }, {
-        headers: { 
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-          'anthropic-version': '2023-06-01'
-        }
-      });
-      
-      const content = response.data.content[0].text;
-      return parseAIResponse(content);
-      
-    } else {
-      // OpenAI-compatible API (Groq, Together, OpenAI, Custom)
-      response = await axios.post(`${baseURL}/chat/completions`, {
-        model: model,
-        messages: [{ role: 'user', content: prompt }],
-        temperature: 0.3,
-        max_tokens: 300
-      }, {
-        headers: { 
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        }
-      });
-      
-      const content = response.data.choices[0].message.content;
-      return parseAIResponse(content);
-    }
-    
+    const reply = await structuredCall(prompt, provider, options, {
+      purpose: options.purpose || 'scoring',
+      maxTokens: 300,
+      schema: SCORING_SCHEMA
+    });
+    return {
+      ...normalizeAIScoring(reply),
+      method: 'ai',
+      provider,
+      model: options.model || config.model
+    };
   } catch (error) {
-    console.error(`AI scoring error (${provider}):`, error.message);
-    // Fall back to rule-based on any error
-    return enhancedRuleBasedScoring(leadText);
+    if (error.code !== BUDGET_EXCEEDED) console.error(`AI scoring error (${provider}):`, error.message);
+    // Fall back to rule-based on any error, noting what failed
+    return fallbackScoring(leadText, provider, options, error);
   }
 };
 
-// Parse AI JSON response
-const parseAIResponse = (content) => {
+// Group leads into prompts that stay within the token budget
+const packBatches = (units) => {
+  const batches = [];
+  let current = [];
+  let tokens = 0;
+
+  units.forEach(unit => {
+    const leadTokens = estimateTokens(unit.text);
+    if (current.length > 0 && (current.length >= BATCH_MAX_LEADS || tokens + leadTokens > BATCH_INPUT_TOKENS)) {
+      batches.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(unit);
+    tokens += leadTokens;
+  });
+  if (current.length > 0) batches.push(current);
+
+  return batches;
+};
+
+const batchPrompt = (batch, niche) => `Analyze these leads and classify each as Hot, Warm, or Cold based on buying intent.
+${nicheContextFor(niche)}
+${batch.map((lead, i) => `Lead ${i + 1}: """${lead.text}"""`).join('\n\n')}
+
+Respond with only a JSON object whose "leads" array holds one entry per lead, in order:
+{
+  "leads": [
+    {
+      "id": 1,
+      "score": "hot|warm|cold",
+      "reason": "brief explanation",
+      "confidence": 0-100,
+      "budgetSignal": "detected budget info or null",
+      "urgencySignal": "detected urgency info or null"
+    }
+  ]
+}`;
+
+// Changes whenever the batch prompt's wording does, so cached scores from an older prompt stop matching
+const PROMPT_VERSION = crypto.createHash('sha1')
+  .update(batchPrompt([{ text: '{lead}' }], { name: '{niche}', description: '{description}' }))
+  .digest('hex')
+  .substring(0, 12);
+
+// Same posting, provider, model, niche and prompt: same cache entry
+const scoreCacheKey = (text, provider, model, niche) => {
+  const normalized = String(text || '').substring(0, MAX_LEAD_CHARS).toLowerCase().replace(/\s+/g, ' ').trim();
+  const nicheKey = niche ? `${niche.id}:${niche.name}:${niche.description || ''}` : '';
+  return crypto.createHash('sha256')
+    .update([PROMPT_VERSION, provider, model || '', nicheKey, normalized].join('\n'))
+    .digest('hex');
+};
+
+// Lead number -> scoring for each batch reply entry that is valid on its own
+const batchReplies = (value, schema) => {
+  const replies = new Map();
+  const entries = value && Array.isArray(value.leads) ? value.leads : [];
+  entries.forEach(entry => {
+    if (validate(entry, schema.properties.leads.items).length > 0 || replies.has(entry.id)) return;
+    replies.set(entry.id, normalizeAIScoring(entry));
+  });
+  return replies;
+};
+
+// Score one batch into its units; a failed call falls back to rules for the
+// whole batch, a reply still invalid after repair only for the leads it got wrong
+const scoreBatch = async (batch, provider, config, options) => {
+  const schema = batchSchema(batch.length);
+  let replies;
+  let missing = new Error('Lead missing from batch reply');
   try {
-    const jsonMatch = content.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const parsed = JSON.parse(jsonMatch[0]);
-      return {
-        score: parsed.score?.toLowerCase() || 'warm',
-        reason: parsed.reason || 'AI analysis',
-        confidence: parsed.confidence || 70,
-        budgetSignal: parsed.budgetSignal,
-        urgencySignal: parsed.urgencySignal
-      };
+    const reply = await structuredCall(batchPrompt(batch, options.niche), provider, options, {
+      purpose: 'scoring',
+      leadCount: batch.length,
+      maxTokens: OUTPUT_TOKENS_PER_LEAD * batch.length + 50,
+      schema
+    });
+    replies = batchReplies(reply, schema);
+  } catch (error) {
+    if (error.code !== BUDGET_EXCEEDED) console.error(`AI scoring error (${provider}):`, error.message);
+    if (error.code !== INVALID_OUTPUT) {
+      batch.forEach(unit => { unit.result = fallbackScoring(unit.text, provider, options, error); });
+      return;
     }
-  } catch (e) {
-    console.log('Failed to parse AI response, using fallback');
+    replies = batchReplies(error.value, schema);
+    missing = error;
+  }
+
+  batch.forEach((unit, i) => {
+    const reply = replies.get(i + 1);
+    unit.result = reply
+      ? { ...reply, method: 'ai', provider, model: options.model || config.model, batchSize: batch.length }
+      : fallbackScoring(unit.text, provider, options, missing);
+  });
+};
+
+// Cached AI scores for these keys; a cache failure only costs the calls it would have saved
+const readCache = async (cache, keys) => {
+  if (!cache || keys.length === 0) return new Map();
+  try {
+    return await cache.getMany(keys);
+  } catch (error) {
+    console.error('AI score cache read failed:', error.message);
+    return new Map();
+  }
+};
+
+// The cache is shared by every user, so only replies from a provider's own
+// API go in or come out; a custom endpoint or base URL answers however its
+// owner likes
+const sharedCacheFor = (provider, config, options) => {
+  if (!options.cache || provider === 'custom') return null;
+  if (options.baseUrl && options.baseUrl.replace(/\/+$/, '') !== config.baseURL) return null;
+  return options.cache;
+};
+
+/**
+ * Score many leads with as few AI calls as the token budget allows.
+ * Identical posts are scored once; with options.cache, earlier AI scores
+ * for the same text, provider, model, niche and prompt are reused (not for
+ * the custom provider or a non-default baseUrl).
+ * @param {Array<string>} leadTexts
+ * @param {Object} options - as for scoreLead, plus { concurrency } batches in flight
+ *   at once and { cache } with getMany(keys) -> Map and setMany([{ key, result }])
+ * @returns {Promise<Array>} One scoreLead-style result per text, in order
+ */
+const scoreLeads = async (leadTexts, provider = DEFAULT_PROVIDER, options = {}) => {
+  const config = aiProviderFor(provider, options);
+  if (!config) {
+    return leadTexts.map(text => enhancedRuleBasedScoring(text, options.niche));
+  }
+
+  const model = options.model || config.model;
+  const units = new Map(); // cache key -> { key, text, indexes, result }
+  leadTexts.forEach((text, index) => {
+    const key = scoreCacheKey(text, provider, model, options.niche);
+    if (!units.has(key)) units.set(key, { key, text: String(text || '').substring(0, MAX_LEAD_CHARS), indexes: [], result: null });
+    units.get(key).indexes.push(index);
+  });
+
+  const cache = sharedCacheFor(provider, config, options);
+  const cached = await readCache(cache, [...units.keys()]);
+  let cacheHits = 0;
+  cached.forEach((result, key) => {
+    const unit = units.get(key);
+    if (!unit) return;
+    unit.result = { ...result, method: 'ai', provider, model, cached: true };
+    cacheHits += unit.indexes.length;
+  });
+
+  const pending = [...units.values()].filter(unit => !unit.result);
+  const batches = packBatches(pending);
+  const concurrency = options.concurrency || 1;
+
+  for (let i = 0; i < batches.length; i += concurrency) {
+    await Promise.all(
+      batches.slice(i, i + concurrency).map(batch => scoreBatch(batch, provider, config, options))
+    );
   }
+
+  const fresh = pending.filter(unit => unit.result.method === 'ai');
+  if (cache && fresh.length > 0) {
+    await cache.setMany(fresh.map(unit => ({ key: unit.key, provider, model, result: unit.result })))
+      .catch(error => console.error('AI score cache write failed:', error.message));
+  }
+  if (options.budget && options.budget.recordCache) {
+    await options.budget.recordCache({ provider, model, hits: cacheHits, misses: leadTexts.length - cacheHits });
+  }
+
+  const results = new Array(leadTexts.length);
+  units.forEach(unit => unit.indexes.forEach(index => { results[index] = unit.result; }));
+  return results;
+};
+
+// Send a prompt to a provider and return the raw text reply with the tokens it
+// used (estimated from text length when the provider doesn't say); throws on failure
+// Options: { apiKey, model, baseUrl, maxTokens }, and { json } to use the
+// provider's JSON mode (see PROVIDERS jsonMode)
+const callProviderWithUsage = async (prompt, provider, options = {}) => {
+  const config = PROVIDERS[provider];
+  if (!config || provider === 'rule') {
+    throw new Error(`Provider ${provider} does not take prompts`);
+  }
+
+  const baseURL = options.baseUrl || config.baseURL;
+  const model = options.model || config.model;
+  const maxTokens = options.maxTokens || 300;
+  const jsonMode = options.json ? config.jsonMode : null;
+
+  if (provider === 'anthropic') {
+    // Anthropic Claude; a prefilled "{" makes the reply continue a JSON object
+    const prefill = jsonMode === 'prefill' ? '{' : '';
+    const messages = [{ role: 'user', content: prompt }];
+    if (prefill) messages.push({ role: 'assistant', content: prefill });
+
+    const response = await axios.post(`${baseURL}/messages`, {
+      model: model,
+      max_tokens: maxTokens,
+      messages
+    }, {
+      headers: { 
+        'x-api-key': options.apiKey,
+        'Content-Type': 'application/json',
+        'anthropic-version': '2023-06-01'
+      }
+    });
+    
+    const content = prefill + response.data.content[0].text;
+    const usage = response.data.usage;
+    return {
+      content,
+      usage: usage
+        ? { inputTokens: usage.input_tokens || 0, outputTokens: usage.output_tokens || 0, tokensEstimated: false }
+        : estimatedUsage(prompt, content)
+    };
+  }
+
+  // OpenAI-compatible API (Groq, Together, OpenAI, Custom)
+  const body = {
+    model: model,
+    messages: [{ role: 'user', content: prompt }],
+    temperature: 0.3,
+    max_tokens: maxTokens
+  };
+  if (jsonMode === 'response_format') body.response_format = { type: 'json_object' };
+
+  const response = await axios.post(`${baseURL}/chat/completions`, body, {
+    headers: { 
+      'Authorization': `Bearer ${options.apiKey}`,
+      'Content-Type': 'application/json'
+    }
+  });
   
-  return enhancedRuleBasedScoring(content);
+  const content = response.data.choices[0].message.content;
+  const usage = response.data.usage;
+  return {
+    content,
+    usage: usage
+      ? { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0, tokensEstimated: false }
+      : estimatedUsage(prompt, content)
+  };
+};
+
+const estimatedUsage = (prompt, content) => ({
+  inputTokens: estimateTokens(prompt),
+  outputTokens: estimateTokens(content),
+  tokensEstimated: true
+});
+
+// Send a prompt to a provider and return the raw text reply; throws on failure
+const callProvider = async (prompt, provider, options = {}) => {
+  const { content } = await callProviderWithUsage(prompt, provider, options);
+  return content;
 };
 
+// A validated scoring entry, with the fields a lead's scoring keeps
+const normalizeAIScoring = (parsed) => ({
+  score: parsed.score,
+  reason: parsed.reason,
+  confidence: parsed.confidence,
+  budgetSignal: parsed.budgetSignal ?? null,
+  urgencySignal: parsed.urgencySignal ?? null
+});
+
 // Enhanced Rule-based scoring (FREE)
-const enhancedRuleBasedScoring = (text) => {
+// With a niche, its buyer-intent patterns and weights can raise the score
+const enhancedRuleBasedScoring = (text, niche = null) => {
   const lower = text.toLowerCase();
   
-  const SIGNALS = {
-    hot: {
-      urgent: ['urgent', 'asap', 'immediately', 'this week', 'today', 'hiring now', 'start asap'],
-      budget: ['$50k', '$100k', '$500k', '$1m', 'budget approved', 'series a', 'series b'],
-      decision: ['decision made', 'approved', 'ready to buy', 'ready to start'],
-      action: ['book a call', 'schedule demo', 'send proposal', 'lets talk']
-    },
-    warm: {
-      interest: ['interested', 'looking for', 'seeking', 'considering', 'evaluating'],
-      research: ['comparing', 'research', 'explore', 'get quote', 'pricing'],
-      timing: ['next month', 'next quarter', 'soon', 'planning to']
-    }
-  };
-  
   let hotScore = 0, warmScore = 0;
   let matchedSignals = [];
   
@@ -182,7 +593,7 @@ const enhancedRuleBasedScoring = (text) => {
     });
   });
   
-  const budgetMatch = text.match(/\$[\d,]+(?:k|K)?|\$[\d,]+(?:m|M)?/i);
+  const budgetMatch = text.match(BUDGET_PATTERN);
   const budgetSignal = budgetMatch ? budgetMatch[0] : null;
   if (budgetSignal) hotScore += 2;
   
@@ -204,6 +615,23 @@ const enhancedRuleBasedScoring = (text) => {
     reason = 'No strong buying signals detected';
   }
   
+  // The niche's own rules win when they rate the lead higher than the generic signals
+  const nicheScore = niche ? nicheScoring.scoreWithNiche(text, niche) : null;
+  if (nicheScore) {
+    const nicheLevel = nicheScoring.pointsToScore(nicheScore.points);
+    if (SCORE_RANK[nicheLevel] > SCORE_RANK[score]) {
+      score = nicheLevel;
+      confidence = Math.min(70 + nicheScore.points * 4, 95);
+      reason = nicheScoring.describeMatches(niche, nicheScore.matchedRules);
+    }
+    matchedSignals = [
+      ...nicheScore.matchedRules.budget,
+      ...nicheScore.matchedRules.urgency,
+      ...nicheScore.matchedRules.intent,
+      ...matchedSignals
+    ];
+  }
+  
   return {
     score,
     reason,
@@ -211,12 +639,16 @@ const enhancedRuleBasedScoring = (text) => {
     budgetSignal,
     urgencySignal: hotScore > 0 ? 'Urgency keywords detected' : null,
     method: 'rule-based',
-    signals: matchedSignals.slice(0, 5)
+    signals: matchedSignals.slice(0, 5),
+    niche: nicheScore ? { id: niche.id, name: niche.name, points: nicheScore.points, matchedRules: nicheScore.matchedRules } : null
   };
 };
 
-// Get cost estimate
-const getCostEstimate = (provider = DEFAULT_PROVIDER, leadsCount = 1000) => {
+// Tokens per batched lead: a typical post, its share of the prompt and its reply
+const ESTIMATED_TOKENS_PER_LEAD = 250 + Math.ceil(150 / BATCH_MAX_LEADS) + OUTPUT_TOKENS_PER_LEAD;
+
+// Get cost estimate; actual spend is in the ai_usage ledger (services/aiUsage)
+const getCostEstimate = (provider = DEFAULT_PROVIDER, leadsCount = 1000, tokensPerLead = ESTIMATED_TOKENS_PER_LEAD) => {
   const config = PROVIDERS[provider];
   if (!config || config.costPer1K === 0) {
     return {
@@ -228,7 +660,6 @@ const getCostEstimate = (provider = DEFAULT_PROVIDER, leadsCount = 1000) => {
     };
   }
   
-  const tokensPerLead = 500;
   const totalTokens = (tokensPerLead * leadsCount) / 1000;
   
   return {
@@ -242,7 +673,14 @@ const getCostEstimate = (provider = DEFAULT_PROVIDER, leadsCount = 1000) => {
 
 module.exports = {
   scoreLead,
+  scoreLeads,
+  PROMPT_VERSION,
+  callProvider,
+  meteredCall,
+  estimateCost,
   getCostEstimate,
   PROVIDERS,
+  SIGNALS,
+  BUDGET_PATTERN,
   enhancedRuleBasedScoring
 };
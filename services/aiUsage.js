@@ -0,0 +1,209 @@
+/**
+ * AI Usage Ledger
+ * Records every LLM call made with a user's key (tokens as reported by the
+ * provider, cost from PROVIDERS pricing) and enforces their monthly spend
+ * cap. The worker takes a budget per user and run; aiScorer and
+ * leadClassifier reserve each call's estimated cost against it and fall back
+ * to rules once the cap is reached. Score cache hits and misses are logged
+ * here too, as purpose 'cache' rows, and scoring calls note whether their
+ * reply passed validation, so providers that drift off the schema show up.
+ */
+
+const { Op } = require('sequelize');
+const { AiUsage } = require('../models');
+
+// Calendar months in UTC, like the other monthly counters
+const monthStart = (now = new Date()) => new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+const toBudget = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+const roundUsd = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * @returns {Promise<number>} USD spent with the user's key this month
+ */
+const getMonthlySpend = async (userId) => {
+  const spent = await AiUsage.sum('costUsd', {
+    where: { userId, createdAt: { [Op.gte]: monthStart() } }
+  });
+  return parseFloat(spent) || 0;
+};
+
+/**
+ * Log one provider call
+ * @param {Object} entry - { provider, model, purpose, leadCount, inputTokens, outputTokens, tokensEstimated, costUsd, success, outputValid, error }
+ */
+const recordUsage = (userId, entry) => AiUsage.create({
+  userId,
+  provider: entry.provider,
+  model: entry.model || null,
+  purpose: entry.purpose,
+  leadCount: entry.leadCount || 0,
+  inputTokens: entry.inputTokens || 0,
+  outputTokens: entry.outputTokens || 0,
+  tokensEstimated: !!entry.tokensEstimated,
+  cacheHits: entry.cacheHits || 0,
+  cacheMisses: entry.cacheMisses || 0,
+  costUsd: entry.costUsd || 0,
+  success: entry.success !== false,
+  outputValid: typeof entry.outputValid === 'boolean' ? entry.outputValid : null,
+  error: entry.error || null
+});
+
+const rate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 1000 : null);
+
+/**
+ * Reply validation per provider from grouped ai_usage rows
+ * ({ provider, purpose, outputValid, calls }). checked and invalid count
+ * first replies; repaired and unrepaired count the repair calls that followed.
+ */
+const tallyValidation = (rows) => {
+  const byProvider = {};
+  rows.forEach(row => {
+    if (row.outputValid === null || row.outputValid === undefined) return;
+
+    const calls = parseInt(row.calls) || 0;
+    const stats = byProvider[row.provider] ||
+      (byProvider[row.provider] = { checked: 0, invalid: 0, repaired: 0, unrepaired: 0, invalidRate: null });
+    if (row.purpose === 'repair') {
+      stats[row.outputValid ? 'repaired' : 'unrepaired'] += calls;
+    } else {
+      stats.checked += calls;
+      if (!row.outputValid) stats.invalid += calls;
+    }
+  });
+
+  Object.values(byProvider).forEach(stats => { stats.invalidRate = rate(stats.invalid, stats.checked); });
+  return byProvider;
+};
+
+/**
+ * Reply validation per provider across all users, for admins
+ * @returns {Promise<Object>} provider -> { checked, invalid, repaired, unrepaired, invalidRate }
+ */
+const getValidationStats = async (since) => {
+  const rows = await AiUsage.findAll({
+    where: { createdAt: { [Op.gte]: since }, outputValid: { [Op.ne]: null } },
+    attributes: [
+      'provider',
+      'purpose',
+      'outputValid',
+      [AiUsage.sequelize.fn('COUNT', AiUsage.sequelize.col('id')), 'calls']
+    ],
+    group: ['provider', 'purpose', 'output_valid'],
+    raw: true
+  });
+  return tallyValidation(rows);
+};
+
+/**
+ * A spending budget for one user over one run. reserve() sets an estimated
+ * cost aside and says whether it fits under the cap; record() logs the call
+ * and swaps the estimate for the actual cost. Reserving is synchronous, so
+ * calls in flight at once can't overshoot the cap together. recordCache()
+ * logs how many of a run's leads the score cache answered.
+ * @returns {Promise<{reserve, record, recordCache, remaining}>}
+ */
+const createBudget = async (user) => {
+  const cap = toBudget(user.aiMonthlyBudget);
+  let spent = cap === null ? 0 : await getMonthlySpend(user.id);
+
+  return {
+    reserve: (estimateUsd) => {
+      if (cap !== null && spent + estimateUsd > cap) return false;
+      spent += estimateUsd;
+      return true;
+    },
+    record: async (entry) => {
+      spent += (entry.costUsd || 0) - (entry.reservedUsd || 0);
+      try {
+        await recordUsage(user.id, entry);
+      } catch (error) {
+        console.error('Failed to record AI usage:', error.message);
+      }
+    },
+    recordCache: async ({ provider, model, hits, misses }) => {
+      if (hits + misses === 0) return;
+      try {
+        await recordUsage(user.id, { provider, model, purpose: 'cache', cacheHits: hits, cacheMisses: misses });
+      } catch (error) {
+        console.error('Failed to record AI usage:', error.message);
+      }
+    },
+    remaining: () => (cap === null ? null : Math.max(cap - spent, 0))
+  };
+};
+
+/**
+ * This month's AI spend for /api/settings/ai and /v1/usage
+ */
+const getUsageSummary = async (user) => {
+  const rows = await AiUsage.findAll({
+    where: { userId: user.id, createdAt: { [Op.gte]: monthStart() } },
+    attributes: [
+      'provider',
+      'purpose',
+      'success',
+      'outputValid',
+      [AiUsage.sequelize.fn('COUNT', AiUsage.sequelize.col('id')), 'calls'],
+      [AiUsage.sequelize.fn('SUM', AiUsage.sequelize.col('lead_count')), 'leads'],
+      [AiUsage.sequelize.fn('SUM', AiUsage.sequelize.col('input_tokens')), 'inputTokens'],
+      [AiUsage.sequelize.fn('SUM', AiUsage.sequelize.col('output_tokens')), 'outputTokens'],
+      [AiUsage.sequelize.fn('SUM', AiUsage.sequelize.col('cost_usd')), 'costUsd'],
+      [AiUsage.sequelize.fn('SUM', AiUsage.sequelize.col('cache_hits')), 'cacheHits'],
+      [AiUsage.sequelize.fn('SUM', AiUsage.sequelize.col('cache_misses')), 'cacheMisses']
+    ],
+    group: ['provider', 'purpose', 'success', 'output_valid'],
+    raw: true
+  });
+
+  const summary = {
+    month: monthStart().toISOString().substring(0, 7),
+    spentUsd: 0,
+    budgetUsd: toBudget(user.aiMonthlyBudget),
+    remainingUsd: null,
+    calls: 0,
+    failedCalls: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    byPurpose: {},
+    cache: { hits: 0, misses: 0, hitRate: null },
+    validation: tallyValidation(rows)
+  };
+
+  rows.forEach(row => {
+    // Cache rows count scored leads, not calls
+    if (row.purpose === 'cache') {
+      summary.cache.hits += parseInt(row.cacheHits) || 0;
+      summary.cache.misses += parseInt(row.cacheMisses) || 0;
+      return;
+    }
+
+    const calls = parseInt(row.calls) || 0;
+    const costUsd = parseFloat(row.costUsd) || 0;
+    summary.spentUsd += costUsd;
+    summary.calls += calls;
+    if (!row.success) summary.failedCalls += calls;
+    summary.inputTokens += parseInt(row.inputTokens) || 0;
+    summary.outputTokens += parseInt(row.outputTokens) || 0;
+
+    const purpose = summary.byPurpose[row.purpose] || (summary.byPurpose[row.purpose] = { calls: 0, leads: 0, costUsd: 0 });
+    purpose.calls += calls;
+    purpose.leads += parseInt(row.leads) || 0;
+    purpose.costUsd = roundUsd(purpose.costUsd + costUsd);
+  });
+
+  summary.cache.hitRate = rate(summary.cache.hits, summary.cache.hits + summary.cache.misses);
+  summary.spentUsd = roundUsd(summary.spentUsd);
+  if (summary.budgetUsd !== null) summary.remainingUsd = roundUsd(Math.max(summary.budgetUsd - summary.spentUsd, 0));
+  return summary;
+};
+
+module.exports = {
+  monthStart,
+  getMonthlySpend,
+  recordUsage,
+  createBudget,
+  getUsageSummary,
+  getValidationStats
+};
@@ -0,0 +1,83 @@
+/**
+ * Historical Backfill
+ * Searches source archives for a user's last N days, so new users and new
+ * keywords see leads before the next scheduled run, and only fresh posts
+ * after it. This module queues backfills; the worker runs them
+ * (backfillUser in worker/leadWorker.js) through the normal matching,
+ * scoring and quota.
+ */
+
+const { Op } = require('sequelize');
+const { Job } = require('../models');
+const scrapers = require('../scrapers');
+const jobQueue = require('./jobQueue');
+const { getEnabledSourceKeys } = require('./scheduler');
+
+const { JOB_TYPES } = jobQueue;
+
+const DEFAULT_BACKFILL_DAYS = 30;
+const MAX_BACKFILL_DAYS = 30;
+
+// Archive postings searched per source, however many terms the user has
+const MAX_BACKFILL_POSTINGS = 1000;
+
+// Search terms per source; each one is at least a request
+const MAX_SEARCH_TERMS = 10;
+
+// Sources with a searchable archive
+const getSearchableKeys = () => scrapers.listScrapers()
+  .filter(adapter => typeof adapter.search === 'function')
+  .map(adapter => adapter.key);
+
+const findPendingBackfill = (userId) => Job.findOne({
+  where: {
+    type: JOB_TYPES.SCRAPE_BACKFILL,
+    status: { [Op.in]: ['pending', 'running'] },
+    payload: { userId }
+  }
+});
+
+/**
+ * Queue a backfill for the user, unless one is already waiting or running
+ * @returns {Promise<{job, queued: boolean}>} queued is false when an existing job was returned
+ */
+const enqueueBackfill = async (user, days = DEFAULT_BACKFILL_DAYS) => {
+  const pending = await findPendingBackfill(user.id);
+  if (pending) return { job: pending, queued: false };
+
+  const job = await jobQueue.enqueue(JOB_TYPES.SCRAPE_BACKFILL, { userId: user.id, days }, { maxAttempts: 2 });
+  return { job, queued: true };
+};
+
+// Same entries in any order; operators are case-sensitive, so case counts
+const sameKeywords = (a, b) => {
+  const normalize = (list) => Array.from(new Set((list || []).map(entry => String(entry).trim()))).sort();
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+};
+
+/**
+ * Queue a backfill after a user's keywords changed, so matches for the new
+ * terms show up without waiting for new posts. Skipped while onboarding
+ * (completing it queues one), without quota left or without a searchable source.
+ * @param {Object} user
+ * @param {Array<string>} previousKeywords - The keywords before the change
+ * @param {Array<string>} [keywords] - The keywords after it; a source's own list when that changed
+ * @returns {Promise<{job, queued: boolean}|null>} null when no backfill applies
+ */
+const backfillChangedKeywords = async (user, previousKeywords, keywords = user.keywords) => {
+  if (!user.onboardingCompleted || sameKeywords(previousKeywords, keywords)) return null;
+  if (user.leadsUsedThisMonth >= user.leadsLimit) return null;
+  if (getEnabledSourceKeys(user, getSearchableKeys()).length === 0) return null;
+  return enqueueBackfill(user);
+};
+
+module.exports = {
+  DEFAULT_BACKFILL_DAYS,
+  MAX_BACKFILL_DAYS,
+  MAX_BACKFILL_POSTINGS,
+  MAX_SEARCH_TERMS,
+  getSearchableKeys,
+  findPendingBackfill,
+  enqueueBackfill,
+  backfillChangedKeywords
+};
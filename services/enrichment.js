@@ -1,57 +1,207 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
+const { Op } = require('sequelize');
+const { sequelize, CompanyEnrichment, User } = require('../models');
+const http = require('./httpClient');
 
 /**
  * Smart Enrichment Service
- * Finds contact details, company info, and validates leads
+ * Finds contact details, company info, and validates leads. Company lookups
+ * are cached per domain; every enriched value records its source and whether
+ * it was guessed.
  */
 
-// Enrich a lead with additional data
-const enrichLead = async (lead) => {
-  const enriched = { ...lead };
-  
+// Company lookups are reused for this long before being refreshed
+const ENRICHMENT_TTL_DAYS = parseInt(process.env.ENRICHMENT_TTL_DAYS || '30');
+
+// Fresh company lookups per month; cache hits don't count
+const PLAN_ENRICHMENT_LIMITS = {
+  free: 25,
+  pro: 500,
+  enterprise: 5000
+};
+
+// Lead columns enrichment may fill; the rest of the fields live on lead.enrichment only
+const ENRICHED_LEAD_FIELDS = ['companyWebsite', 'companySize', 'contactEmail', 'contactLinkedIn'];
+
+// Lead columns that mail gets sent to; a guessed value stays in lead.enrichment, where it's marked as guessed
+const NO_GUESS_LEAD_FIELDS = ['contactEmail'];
+
+const getEnrichmentLimit = (user) => PLAN_ENRICHMENT_LIMITS[user.subscriptionTier] ?? PLAN_ENRICHMENT_LIMITS.free;
+
+const getDomain = (website) => {
   try {
-    // 1. Find company website if not provided
-    if (!enriched.companyWebsite && enriched.companyName) {
-      enriched.companyWebsite = await findCompanyWebsite(enriched.companyName);
+    return new URL(website).hostname.replace(/^www\./, '').toLowerCase();
+  } catch (e) {
+    return null;
+  }
+};
+
+// Cache key for a lead's company: its domain, or its name when there's no website yet
+const getLookupKey = (lead) => {
+  const domain = lead.companyWebsite ? getDomain(lead.companyWebsite) : null;
+  if (domain) return domain;
+
+  const slug = (lead.companyName || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return slug && slug !== 'unknown' ? `name:${slug}` : null;
+};
+
+// A value with where it came from; guessed values were inferred rather than read from a source
+const withProvenance = (value, source, guessed, at) => ({ value, source, guessed, at });
+
+const findCachedCompany = async (lookupKey) => {
+  return CompanyEnrichment.findOne({
+    where: { lookupKey, expiresAt: { [Op.gt]: new Date() } }
+  });
+};
+
+// Look the company up on the web and cache the result under its lookup key
+const fetchCompany = async (lead, lookupKey) => {
+  const at = new Date().toISOString();
+  const fields = {};
+
+  if (lead.companyWebsite) {
+    fields.companyWebsite = withProvenance(lead.companyWebsite, 'lead', false, at);
+  } else if (lead.companyName) {
+    const website = await findCompanyWebsite(lead.companyName);
+    if (website) fields.companyWebsite = withProvenance(website, 'domain_guess', true, at);
+  }
+
+  const website = fields.companyWebsite?.value;
+  if (website) {
+    const companyInfo = await getCompanyInfo(website);
+    if (companyInfo.description) {
+      fields.companyDescription = withProvenance(companyInfo.description, 'website_meta', false, at);
     }
-    
-    // 2. Find contact email if not provided
-    if (!enriched.contactEmail) {
-      enriched.contactEmail = await findEmail(
-        enriched.companyWebsite,
-        enriched.contactName,
-        enriched.companyName
-      );
+    if (companyInfo.size) {
+      fields.companySize = withProvenance(companyInfo.size, 'website_text', true, at);
     }
-    
-    // 3. Find LinkedIn profile
-    if (!enriched.contactLinkedIn) {
-      enriched.contactLinkedIn = await findLinkedIn(
-        enriched.contactName,
-        enriched.companyName
-      );
+    fields.mxValid = withProvenance(await validateEmailDomain(`hello@${getDomain(website)}`), 'dns_mx', false, at);
+  }
+
+  // Expired rows are refreshed in place; a lookup of the same company running
+  // at the same time just writes the row again
+  const fetchedAt = new Date();
+  const [record] = await CompanyEnrichment.upsert({
+    lookupKey,
+    domain: website ? getDomain(website) : null,
+    fields,
+    fetchedAt,
+    expiresAt: new Date(fetchedAt.getTime() + ENRICHMENT_TTL_DAYS * 24 * 60 * 60 * 1000)
+  }, { conflictFields: ['lookup_key'] });
+  return record;
+};
+
+/**
+ * A user's monthly lookup quota, spent one lookup at a time with a
+ * conditional UPDATE, so concurrent runs can't go past the limit
+ * @returns {{ reserve: () => Promise<boolean>, release: () => Promise<void> }}
+ */
+const createLookupQuota = (user, limit) => ({
+  reserve: async () => {
+    const [count] = await User.update(
+      { enrichmentsThisMonth: sequelize.literal('enrichments_this_month + 1') },
+      { where: { id: user.id, enrichmentsThisMonth: { [Op.lt]: limit } } }
+    );
+    return count > 0;
+  },
+  // A lookup that failed doesn't count
+  release: async () => {
+    await User.update(
+      { enrichmentsThisMonth: sequelize.literal('GREATEST(enrichments_this_month - 1, 0)') },
+      { where: { id: user.id } }
+    );
+  }
+});
+
+/**
+ * Enrich a lead: company fields from the (cached) company lookup, contact
+ * fields derived per lead. Only empty fields are filled.
+ * @param {Object} lead - Lead row or plain object
+ * @param {Object} options - { allowFetch }: false to use the cache only;
+ *   { quota }: from createLookupQuota, reserved before a fresh lookup
+ * @returns {Promise<{updates, enrichment, fetched}>} fetched: a fresh lookup was made
+ */
+const enrichLead = async (lead, { allowFetch = true, quota = null } = {}) => {
+  const at = new Date().toISOString();
+  const lookupKey = getLookupKey(lead);
+  let company = lookupKey ? await findCachedCompany(lookupKey) : null;
+  const cached = Boolean(company);
+
+  if (!company && lookupKey && allowFetch && (!quota || await quota.reserve())) {
+    try {
+      company = await fetchCompany(lead, lookupKey);
+    } catch (error) {
+      if (quota) await quota.release();
+      throw error;
     }
-    
-    // 4. Get company info
-    const companyInfo = await getCompanyInfo(enriched.companyWebsite);
-    enriched.companySize = companyInfo.size || enriched.companySize;
-    enriched.companyIndustry = companyInfo.industry || enriched.companyIndustry;
-    enriched.companyDescription = companyInfo.description;
-    
-    // 5. Validate email domain
-    enriched.emailValid = enriched.contactEmail ? 
-      await validateEmailDomain(enriched.contactEmail) : false;
-    
-    enriched.enrichedAt = new Date().toISOString();
-    enriched.enrichmentSource = 'automated';
-    
-  } catch (error) {
-    console.error('Enrichment error:', error.message);
-    enriched.enrichmentError = error.message;
   }
-  
-  return enriched;
+
+  if (!company) {
+    return {
+      updates: {},
+      enrichment: { enrichedAt: at, skipped: lookupKey ? 'plan_limit' : 'no_company', fields: {} },
+      fetched: false
+    };
+  }
+
+  const fields = { ...company.fields };
+  const website = fields.companyWebsite?.value;
+
+  if (!lead.contactEmail && website) {
+    const email = await findEmail(website, lead.contactName, lead.companyName);
+    if (email) fields.contactEmail = withProvenance(email, 'email_pattern', true, at);
+  }
+  if (!lead.contactLinkedIn) {
+    const linkedIn = await findLinkedIn(lead.contactName, lead.companyName);
+    if (linkedIn) fields.contactLinkedIn = withProvenance(linkedIn, 'linkedin_search', true, at);
+  }
+
+  const updates = {};
+  ENRICHED_LEAD_FIELDS.forEach(field => {
+    if (lead[field] || !fields[field]) return;
+    if (fields[field].guessed && NO_GUESS_LEAD_FIELDS.includes(field)) return;
+    updates[field] = fields[field].value;
+  });
+
+  return {
+    updates,
+    enrichment: { enrichedAt: at, cached, lookupKey, fields },
+    fetched: !cached
+  };
+};
+
+/**
+ * Enrich a user's leads and save them. Fresh lookups stop at the user's
+ * plan limit; leads past it still get whatever the cache has.
+ * @returns {Promise<{enriched, fetched, skipped}>}
+ */
+const enrichLeadsForUser = async (user, leads, concurrency = 5) => {
+  const quota = createLookupQuota(user, getEnrichmentLimit(user));
+  const stats = { enriched: 0, fetched: 0, skipped: 0 };
+
+  for (let i = 0; i < leads.length; i += concurrency) {
+    const batch = leads.slice(i, i + concurrency);
+
+    const results = await Promise.all(batch.map(async (lead) => {
+      try {
+        return await enrichLead(lead, { quota });
+      } catch (error) {
+        console.error('Enrichment error:', error.message);
+        return { updates: {}, enrichment: { enrichedAt: new Date().toISOString(), error: error.message, fields: {} }, fetched: false };
+      }
+    }));
+
+    for (const [index, lead] of batch.entries()) {
+      const { updates, enrichment, fetched } = results[index];
+      if (fetched) stats.fetched++;
+      if (enrichment.skipped || enrichment.error) stats.skipped++;
+      else stats.enriched++;
+
+      await lead.update({ ...updates, enrichment });
+    }
+  }
+
+  return stats;
 };
 
 // Find company website from name
@@ -72,9 +222,11 @@ const findCompanyWebsite = async (companyName) => {
     
     for (const url of candidates) {
       try {
-        const response = await axios.head(url, { 
+        // Guessed domains mostly don't exist; don't retry them
+        const response = await http.head(url, {
           timeout: 5000,
-          maxRedirects: 3
+          maxRedirects: 3,
+          retries: 0
         });
         if (response.status === 200) return url;
       } catch (e) {
@@ -134,11 +286,9 @@ const getCompanyInfo = async (website) => {
   if (!website) return {};
   
   try {
-    const response = await axios.get(website, { 
+    const response = await http.get(website, {
       timeout: 10000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; AI_SDR/1.0)'
-      }
+      responseType: 'text'
     });
     
     const $ = cheerio.load(response.data);
@@ -171,8 +321,10 @@ const getCompanyInfo = async (website) => {
 const validateEmailDomain = async (email) => {
   try {
     const domain = email.split('@')[1];
-    const response = await axios.get(`https://dns.google/resolve?name=${domain}&type=MX`, {
-      timeout: 5000
+    const response = await http.get('https://dns.google/resolve', {
+      params: { name: domain, type: 'MX' },
+      timeout: 5000,
+      checkRobots: false
     });
     return response.data && response.data.Answer && response.data.Answer.length > 0;
   } catch (error) {
@@ -196,7 +348,10 @@ const batchEnrich = async (leads, concurrency = 5) => {
 };
 
 module.exports = {
+  PLAN_ENRICHMENT_LIMITS,
+  getEnrichmentLimit,
   enrichLead,
+  enrichLeadsForUser,
   batchEnrich,
   findCompanyWebsite,
   findEmail,
@@ -0,0 +1,613 @@
+/**
+ * Polite HTTP Client
+ * Every request to a third-party site (scrapers, enrichment) goes through
+ * here, so each host sees one well-behaved client:
+ *
+ *   - per-host concurrency and minimum spacing between requests
+ *   - robots.txt, cached per origin; Crawl-delay widens the spacing
+ *   - retries on 429/5xx and dropped connections, with jittered exponential
+ *     backoff; Retry-After pauses the whole host
+ *   - an in-memory ETag/Last-Modified cache, so unchanged pages cost a 304
+ *   - one User-Agent (HTTP_USER_AGENT)
+ *   - a cap on response size (HTTP_MAX_BODY_BYTES, default 10 MB)
+ *   - per-host metrics (getMetrics)
+ *   - only public addresses: hosts resolving to loopback, private,
+ *     link-local (cloud metadata) or reserved ranges are refused, on every
+ *     redirect hop, since users can point feeds and page monitors anywhere
+ *
+ * Redirects are followed here, one hop at a time, so each hop also waits
+ * for its own host's limits and is checked against that host's robots.txt.
+ *
+ * Host limits can be tuned with HTTP_HOST_LIMITS, a JSON object such as
+ * {"www.reddit.com": {"concurrency": 1, "minIntervalMs": 3000}}.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const nodeHttp = require('http');
+const nodeHttps = require('https');
+const axios = require('axios');
+
+const USER_AGENT = process.env.HTTP_USER_AGENT || 'Mozilla/5.0 (compatible; AI_SDR/1.0)';
+
+// Token matched against robots.txt User-agent lines
+const ROBOTS_AGENT = (process.env.HTTP_ROBOTS_AGENT || 'AI_SDR').toLowerCase();
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+
+// A Retry-After longer than this fails the request instead of stalling the run
+const MAX_RETRY_AFTER_MS = 120000;
+
+const ROBOTS_TTL_MS = 6 * 60 * 60 * 1000;
+const ROBOTS_ERROR_TTL_MS = 10 * 60 * 1000;
+const MAX_CRAWL_DELAY_MS = 60000;
+
+const MAX_CACHE_ENTRIES = 500;
+const MAX_CACHE_BODY_BYTES = 1024 * 1024;
+
+// Larger responses are abandoned mid-download, so a huge page can't exhaust memory
+const MAX_BODY_BYTES = parseInt(process.env.HTTP_MAX_BODY_BYTES) || 10 * 1024 * 1024;
+
+const DEFAULT_HOST_LIMITS = { concurrency: 2, minIntervalMs: 1000 };
+
+// APIs built for programmatic access tolerate more than a crawled site
+const KNOWN_HOST_LIMITS = {
+  'hn.algolia.com': { concurrency: 4, minIntervalMs: 250 },
+  'www.reddit.com': { concurrency: 1, minIntervalMs: 2000 },
+  'dns.google': { concurrency: 4, minIntervalMs: 100 }
+};
+
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+const PRIVATE_ADDRESS = 'PRIVATE_ADDRESS';
+const RESPONSE_TOO_LARGE = 'RESPONSE_TOO_LARGE';
+
+// Address ranges no fetch may reach: this host, private networks, link-local
+// (169.254.169.254 metadata), carrier-grade NAT, multicast and reserved space.
+// IPv4 rules also cover IPv4-mapped IPv6 addresses (::ffff:127.0.0.1).
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+class HttpError extends Error {
+  constructor(message, { url, status = null, code = null } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.url = url;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const parseHostLimits = (value) => {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    console.warn('⚠️ HTTP_HOST_LIMITS is not valid JSON, ignoring it');
+    return {};
+  }
+};
+
+const HOST_LIMITS = { ...KNOWN_HOST_LIMITS, ...parseHostLimits(process.env.HTTP_HOST_LIMITS) };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// ---------- Address checks ----------
+
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Hostnames refused without a DNS lookup: localhost names and IP literals in
+ * a blocked range
+ */
+const isBlockedHostname = (hostname) => {
+  const host = String(hostname || '').toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+};
+
+const privateAddressError = (host, url) => new HttpError(`Refusing to fetch ${host}: not a public address`, {
+  url,
+  code: PRIVATE_ADDRESS
+});
+
+// dns.lookup that fails for blocked addresses; sockets connect to what it
+// returns, so a name can't resolve one way when checked and another when used
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      const refused = new Error(`Refusing to fetch ${hostname}: resolves to ${blocked.address}, not a public address`);
+      refused.code = PRIVATE_ADDRESS;
+      return callback(refused);
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const httpAgent = new nodeHttp.Agent({ keepAlive: true, lookup: publicLookup });
+const httpsAgent = new nodeHttps.Agent({ keepAlive: true, lookup: publicLookup });
+
+// ---------- Hosts ----------
+
+const hosts = new Map();
+
+const emptyMetrics = () => ({
+  requests: 0,
+  statuses: {},
+  retries: 0,
+  errors: 0,
+  robotsBlocked: 0,
+  cacheHits: 0,
+  bytes: 0,
+  latencyMs: 0
+});
+
+const getHost = (host) => {
+  if (!hosts.has(host)) {
+    hosts.set(host, {
+      limits: { ...DEFAULT_HOST_LIMITS, ...(HOST_LIMITS[host] || {}) },
+      active: 0,
+      queue: [],
+      nextAt: 0,
+      crawlDelayMs: 0,
+      metrics: emptyMetrics()
+    });
+  }
+  return hosts.get(host);
+};
+
+// Hand out free slots, each starting no sooner than the host's spacing allows
+const drain = (state) => {
+  while (state.active < state.limits.concurrency && state.queue.length > 0) {
+    const now = Date.now();
+    const startAt = Math.max(now, state.nextAt);
+    state.nextAt = startAt + Math.max(state.limits.minIntervalMs, state.crawlDelayMs);
+    state.active += 1;
+    setTimeout(state.queue.shift(), startAt - now);
+  }
+};
+
+const acquire = (state) => new Promise(resolve => {
+  state.queue.push(resolve);
+  drain(state);
+});
+
+const release = (state) => {
+  state.active -= 1;
+  drain(state);
+};
+
+// Hold back every request to a host, e.g. after it answered with Retry-After
+const pauseHost = (state, ms) => {
+  state.nextAt = Math.max(state.nextAt, Date.now() + ms);
+};
+
+// ---------- robots.txt ----------
+
+const robotsCache = new Map(); // origin -> { expiresAt, promise }
+
+/**
+ * Parse robots.txt into the rules and crawl delay that apply to us: groups
+ * naming our agent, or the * group when none do
+ */
+const parseRobots = (body) => {
+  const groups = [];
+  let current = null;
+  let readingAgents = false;
+
+  for (const rawLine of String(body).split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const sep = line.indexOf(':');
+    if (sep === -1) continue;
+
+    const field = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!readingAgents) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      readingAgents = true;
+      continue;
+    }
+
+    readingAgents = false;
+    if (!current) continue;
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', pattern: value });
+    } else if (field === 'crawl-delay' && !Number.isNaN(parseFloat(value))) {
+      current.crawlDelay = parseFloat(value);
+    }
+  }
+
+  const ours = groups.filter(group => group.agents.some(agent => agent !== '*' && ROBOTS_AGENT.includes(agent)));
+  const matched = ours.length > 0 ? ours : groups.filter(group => group.agents.includes('*'));
+  const delays = matched.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+  return {
+    rules: matched.flatMap(group => group.rules),
+    crawlDelayMs: delays.length > 0 ? Math.min(Math.max(...delays) * 1000, MAX_CRAWL_DELAY_MS) : 0
+  };
+};
+
+const ruleMatchLength = (pattern, path) => {
+  const anchored = pattern.endsWith('$');
+  const source = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path) ? pattern.length : -1;
+};
+
+/**
+ * The longest matching rule wins; Allow wins a tie. No match means allowed.
+ */
+const isPathAllowed = (rules, path) => {
+  let best = { length: -1, allow: true };
+  for (const rule of rules) {
+    const length = ruleMatchLength(rule.pattern, path);
+    if (length > best.length || (length === best.length && rule.allow)) {
+      best = { length, allow: length === -1 ? best.allow : rule.allow };
+    }
+  }
+  return best.allow;
+};
+
+// A missing or unreadable robots.txt allows everything
+const loadRobots = async (origin) => {
+  try {
+    const response = await send('GET', `${origin}/robots.txt`, {
+      responseType: 'text',
+      checkRobots: false,
+      cache: false,
+      retries: 0,
+      timeout: 10000,
+      acceptStatus: () => true
+    });
+    if (response.status >= 200 && response.status < 300) {
+      return { ...parseRobots(response.data), ttl: ROBOTS_TTL_MS };
+    }
+    return { rules: [], crawlDelayMs: 0, ttl: response.status >= 500 ? ROBOTS_ERROR_TTL_MS : ROBOTS_TTL_MS };
+  } catch (error) {
+    return { rules: [], crawlDelayMs: 0, ttl: ROBOTS_ERROR_TTL_MS };
+  }
+};
+
+const getRobots = (origin) => {
+  const cached = robotsCache.get(origin);
+  if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+  // Concurrent requests to a new origin share one robots.txt fetch
+  const entry = { expiresAt: Infinity, promise: null };
+  entry.promise = loadRobots(origin).then(robots => {
+    entry.expiresAt = Date.now() + robots.ttl;
+    return robots;
+  });
+  robotsCache.set(origin, entry);
+  return entry.promise;
+};
+
+// Throw unless the host's robots.txt lets us fetch the URL; its Crawl-delay
+// applies to the host from then on
+const checkRobotsAllow = async (target, state) => {
+  const robots = await getRobots(target.origin);
+  state.crawlDelayMs = robots.crawlDelayMs;
+  if (!isPathAllowed(robots.rules, `${target.pathname}${target.search}`)) {
+    state.metrics.robotsBlocked += 1;
+    throw new HttpError(`Blocked by robots.txt: ${target.href}`, { url: target.href, code: 'ROBOTS_DISALLOWED' });
+  }
+};
+
+// ---------- Response cache ----------
+
+const responseCache = new Map(); // method + url -> { etag, lastModified, response }
+
+const cacheGet = (key) => {
+  const entry = responseCache.get(key);
+  if (entry) {
+    // Re-insert so eviction drops the least recently used entry
+    responseCache.delete(key);
+    responseCache.set(key, entry);
+  }
+  return entry;
+};
+
+const cacheSet = (key, entry) => {
+  responseCache.delete(key);
+  responseCache.set(key, entry);
+  if (responseCache.size > MAX_CACHE_ENTRIES) {
+    responseCache.delete(responseCache.keys().next().value);
+  }
+};
+
+const hasConditionalHeaders = (headers) => Object.keys(headers)
+  .some(name => ['if-none-match', 'if-modified-since'].includes(name.toLowerCase()));
+
+// ---------- Requests ----------
+
+const buildUrl = (url, params) => {
+  const parsed = new URL(url);
+  Object.entries(params || {}).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) parsed.searchParams.set(name, value);
+  });
+  return parsed;
+};
+
+const responseBytes = (response) => {
+  const length = parseInt(response.headers['content-length']);
+  if (!Number.isNaN(length)) return length;
+  return typeof response.data === 'string' ? Buffer.byteLength(response.data) : 0;
+};
+
+// Retry-After in seconds or as an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+// Full jitter: anywhere between 0 and the capped exponential delay
+const backoffDelay = (attempt) => Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+const isTooLarge = (error) => error.code === axios.AxiosError.ERR_BAD_RESPONSE && /maxContentLength/.test(error.message);
+
+/**
+ * Follow redirects here rather than in axios, so every hop gets the address
+ * check, its host's limits and, with checkRobots, its robots.txt (send has
+ * already checked the first URL's). checkRobots 'redirects' only checks hops
+ * that leave the first URL's host.
+ */
+const requestFollowingRedirects = async (config, { maxRedirects, maxBytes, checkRobots }) => {
+  const firstHost = new URL(config.url).host;
+  let url = config.url;
+  for (let hop = 0; ; hop++) {
+    const target = new URL(url);
+    if (!['http:', 'https:'].includes(target.protocol)) {
+      throw new HttpError(`Refusing to follow a redirect to ${target.protocol}`, { url, code: 'UNSUPPORTED_PROTOCOL' });
+    }
+    if (isBlockedHostname(target.hostname)) throw privateAddressError(target.hostname, url);
+
+    const state = getHost(target.host);
+    const robotsApply = checkRobots === 'redirects' ? target.host !== firstHost : checkRobots;
+    if (hop > 0 && robotsApply) await checkRobotsAllow(target, state);
+
+    await acquire(state);
+    const startedAt = Date.now();
+    let response;
+    try {
+      state.metrics.requests += 1;
+      response = await axios.request({
+        ...config,
+        url,
+        maxRedirects: 0,
+        maxContentLength: maxBytes,
+        maxBodyLength: maxBytes,
+        httpAgent,
+        httpsAgent
+      });
+    } catch (error) {
+      if (isTooLarge(error)) {
+        throw new HttpError(`Response from ${url} is larger than ${maxBytes} bytes`, { url, code: RESPONSE_TOO_LARGE });
+      }
+      throw error;
+    } finally {
+      state.metrics.latencyMs += Date.now() - startedAt;
+      release(state);
+    }
+
+    const location = response.headers.location;
+    if (!REDIRECT_STATUSES.includes(response.status) || !location || hop >= maxRedirects) return response;
+    url = new URL(location, url).toString();
+  }
+};
+
+/**
+ * Send one request with retries, inside the host's limits
+ */
+const send = async (method, url, options = {}) => {
+  const {
+    params,
+    headers = {},
+    responseType,
+    timeout = DEFAULT_TIMEOUT_MS,
+    maxRedirects = 5,
+    maxBytes = MAX_BODY_BYTES,
+    checkRobots = true,
+    cache = method === 'GET',
+    retries = DEFAULT_RETRIES,
+    acceptStatus = status => (status >= 200 && status < 300) || status === 304
+  } = options;
+
+  const target = buildUrl(url, params);
+  const href = target.toString();
+  const state = getHost(target.host);
+  const { metrics } = state;
+
+  if (checkRobots === true) await checkRobotsAllow(target, state);
+
+  // Callers sending their own validators (feeds and pages keep them in their cursor) get the 304 back
+  const cacheKey = `${method} ${responseType || 'json'} ${href}`;
+  const useCache = cache && !hasConditionalHeaders(headers);
+  const cached = useCache ? cacheGet(cacheKey) : null;
+
+  const requestHeaders = { 'User-Agent': USER_AGENT, ...headers };
+  if (cached && cached.etag) requestHeaders['If-None-Match'] = cached.etag;
+  if (cached && cached.lastModified) requestHeaders['If-Modified-Since'] = cached.lastModified;
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    let networkError = null;
+
+    try {
+      response = await requestFollowingRedirects({
+        method,
+        url: href,
+        headers: requestHeaders,
+        responseType,
+        timeout,
+        validateStatus: () => true
+      }, { maxRedirects, maxBytes, checkRobots });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        metrics.errors += 1;
+        throw error;
+      }
+      networkError = error;
+    }
+
+    if (networkError) {
+      metrics.errors += 1;
+      if (attempt < retries && RETRYABLE_CODES.includes(networkError.code)) {
+        metrics.retries += 1;
+        await sleep(backoffDelay(attempt));
+        continue;
+      }
+      throw new HttpError(networkError.message, { url: href, code: networkError.code || null });
+    }
+
+    const statusClass = `${Math.floor(response.status / 100)}xx`;
+    metrics.statuses[statusClass] = (metrics.statuses[statusClass] || 0) + 1;
+    metrics.bytes += responseBytes(response);
+
+    if (isRetryableStatus(response.status) && attempt < retries) {
+      const retryAfter = parseRetryAfter(response.headers['retry-after']);
+      if (retryAfter === null || retryAfter <= MAX_RETRY_AFTER_MS) {
+        metrics.retries += 1;
+        if (retryAfter !== null) {
+          pauseHost(state, retryAfter);
+        } else {
+          await sleep(backoffDelay(attempt));
+        }
+        continue;
+      }
+    }
+
+    if (response.status === 304 && cached) {
+      metrics.cacheHits += 1;
+      return { ...cached.response, fromCache: true };
+    }
+
+    if (!acceptStatus(response.status)) {
+      metrics.errors += 1;
+      throw new HttpError(`Request failed with status code ${response.status}`, { url: href, status: response.status });
+    }
+
+    const result = {
+      status: response.status,
+      headers: response.headers,
+      data: response.data,
+      fromCache: false
+    };
+
+    const etag = response.headers.etag;
+    const lastModified = response.headers['last-modified'];
+    if (useCache && response.status === 200 && (etag || lastModified) && responseBytes(response) <= MAX_CACHE_BODY_BYTES) {
+      cacheSet(cacheKey, { etag, lastModified, response: result });
+    }
+
+    return result;
+  }
+};
+
+/**
+ * GET a URL politely
+ * @param {Object} options - { params, headers, responseType, timeout, maxRedirects,
+ *   maxBytes (default HTTP_MAX_BODY_BYTES), checkRobots (default true, also applied to redirect hops;
+ *   'redirects' skips the URL itself and checks hops to other hosts),
+ *   cache (default true), retries (default 2) }
+ * @returns {Promise<{status, headers, data, fromCache}>} 304 only when the caller sent its own validators
+ * @throws {HttpError} on other non-2xx statuses, network errors, robots.txt blocks (code ROBOTS_DISALLOWED),
+ *   hosts that aren't public addresses (code PRIVATE_ADDRESS) and responses over maxBytes (code RESPONSE_TOO_LARGE)
+ */
+const get = (url, options) => send('GET', url, options);
+
+const head = (url, options = {}) => send('HEAD', url, { ...options, cache: false });
+
+/**
+ * Counters per host since the process started
+ * @returns {Object} host -> { requests, statuses, retries, errors, robotsBlocked, cacheHits, bytes, avgLatencyMs }
+ */
+const getMetrics = () => {
+  const result = {};
+  for (const [host, { metrics }] of hosts) {
+    result[host] = {
+      ...metrics,
+      statuses: { ...metrics.statuses },
+      avgLatencyMs: metrics.requests > 0 ? Math.round(metrics.latencyMs / metrics.requests) : 0
+    };
+  }
+  return result;
+};
+
+/**
+ * What happened between two getMetrics() snapshots, for hosts that saw requests
+ */
+const diffMetrics = (before, after) => {
+  const result = {};
+  for (const [host, current] of Object.entries(after)) {
+    const previous = before[host] || emptyMetrics();
+    const requests = current.requests - previous.requests;
+    const blocked = current.robotsBlocked - previous.robotsBlocked;
+    if (requests === 0 && blocked === 0) continue;
+
+    const statuses = {};
+    Object.entries(current.statuses).forEach(([statusClass, count]) => {
+      const delta = count - (previous.statuses[statusClass] || 0);
+      if (delta > 0) statuses[statusClass] = delta;
+    });
+    const latencyMs = current.latencyMs - previous.latencyMs;
+
+    result[host] = {
+      requests,
+      statuses,
+      retries: current.retries - previous.retries,
+      errors: current.errors - previous.errors,
+      robotsBlocked: blocked,
+      cacheHits: current.cacheHits - previous.cacheHits,
+      bytes: current.bytes - previous.bytes,
+      avgLatencyMs: requests > 0 ? Math.round(latencyMs / requests) : 0
+    };
+  }
+  return result;
+};
+
+module.exports = {
+  USER_AGENT,
+  PRIVATE_ADDRESS,
+  RESPONSE_TOO_LARGE,
+  HttpError,
+  isBlockedHostname,
+  get,
+  head,
+  getMetrics,
+  diffMetrics,
+  parseRobots,
+  isPathAllowed
+};
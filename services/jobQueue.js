@@ -0,0 +1,271 @@
+/**
+ * Durable Job Queue
+ * Postgres-backed queue for worker tasks. Jobs are claimed with
+ * SELECT ... FOR UPDATE SKIP LOCKED so several workers can share the table,
+ * retried with exponential backoff, and parked as 'dead' once out of attempts.
+ * A worker claims one job at a time and only updates jobs it still holds, so
+ * a job handed to another worker can't be overwritten by the first one.
+ * stop() lets the job in progress finish.
+ */
+
+const os = require('os');
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize, Job } = require('../models');
+const { findDeadWorkerIds, findLiveWorkerIds } = require('./workerCoordination');
+
+// Every job type the queue accepts
+const JOB_TYPES = {
+  SCRAPE_RUN: 'scrape.run',
+  SCRAPE_REALTIME: 'scrape.realtime',
+  SCRAPE_BACKFILL: 'scrape.backfill',
+  COUNTERS_RESET: 'counters.reset',
+  EMAIL_DIGEST: 'email.digest',
+  EMAIL_LEAD_NOTIFICATION: 'email.lead_notification',
+  LEAD_ENRICH: 'lead.enrich',
+  MODEL_TRAIN: 'model.train',
+  CACHE_PRUNE: 'cache.prune'
+};
+
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+// A running job held this long by a worker that never sent a heartbeat is assumed crashed
+const STALE_LOCK_MS = 30 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+let pollTimer = null;
+let activeTick = null;
+let stopping = false;
+let currentJob = null; // { id, type, startedAt }
+
+const isKnownType = (type) => Object.values(JOB_TYPES).includes(type);
+
+/**
+ * Register the function that runs jobs of a given type
+ * @param {string} type - One of JOB_TYPES
+ * @param {Function} handler - async (payload, job) => result
+ */
+const registerHandler = (type, handler) => {
+  if (!isKnownType(type)) throw new Error(`Unknown job type: ${type}`);
+  handlers.set(type, handler);
+};
+
+/**
+ * Add a job to the queue
+ * @param {string} type - One of JOB_TYPES
+ * @param {Object} payload - JSON-serializable job input
+ * @param {Object} options - { runAt, priority, maxAttempts, singleton }
+ *   singleton: skip if a pending/running job of this type already exists
+ * @returns {Promise<Job|null>} The job, or null when skipped as a singleton
+ */
+const enqueue = async (type, payload = {}, options = {}) => {
+  if (!isKnownType(type)) throw new Error(`Unknown job type: ${type}`);
+
+  if (options.singleton) {
+    const existing = await Job.findOne({
+      where: { type, status: { [Op.in]: ['pending', 'running'] } }
+    });
+    if (existing) return null;
+  }
+
+  return Job.create({
+    type,
+    payload,
+    runAt: options.runAt || new Date(),
+    priority: options.priority || 0,
+    maxAttempts: options.maxAttempts || 5
+  });
+};
+
+// Delay before retry N (1-based): 30s, 1m, 2m, 4m ... capped at 1h, with +-20% jitter
+const getBackoffMs = (attempt) => {
+  const delay = Math.min(BACKOFF_BASE_MS * Math.pow(2, attempt - 1), BACKOFF_MAX_MS);
+  const jitter = delay * 0.2 * (Math.random() * 2 - 1);
+  return Math.round(delay + jitter);
+};
+
+/**
+ * Claim up to `limit` due jobs for this worker; the queue itself claims one
+ * at a time, so no job sits claimed while another runs
+ * @returns {Promise<Array<Job>>}
+ */
+const claimJobs = async (limit = 5, workerId = WORKER_ID) => {
+  return sequelize.query(`
+    UPDATE jobs
+    SET status = 'running',
+        locked_at = NOW(),
+        locked_by = :workerId,
+        attempts = attempts + 1,
+        updated_at = NOW()
+    WHERE id IN (
+      SELECT id FROM jobs
+      WHERE status = 'pending' AND run_at <= NOW()
+      ORDER BY priority DESC, run_at ASC
+      LIMIT :limit
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, {
+    replacements: { workerId, limit },
+    type: QueryTypes.SELECT,
+    model: Job,
+    mapToModel: true
+  });
+};
+
+// Only the worker still holding a job may finish it; once recovered and
+// claimed elsewhere, the new holder's state wins
+const heldBy = (job) => ({ id: job.id, status: 'running', lockedBy: job.lockedBy });
+
+const warnIfLost = (job, count) => {
+  if (count === 0) console.warn(`⚠️ Job ${job.id} (${job.type}) was taken over by another worker; leaving its state alone`);
+};
+
+const completeJob = async (job) => {
+  const [count] = await Job.update(
+    { status: 'completed', completedAt: new Date(), lockedAt: null, lockedBy: null },
+    { where: heldBy(job) }
+  );
+  warnIfLost(job, count);
+};
+
+// Reschedule with backoff, or dead-letter once attempts are used up
+const failJob = async (job, error) => {
+  const dead = job.attempts >= job.maxAttempts;
+
+  const [count] = await Job.update({
+    status: dead ? 'dead' : 'pending',
+    runAt: dead ? job.runAt : new Date(Date.now() + getBackoffMs(job.attempts)),
+    lastError: (error && error.stack) || String(error),
+    lockedAt: null,
+    lockedBy: null
+  }, { where: heldBy(job) });
+  warnIfLost(job, count);
+
+  return dead && count > 0;
+};
+
+/**
+ * Put jobs left 'running' by a crashed worker back in the queue: ones held
+ * by a worker whose heartbeat stopped, and ones held too long by a worker
+ * that never sent a heartbeat. Jobs of live workers are never taken, however
+ * long they run.
+ */
+const recoverStaleJobs = async (staleMs = STALE_LOCK_MS) => {
+  const deadWorkerIds = await findDeadWorkerIds();
+  const knownWorkerIds = [...deadWorkerIds, ...await findLiveWorkerIds()];
+
+  const conditions = [];
+  if (deadWorkerIds.length > 0) conditions.push({ lockedBy: deadWorkerIds });
+  conditions.push({
+    lockedAt: { [Op.lt]: new Date(Date.now() - staleMs) },
+    ...(knownWorkerIds.length > 0 ? { lockedBy: { [Op.notIn]: knownWorkerIds } } : {})
+  });
+
+  const [count] = await Job.update(
+    { status: 'pending', lockedAt: null, lockedBy: null },
+    { where: { status: 'running', [Op.or]: conditions } }
+  );
+  if (count > 0) console.log(`♻️ Recovered ${count} stale jobs`);
+  return count;
+};
+
+const runJob = async (job) => {
+  const handler = handlers.get(job.type);
+  currentJob = { id: job.id, type: job.type, startedAt: new Date() };
+
+  try {
+    if (!handler) throw new Error(`No handler registered for ${job.type}`);
+    await handler(job.payload || {}, job);
+    await completeJob(job);
+  } catch (error) {
+    const dead = await failJob(job, error);
+    console.error(`❌ Job ${job.id} (${job.type}) failed${dead ? ', moved to dead letter' : ''}:`, error.message);
+  } finally {
+    currentJob = null;
+  }
+};
+
+const getCurrentJob = () => currentJob;
+
+/**
+ * Claim and run up to `batchSize` jobs, one at a time
+ * @returns {Promise<number>} How many jobs were processed
+ */
+const processJobs = async (batchSize = 5) => {
+  let processed = 0;
+  while (processed < batchSize && !stopping) {
+    const [job] = await claimJobs(1);
+    if (!job) break;
+    await runJob(job);
+    processed += 1;
+  }
+  return processed;
+};
+
+/**
+ * Process jobs until nothing due is left (used by one-shot CLI runs)
+ */
+const drain = async (batchSize = 5) => {
+  let total = 0;
+  let processed;
+  do {
+    processed = await processJobs(batchSize);
+    total += processed;
+  } while (processed > 0 && !stopping);
+  return total;
+};
+
+/**
+ * Poll the queue on an interval until stop() is called
+ */
+const start = ({ intervalMs = 5000, batchSize = 5 } = {}) => {
+  if (pollTimer) return;
+  stopping = false;
+
+  const tick = async () => {
+    if (activeTick) return;
+    activeTick = (async () => {
+      try {
+        await recoverStaleJobs();
+        await drain(batchSize);
+      } catch (error) {
+        console.error('Job queue poll failed:', error.message);
+      } finally {
+        activeTick = null;
+      }
+    })();
+  };
+
+  pollTimer = setInterval(tick, intervalMs);
+  console.log(`📥 Job queue polling every ${intervalMs / 1000}s as ${WORKER_ID}`);
+};
+
+/**
+ * Stop polling; resolves once the job in progress (if any) has finished
+ */
+const stop = async () => {
+  stopping = true;
+  if (pollTimer) clearInterval(pollTimer);
+  pollTimer = null;
+  if (activeTick) await activeTick;
+};
+
+module.exports = {
+  JOB_TYPES,
+  WORKER_ID,
+  registerHandler,
+  enqueue,
+  claimJobs,
+  completeJob,
+  failJob,
+  recoverStaleJobs,
+  getCurrentJob,
+  processJobs,
+  drain,
+  start,
+  stop,
+  getBackoffMs
+};
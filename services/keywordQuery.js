@@ -0,0 +1,463 @@
+/**
+ * Keyword Query Language
+ * Parses keyword entries like `shopify AND (agency OR freelancer) NOT hiring`
+ * once, then matches them against postings and leads.
+ *
+ *   shopify agency          both terms (implicit AND)
+ *   a AND b, a OR b, NOT a  boolean operators (uppercase); NOT > AND > OR
+ *   ( ... )                 grouping
+ *   "facebook ads"          exact phrase
+ *   market*                 prefix wildcard
+ *   ads NEAR/3 budget       terms/phrases at most 3 words apart (NEAR alone = NEAR/5)
+ *
+ * Terms match whole words with light stemming ("agency" matches "agencies",
+ * "ads" does not match "downloads"). An entry with no operators, quotes,
+ * parentheses or wildcards is matched as a stemmed phrase, so plain keyword
+ * lists keep working. A list of entries matches if any entry matches.
+ */
+
+const DEFAULT_NEAR_DISTANCE = 5;
+const MIN_PREFIX_LENGTH = 2;
+
+class KeywordQueryError extends Error {
+  constructor(message, query, position) {
+    super(message);
+    this.name = 'KeywordQueryError';
+    this.query = query;
+    this.position = position;
+  }
+}
+
+// ---------- Text ----------
+
+const tokenizeText = (text) => (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+// Drop one of a doubled final consonant: "shipp" -> "ship"
+const undouble = (word) => (/([^aeiouls])\1$/.test(word) ? word.slice(0, -1) : word);
+
+/**
+ * Light suffix stripper; both query terms and text go through it
+ */
+const stem = (word) => {
+  if (word.length <= 2) return word;
+
+  let result = word;
+  if (result.endsWith('ies') && result.length > 4) result = `${result.slice(0, -3)}y`;
+  else if (result.endsWith('sses')) result = result.slice(0, -2);
+  else if (/(?:ch|sh|x|z)es$/.test(result)) result = result.slice(0, -2);
+  else if (result.endsWith('ing') && result.length > 5) result = undouble(result.slice(0, -3));
+  else if (result.endsWith('ed') && result.length > 4) result = undouble(result.slice(0, -2));
+  else if (/[^su]s$/.test(result) && !result.endsWith('is')) result = result.slice(0, -1);
+
+  // "hire", "hiring" and "hired" all end up as "hir"
+  if (result.length > 3 && result.endsWith('e')) result = result.slice(0, -1);
+  return result;
+};
+
+const prepareText = (text) => {
+  const words = tokenizeText(text);
+  return { words, stems: words.map(stem) };
+};
+
+// ---------- Parsing ----------
+
+const tokenizeQuery = (query) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, pos: i });
+      i++;
+    } else if (char === '"') {
+      const end = query.indexOf('"', i + 1);
+      if (end === -1) throw new KeywordQueryError('Unterminated quote', query, i);
+      tokens.push({ type: 'PHRASE', value: query.slice(i + 1, end), pos: i });
+      i = end + 1;
+    } else {
+      const start = i;
+      while (i < query.length && !/[\s()"]/.test(query[i])) i++;
+      const word = query.slice(start, i);
+
+      if (word === 'AND' || word === 'OR' || word === 'NOT') {
+        tokens.push({ type: word, pos: start });
+      } else if (/^NEAR(?:\/|$)/.test(word)) {
+        const match = word.match(/^NEAR(?:\/(\d+))?$/);
+        if (!match) throw new KeywordQueryError('NEAR distance must be a number, e.g. NEAR/3', query, start);
+        tokens.push({ type: 'NEAR', distance: match[1] ? parseInt(match[1]) : DEFAULT_NEAR_DISTANCE, pos: start });
+      } else {
+        tokens.push({ type: 'TERM', value: word, pos: start });
+      }
+    }
+  }
+
+  return tokens;
+};
+
+const buildTerm = (token, query) => {
+  const prefix = token.value.endsWith('*');
+  const raw = prefix ? token.value.slice(0, -1) : token.value;
+
+  if (raw.includes('*')) {
+    throw new KeywordQueryError('Wildcard * is only allowed at the end of a term', query, token.pos + raw.indexOf('*'));
+  }
+
+  const words = tokenizeText(raw);
+  if (words.length === 0) {
+    throw new KeywordQueryError(`"${token.value}" has no letters or digits`, query, token.pos);
+  }
+  if (prefix && words[words.length - 1].length < MIN_PREFIX_LENGTH) {
+    throw new KeywordQueryError(`Wildcard prefix must be at least ${MIN_PREFIX_LENGTH} characters`, query, token.pos);
+  }
+
+  // "e-commerce" is two words in the text, so it becomes a phrase
+  if (words.length > 1) return { type: 'phrase', words, stemmed: true, prefix };
+  return prefix ? { type: 'term', prefix: words[0] } : { type: 'term', stem: stem(words[0]), word: words[0] };
+};
+
+const parseQuery = (query) => {
+  const tokens = tokenizeQuery(query);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const fail = (message, token) => {
+    throw new KeywordQueryError(message, query, token ? token.pos : query.length);
+  };
+  const startsOperand = (token) => token && ['TERM', 'PHRASE', '(', 'NOT'].includes(token.type);
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) fail('Query ended where a term was expected');
+
+    if (token.type === 'TERM') {
+      index++;
+      return buildTerm(token, query);
+    }
+    if (token.type === 'PHRASE') {
+      index++;
+      const words = tokenizeText(token.value);
+      if (words.length === 0) fail('Empty phrase', token);
+      return { type: 'phrase', words, stemmed: false };
+    }
+    if (token.type === '(') {
+      index++;
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') fail('Missing closing ")"', token);
+      index++;
+      return node;
+    }
+    if (token.type === ')') fail('Unexpected ")"', token);
+    return fail(`Expected a term before ${token.type}`, token);
+  };
+
+  const parseNear = () => {
+    let left = parsePrimary();
+    while (peek() && peek().type === 'NEAR') {
+      const op = tokens[index++];
+      const right = parsePrimary();
+      const isWords = (node) => node.type === 'term' || node.type === 'phrase';
+      if (!isWords(left) || !isWords(right)) fail('NEAR only works between terms or phrases', op);
+      left = { type: 'near', left, right, distance: op.distance };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (peek() && peek().type === 'NOT') {
+      index++;
+      return { type: 'not', child: parseNot() };
+    }
+    return parseNear();
+  };
+
+  const parseAnd = () => {
+    const children = [parseNot()];
+    while (peek() && (peek().type === 'AND' || startsOperand(peek()))) {
+      if (peek().type === 'AND') {
+        index++;
+        if (!startsOperand(peek())) fail('Expected a term after AND', peek());
+      }
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      index++;
+      if (!startsOperand(peek())) fail('Expected a term after OR', peek());
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  if (tokens.length === 0) fail('Query is empty');
+  const ast = parseOr();
+  if (peek()) fail(peek().type === ')' ? 'Unexpected ")"' : `Unexpected ${peek().type}`, peek());
+  return ast;
+};
+
+// Plain keyword lists predate the query language; keep matching them as phrases
+const isPlainKeyword = (entry) => !/["()*]/.test(entry) && !/(?:^|\s)(?:AND|OR|NOT|NEAR(?:\/\S*)?)(?=\s|$)/.test(entry);
+
+const parseEntry = (entry) => {
+  if (isPlainKeyword(entry)) {
+    const words = tokenizeText(entry);
+    if (words.length === 0) throw new KeywordQueryError(`"${entry}" has no letters or digits`, entry, 0);
+    return words.length === 1
+      ? { type: 'term', stem: stem(words[0]), word: words[0] }
+      : { type: 'phrase', words, stemmed: true };
+  }
+  return parseQuery(entry);
+};
+
+// ---------- Matching ----------
+
+// [start, end) word spans where a term or phrase occurs
+const findSpans = (node, doc) => {
+  const spans = [];
+
+  if (node.type === 'term') {
+    doc.words.forEach((word, i) => {
+      if (node.prefix ? word.startsWith(node.prefix) : doc.stems[i] === node.stem) spans.push([i, i + 1]);
+    });
+    return spans;
+  }
+
+  const targets = node.stemmed ? node.words.map(stem) : node.words;
+  const source = node.stemmed ? doc.stems : doc.words;
+  const last = targets.length - 1;
+
+  for (let i = 0; i + targets.length <= doc.words.length; i++) {
+    const matches = targets.every((target, j) => {
+      if (node.prefix && j === last) return doc.words[i + j].startsWith(node.words[j]);
+      return source[i + j] === target;
+    });
+    if (matches) spans.push([i, i + targets.length]);
+  }
+  return spans;
+};
+
+const evaluate = (node, doc) => {
+  switch (node.type) {
+    case 'term':
+    case 'phrase':
+      return findSpans(node, doc).length > 0;
+    case 'and':
+      return node.children.every(child => evaluate(child, doc));
+    case 'or':
+      return node.children.some(child => evaluate(child, doc));
+    case 'not':
+      return !evaluate(node.child, doc);
+    case 'near': {
+      const right = findSpans(node.right, doc);
+      return findSpans(node.left, doc).some(([aStart, aEnd]) => right.some(([bStart, bEnd]) => {
+        const gap = aStart < bStart ? bStart - aEnd : aStart - bEnd;
+        return gap <= node.distance;
+      }));
+    }
+    default:
+      return false;
+  }
+};
+
+// Words the query matched in a document, for explaining a match
+const collectMatches = (node, doc, found = new Set()) => {
+  if (node.type === 'term' || node.type === 'phrase') {
+    findSpans(node, doc).forEach(([start, end]) => found.add(doc.words.slice(start, end).join(' ')));
+  } else if (node.type === 'not') {
+    return found;
+  } else if (node.type === 'near') {
+    collectMatches(node.left, doc, found);
+    collectMatches(node.right, doc, found);
+  } else {
+    node.children.forEach(child => collectMatches(child, doc, found));
+  }
+  return found;
+};
+
+const describe = (node) => {
+  switch (node.type) {
+    case 'term':
+      return node.prefix ? `${node.prefix}*` : node.word;
+    case 'phrase':
+      return `"${node.words.join(' ')}${node.prefix ? '*' : ''}"`;
+    case 'and':
+      return `(${node.children.map(describe).join(' AND ')})`;
+    case 'or':
+      return `(${node.children.map(describe).join(' OR ')})`;
+    case 'not':
+      return `NOT ${describe(node.child)}`;
+    case 'near':
+      return `${describe(node.left)} NEAR/${node.distance} ${describe(node.right)}`;
+    default:
+      return '';
+  }
+};
+
+// ---------- Public API ----------
+
+/**
+ * Check keyword entries before saving them
+ * @returns {Array<{path, msg, query, position, near}>} errors, empty when valid
+ */
+const validateKeywords = (keywords, path = 'keywords') => {
+  if (!Array.isArray(keywords)) {
+    return [{ path, msg: 'must be an array of keyword queries' }];
+  }
+
+  const errors = [];
+  keywords.forEach((entry, i) => {
+    if (typeof entry !== 'string' || !entry.trim()) {
+      errors.push({ path: `${path}[${i}]`, msg: 'must be a non-empty string' });
+      return;
+    }
+    try {
+      parseEntry(entry);
+    } catch (error) {
+      if (!(error instanceof KeywordQueryError)) throw error;
+      errors.push({
+        path: `${path}[${i}]`,
+        msg: `${error.message} (position ${error.position})`,
+        query: entry,
+        position: error.position,
+        near: entry.slice(error.position, error.position + 20)
+      });
+    }
+  });
+  return errors;
+};
+
+// Postings are matched by many users per run; tokenize each one once
+const documentCache = new WeakMap();
+
+const getDocument = (item) => {
+  if (typeof item === 'string') return prepareText(item);
+  if (!documentCache.has(item)) {
+    documentCache.set(item, prepareText(`${item.title || ''} ${item.text || ''} ${item.intent || ''} ${item.description || ''}`));
+  }
+  return documentCache.get(item);
+};
+
+/**
+ * Compile keyword entries into a matcher. Entries that don't parse (saved
+ * before validation existed) fall back to plain phrases rather than failing.
+ * @returns {{ matches: Function, matchedTerms: Function, queries: Array<string> }}
+ *   matches(postingOrText) is true when any entry matches; an empty list matches everything
+ */
+const compileKeywords = (keywords = []) => {
+  const entries = (keywords || []).filter(entry => typeof entry === 'string' && entry.trim());
+  const asts = entries.map(entry => {
+    try {
+      return parseEntry(entry);
+    } catch (error) {
+      const words = tokenizeText(entry);
+      return words.length > 0 ? { type: 'phrase', words, stemmed: true } : null;
+    }
+  }).filter(Boolean);
+
+  return {
+    queries: asts.map(describe),
+    matches: (item) => asts.length === 0 || asts.some(ast => evaluate(ast, getDocument(item))),
+    matchedTerms: (item) => {
+      const doc = getDocument(item);
+      const found = new Set();
+      asts.filter(ast => evaluate(ast, doc)).forEach(ast => collectMatches(ast, doc, found));
+      return Array.from(found);
+    }
+  };
+};
+
+/**
+ * Words and phrases worth searching a source archive for: every term and
+ * phrase the entries mention outside a NOT. Archive search is only a broad
+ * first pass; results still go through compileKeywords.
+ * @returns {Array<string>}
+ */
+const searchTerms = (keywords = []) => {
+  const found = new Set();
+  const collect = (node) => {
+    if (node.type === 'not') return;
+    if (node.type === 'term') found.add(node.word || node.prefix);
+    else if (node.type === 'phrase') found.add(node.words.join(' '));
+    else if (node.type === 'near') [node.left, node.right].forEach(collect);
+    else node.children.forEach(collect);
+  };
+
+  (keywords || []).filter(entry => typeof entry === 'string' && entry.trim()).forEach(entry => {
+    try {
+      collect(parseEntry(entry));
+    } catch (error) {
+      const words = tokenizeText(entry);
+      if (words.length > 0) found.add(words.join(' '));
+    }
+  });
+
+  return Array.from(found);
+};
+
+// Any word whose stem is `stemmed` contains it, except "ies" plurals of a stem ending in y
+const stemSubstring = (stemmed) => (stemmed.endsWith('y') ? stemmed.slice(0, -1) : stemmed) || null;
+
+// { all } needs every part, { any } at least one; null parts mean "could match anything"
+const combineSubstrings = (kind, parts) => {
+  if (kind === 'any' && parts.includes(null)) return null;
+  const kept = parts.filter(part => part !== null);
+  if (kept.length === 0) return null;
+  return kept.length === 1 ? kept[0] : { [kind]: kept };
+};
+
+/**
+ * Lowercase substrings a text has to contain for any of the entries to
+ * match: a string, or a tree of { all: [...] } and { any: [...] }; null when
+ * nothing is required (e.g. a bare NOT). Lets the database narrow candidates
+ * with ILIKE before compileKeywords decides.
+ */
+const requiredSubstrings = (keywords = []) => {
+  const required = (node) => {
+    switch (node.type) {
+      case 'term':
+        return node.prefix || stemSubstring(node.stem);
+      case 'phrase':
+        return combineSubstrings('all', node.words.map((word, i) => {
+          if (node.prefix && i === node.words.length - 1) return word;
+          return node.stemmed ? stemSubstring(stem(word)) : word;
+        }));
+      case 'near':
+        return combineSubstrings('all', [required(node.left), required(node.right)]);
+      case 'and':
+        return combineSubstrings('all', node.children.map(required));
+      case 'or':
+        return combineSubstrings('any', node.children.map(required));
+      default:
+        return null;
+    }
+  };
+
+  const entries = (keywords || []).filter(entry => typeof entry === 'string' && entry.trim());
+  if (entries.length === 0) return null;
+
+  return combineSubstrings('any', entries.map(entry => {
+    try {
+      return required(parseEntry(entry));
+    } catch (error) {
+      const words = tokenizeText(entry);
+      return words.length > 0 ? required({ type: 'phrase', words, stemmed: true }) : null;
+    }
+  }));
+};
+
+module.exports = {
+  KeywordQueryError,
+  stem,
+  parseQuery,
+  validateKeywords,
+  compileKeywords,
+  searchTerms,
+  requiredSubstrings
+};
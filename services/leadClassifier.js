@@ -0,0 +1,177 @@
+/**
+ * Lead Type Classifier
+ * Tags postings with the lead types users pick in PUT /api/scraper/config
+ * (hiring, budget_mentioned, ...) and a confidence (0-1) for each.
+ * Rule-based by default; users can opt into their own LLM.
+ */
+
+const { meteredCall } = require('./aiScorer');
+
+const LEAD_TYPES = [
+  { key: 'hiring', name: 'Hiring/Recruiting', description: 'Companies looking to hire' },
+  { key: 'budget_mentioned', name: 'Budget Mentioned', description: 'Posts mentioning specific budgets' },
+  { key: 'complaint', name: 'Complaints', description: 'Users complaining about competitors' },
+  { key: 'feature_request', name: 'Feature Requests', description: 'Users requesting features you might offer' },
+  { key: 'integration_request', name: 'Integration Requests', description: 'Users looking for integrations' },
+  { key: 'competitor_mention', name: 'Competitor Mentions', description: 'Mentions of your competitors' }
+];
+
+const LEAD_TYPE_KEYS = LEAD_TYPES.map(type => type.key);
+
+// A type is assigned once its combined rule confidence reaches this
+const MIN_CONFIDENCE = 0.5;
+
+// Each rule that fires contributes its weight: confidence = 1 - Π(1 - weight)
+const RULES = {
+  hiring: [
+    { pattern: /\b(?:we(?:'re| are) hiring|now hiring|hiring now|is hiring)\b/i, weight: 0.8 },
+    { pattern: /\blooking (?:for|to hire) (?:a|an)\b.{0,40}\b(?:agency|freelancer|consultant|developer|designer|marketer|expert|specialist|contractor)s?\b/i, weight: 0.7 },
+    { pattern: /\b(?:\[hiring\]|job (?:posting|opening)|open (?:role|position)|full[- ]time|part[- ]time|contract role)\b/i, weight: 0.6 },
+    { pattern: /\b(?:need|seeking|want) (?:a|an|some)\b.{0,30}\b(?:help|agency|freelancer|consultant|developer)\b/i, weight: 0.4 },
+    { test: (posting) => posting.sourceKey === 'upwork', weight: 0.6 }
+  ],
+  budget_mentioned: [
+    { test: (posting) => Boolean(posting.budgetHint), weight: 0.8 },
+    { pattern: /\$\s?\d[\d,.]*\s?[km]?\b/i, weight: 0.6 },
+    { pattern: /\b(?:budget|ad spend|willing to (?:pay|spend)|per (?:month|hour)|hourly rate|fixed price)\b/i, weight: 0.4 }
+  ],
+  complaint: [
+    { pattern: /\b(?:frustrated|disappointed|fed up|terrible|awful|worst|useless|a nightmare)\b/i, weight: 0.5 },
+    { pattern: /\b(?:doesn't work|not working|keeps (?:breaking|crashing)|so buggy|support (?:is|was) (?:slow|bad|terrible))\b/i, weight: 0.5 },
+    { pattern: /\b(?:cancel(?:l?ing|l?ed) (?:my|our)|moving away from|done with|regret (?:buying|choosing))\b/i, weight: 0.5 }
+  ],
+  feature_request: [
+    { pattern: /\b(?:feature request|wish (?:it|there) (?:had|was|were)|would love (?:if|to see|a way)|missing (?:a )?feature)\b/i, weight: 0.7 },
+    { pattern: /\b(?:is there (?:a|any) (?:tool|app|way|software)|does anyone know (?:a|of)|any (?:tool|app)s? that)\b/i, weight: 0.5 }
+  ],
+  integration_request: [
+    { pattern: /\b(?:integrat(?:e|es|ion|ions) (?:with|between|for)|connect(?:s|ing)? (?:\w+ )?(?:to|with)|sync(?:s|ing)? (?:\w+ )?(?:with|between|to))\b/i, weight: 0.6 },
+    { pattern: /\b(?:zapier|make\.com|n8n|webhooks?|api access|native integration)\b/i, weight: 0.4 }
+  ],
+  competitor_mention: [
+    { pattern: /\b(?:alternative(?:s)? to|switch(?:ing|ed)? (?:from|away from)|compared to|vs\.?|versus|better than)\b/i, weight: 0.6 },
+    { pattern: /\b(?:currently (?:using|on)|we use|our current (?:tool|agency|provider|vendor))\b/i, weight: 0.3 }
+  ]
+};
+
+const postingText = (posting) => `${posting.title || ''}\n${posting.text || ''}`;
+
+/**
+ * Rule-based classification; the same posting always gets the same types
+ * @returns {Array<{type, confidence}>} sorted by confidence, highest first
+ */
+const classifyByRules = (posting) => {
+  const text = postingText(posting);
+  const types = [];
+
+  for (const [type, rules] of Object.entries(RULES)) {
+    const miss = rules
+      .filter(rule => (rule.test ? rule.test(posting) : rule.pattern.test(text)))
+      .reduce((product, rule) => product * (1 - rule.weight), 1);
+    const confidence = Math.round((1 - miss) * 100) / 100;
+    if (confidence >= MIN_CONFIDENCE) types.push({ type, confidence });
+  }
+
+  return types.sort((a, b) => b.confidence - a.confidence);
+};
+
+const parseLlmTypes = (content) => {
+  const jsonMatch = content.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) throw new Error('No JSON in classifier response');
+
+  const parsed = JSON.parse(jsonMatch[0]);
+  if (!Array.isArray(parsed.types)) throw new Error('Classifier response has no types array');
+
+  return parsed.types
+    .filter(entry => entry && LEAD_TYPE_KEYS.includes(entry.type))
+    .map(entry => ({
+      type: entry.type,
+      confidence: Math.min(Math.max(Number(entry.confidence) || 0, 0), 1)
+    }))
+    .filter(entry => entry.confidence >= MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
+/**
+ * Classify with the user's LLM
+ * @param {Object} options - { provider, apiKey, model, baseUrl, budget }
+ * @throws when the provider call or its response fails, or the budget is spent
+ */
+const classifyByLlm = async (posting, options) => {
+  const prompt = `Classify this post into zero or more lead types.
+
+Types:
+${LEAD_TYPES.map(type => `- ${type.key}: ${type.description}`).join('\n')}
+
+Post: """${postingText(posting).substring(0, 4000)}"""
+
+Respond in JSON format:
+{
+  "types": [{ "type": "one of the keys above", "confidence": 0.0-1.0 }]
+}`;
+
+  const content = await meteredCall(prompt, options.provider, options, { purpose: 'classification', maxTokens: 200 });
+  return parseLlmTypes(content);
+};
+
+/**
+ * Classify a posting for a user: their LLM when they opted in and have a
+ * key, rules otherwise (and whenever the LLM call fails or the budget is spent)
+ * @param {Object} options - { budget } from aiUsage.createBudget, to meter the LLM call
+ * @returns {Promise<{types: Array<{type, confidence}>, method: string, model?: string}>}
+ */
+const classifyForUser = async (posting, user, { budget = null } = {}) => {
+  const apiKey = user.leadTypeClassifier === 'ai' && user.aiProvider !== 'rule' ? user.getAiApiKey() : null;
+
+  if (apiKey) {
+    try {
+      const types = await classifyByLlm(posting, {
+        provider: user.aiProvider,
+        apiKey,
+        model: user.aiModel,
+        baseUrl: user.aiBaseUrl,
+        costPer1K: user.aiCostPer1K,
+        budget
+      });
+      return { types, method: 'ai', model: user.aiModel || null };
+    } catch (error) {
+      if (error.code !== 'AI_BUDGET_EXCEEDED') {
+        console.error(`Lead type classification error (${user.aiProvider}):`, error.message);
+      }
+    }
+  }
+
+  return { types: classifyByRules(posting), method: 'rule-based' };
+};
+
+/**
+ * True when the user picked no types, or the posting has one they picked
+ */
+const matchesLeadTypes = (types, selected) => {
+  if (!selected || selected.length === 0) return true;
+  return types.some(entry => selected.includes(entry.type));
+};
+
+/**
+ * Parse a `type` query parameter ("hiring" or "hiring,complaint")
+ * @returns {{ types: Array<string> } | { error: string }}
+ */
+const parseTypeFilter = (param) => {
+  const types = String(param).split(',').map(type => type.trim()).filter(Boolean);
+  const unknown = types.filter(type => !LEAD_TYPE_KEYS.includes(type));
+
+  if (types.length === 0 || unknown.length > 0) {
+    return { error: `Unknown lead type: ${unknown.join(', ') || param}. Expected one of ${LEAD_TYPE_KEYS.join(', ')}` };
+  }
+  return { types };
+};
+
+module.exports = {
+  LEAD_TYPES,
+  LEAD_TYPE_KEYS,
+  classifyByRules,
+  classifyByLlm,
+  classifyForUser,
+  matchesLeadTypes,
+  parseTypeFilter
+};
@@ -0,0 +1,362 @@
+/**
+ * Lead Duplicate Detection & Merging
+ * Groups a user's leads that are likely the same buyer posting in several
+ * places (same company/domain/handle, or near-identical text via MinHash)
+ * into clusters, and merges duplicates into one lead with an undo
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const { sequelize, Lead, RawPosting } = require('../models');
+
+const NUM_HASHES = 64;
+const LSH_BANDS = 16;
+const LSH_ROWS = NUM_HASHES / LSH_BANDS;
+const SHINGLE_SIZE = 3;
+
+// Estimated Jaccard similarity above which two texts count as the same post
+const TEXT_SIMILARITY_THRESHOLD = 0.5;
+
+// How far back new leads are compared against
+const CLUSTER_WINDOW_DAYS = 14;
+
+const COMPANY_SUFFIXES = /\b(?:inc|llc|ltd|limited|corp|corporation|co|company|gmbh|plc|pvt|srl|sa|ag)\b\.?/g;
+const GENERIC_NAMES = new Set(['unknown', 'anonymous', 'deleted', 'removed', 'na', 'none']);
+
+// Links to these are the platforms themselves, not the poster's company
+const PLATFORM_DOMAINS = [
+  'ycombinator.com', 'reddit.com', 'redd.it', 'upwork.com', 'linkedin.com',
+  'twitter.com', 'x.com', 'github.com', 'google.com', 'youtube.com', 'youtu.be',
+  'imgur.com', 'medium.com', 'notion.so', 'docs.google.com', 'forms.gle', 'bit.ly'
+];
+
+const SCORE_RANK = { cold: 0, warm: 1, hot: 2 };
+
+// Fields a merge may fill in on the target from its duplicates
+const FILLABLE_FIELDS = [
+  'companyName', 'companyWebsite', 'companySize', 'companyIndustry',
+  'contactName', 'contactTitle', 'contactEmail', 'contactLinkedIn', 'contactPhone',
+  'budgetSignal', 'urgencySignal'
+];
+
+// ---------- Normalization ----------
+
+const normalizeCompany = (name) => {
+  if (!name) return null;
+  const normalized = name
+    .toLowerCase()
+    .replace(COMPANY_SUFFIXES, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+  if (normalized.length < 3 || GENERIC_NAMES.has(normalized)) return null;
+  return normalized;
+};
+
+const normalizeHandle = (handle) => {
+  if (!handle) return null;
+  const normalized = handle.toLowerCase().replace(/^(?:u\/|@)/, '').trim();
+  if (normalized.length < 4 || GENERIC_NAMES.has(normalized.replace(/[^a-z]/g, ''))) return null;
+  return normalized;
+};
+
+const toDomain = (url) => {
+  try {
+    const host = new URL(url.startsWith('http') ? url : `https://${url}`).hostname.toLowerCase();
+    return host.replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+};
+
+const isPlatformDomain = (domain) => PLATFORM_DOMAINS.some(p => domain === p || domain.endsWith(`.${p}`));
+
+// Company domains: the website field, the contact email, and links in the text
+const extractDomains = (lead) => {
+  const domains = new Set();
+
+  if (lead.companyWebsite) domains.add(toDomain(lead.companyWebsite));
+  if (lead.contactEmail && lead.contactEmail.includes('@')) {
+    domains.add(lead.contactEmail.split('@')[1].toLowerCase());
+  }
+
+  const urls = `${lead.intent || ''} ${lead.description || ''}`.match(/https?:\/\/[^\s)<>"']+/gi) || [];
+  urls.forEach(url => domains.add(toDomain(url)));
+
+  return Array.from(domains).filter(d => d && !isPlatformDomain(d));
+};
+
+// ---------- MinHash ----------
+
+const fnv1a = (str) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// murmur3 finalizer, used to derive NUM_HASHES independent hashes from one
+const mix = (h) => {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => Math.imul(i + 1, 0x9e3779b9) >>> 0);
+
+const shingle = (text) => {
+  const words = (text || '').toLowerCase().match(/[a-z0-9$]+/g) || [];
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return shingles;
+};
+
+/**
+ * MinHash signature of a text, or null when it is too short to compare
+ */
+const minhash = (text) => {
+  const shingles = shingle(text);
+  if (shingles.size === 0) return null;
+
+  const signature = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const s of shingles) {
+    const base = fnv1a(s);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const h = mix(base ^ SEEDS[i]);
+      if (h < signature[i]) signature[i] = h;
+    }
+  }
+  return signature;
+};
+
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  let same = 0;
+  for (let i = 0; i < NUM_HASHES; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / NUM_HASHES;
+};
+
+// ---------- Clustering ----------
+
+const getLeadFeatures = (lead) => {
+  const author = (lead.posting && lead.posting.author) || (lead.rawData && lead.rawData.author);
+
+  return {
+    company: normalizeCompany(lead.companyName),
+    domains: extractDomains(lead),
+    handle: normalizeHandle(author),
+    signature: minhash(`${lead.intent || ''} ${lead.description || ''}`)
+  };
+};
+
+// Bucket keys: leads sharing an exact key are duplicates; band keys are only candidates
+const getBucketKeys = (features) => {
+  const exact = [];
+  if (features.company) exact.push(`c:${features.company}`);
+  if (features.handle) exact.push(`h:${features.handle}`);
+  features.domains.forEach(d => exact.push(`d:${d}`));
+
+  const bands = [];
+  if (features.signature) {
+    for (let b = 0; b < LSH_BANDS; b++) {
+      bands.push(`b${b}:${features.signature.slice(b * LSH_ROWS, (b + 1) * LSH_ROWS).join(',')}`);
+    }
+  }
+
+  return { exact, bands };
+};
+
+/**
+ * Group leads into duplicate sets
+ * @param {Array} leads - Lead instances (optionally with `posting` included)
+ * @returns {Array<Array>} Groups of two or more leads
+ */
+const findDuplicateGroups = (leads) => {
+  const parent = leads.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const union = (a, b) => { parent[find(a)] = find(b); };
+
+  const features = leads.map(getLeadFeatures);
+  const exactBuckets = new Map();
+  const bandBuckets = new Map();
+
+  features.forEach((f, i) => {
+    const { exact, bands } = getBucketKeys(f);
+    exact.forEach(key => {
+      if (exactBuckets.has(key)) union(i, exactBuckets.get(key));
+      else exactBuckets.set(key, i);
+    });
+    bands.forEach(key => {
+      if (!bandBuckets.has(key)) bandBuckets.set(key, []);
+      bandBuckets.get(key).push(i);
+    });
+  });
+
+  for (const members of bandBuckets.values()) {
+    for (let a = 0; a < members.length; a++) {
+      for (let b = a + 1; b < members.length; b++) {
+        if (find(members[a]) === find(members[b])) continue;
+        if (similarity(features[members[a]].signature, features[members[b]].signature) >= TEXT_SIMILARITY_THRESHOLD) {
+          union(members[a], members[b]);
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  leads.forEach((lead, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(lead);
+  });
+
+  return Array.from(groups.values()).filter(group => group.length > 1);
+};
+
+/**
+ * Compare a user's new leads against their recent ones and give each
+ * duplicate group a shared clusterId
+ * @returns {Promise<number>} Number of leads whose cluster changed
+ */
+const clusterLeads = async (userId, newLeads) => {
+  if (newLeads.length === 0) return 0;
+
+  const since = new Date(Date.now() - CLUSTER_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const recent = await Lead.findAll({
+    where: { userId, mergedIntoId: null, createdAt: { [Op.gte]: since } },
+    include: [{ model: RawPosting, as: 'posting', attributes: ['author'] }]
+  });
+
+  const newIds = new Set(newLeads.map(lead => lead.id));
+  let changed = 0;
+
+  for (const group of findDuplicateGroups(recent)) {
+    if (!group.some(lead => newIds.has(lead.id))) continue;
+
+    const clusterId = (group.find(lead => lead.clusterId) || {}).clusterId || uuidv4();
+    const toUpdate = group.filter(lead => lead.clusterId !== clusterId).map(lead => lead.id);
+
+    if (toUpdate.length > 0) {
+      await Lead.update({ clusterId }, { where: { id: toUpdate, userId } });
+      changed += toUpdate.length;
+    }
+  }
+
+  return changed;
+};
+
+// ---------- Merging ----------
+
+const union = (a = [], b = []) => Array.from(new Set([...a, ...b]));
+
+/**
+ * Merge duplicates into a target lead. The target keeps every source URL and
+ * signal; duplicates are hidden via mergedIntoId. Reversible with unmergeLeads.
+ */
+const mergeLeads = async (target, duplicates) => {
+  return sequelize.transaction(async (transaction) => {
+    const previous = {
+      tags: target.tags,
+      aiAnalysis: target.aiAnalysis,
+      mergedSources: target.mergedSources,
+      score: target.score,
+      scoreValue: target.scoreValue
+    };
+    FILLABLE_FIELDS.forEach(field => { previous[field] = target[field]; });
+
+    const mergedSources = [...(target.mergedSources || [])];
+    let tags = target.tags || [];
+    let signals = (target.aiAnalysis && target.aiAnalysis.signals) || [];
+    // The highest-scored lead's score, value and breakdown win
+    let best = target;
+
+    for (const dup of duplicates) {
+      mergedSources.push({
+        leadId: dup.id,
+        source: dup.source,
+        sourceUrl: dup.sourceUrl,
+        rawPostingId: dup.rawPostingId,
+        intent: dup.intent,
+        signals: (dup.aiAnalysis && dup.aiAnalysis.signals) || [],
+        createdAt: dup.createdAt
+      }, ...(dup.mergedSources || []));
+
+      tags = union(tags, dup.tags);
+      signals = union(signals, (dup.aiAnalysis && dup.aiAnalysis.signals) || []);
+      if (SCORE_RANK[dup.score] > SCORE_RANK[best.score] ||
+          (dup.score === best.score && (dup.scoreValue || 0) > (best.scoreValue || 0))) {
+        best = dup;
+      }
+
+      FILLABLE_FIELDS.forEach(field => {
+        if (!target[field] && dup[field]) target[field] = dup[field];
+      });
+    }
+
+    target.mergedSources = mergedSources;
+    target.tags = tags;
+    target.aiAnalysis = {
+      ...(target.aiAnalysis || {}),
+      signals,
+      scoreBreakdown: (best.aiAnalysis && best.aiAnalysis.scoreBreakdown) || null
+    };
+    target.score = best.score;
+    target.scoreValue = best.scoreValue;
+    target.mergeHistory = [...(target.mergeHistory || []), {
+      mergedAt: new Date().toISOString(),
+      leadIds: duplicates.map(dup => dup.id),
+      previous
+    }];
+    await target.save({ transaction });
+
+    await Lead.update(
+      { mergedIntoId: target.id, clusterId: target.clusterId },
+      { where: { id: duplicates.map(dup => dup.id), userId: target.userId }, transaction }
+    );
+
+    return target;
+  });
+};
+
+/**
+ * Undo the most recent merge into a lead
+ * @returns {Promise<Array<string>|null>} ids of the restored leads, or null if nothing to undo
+ */
+const unmergeLeads = async (target) => {
+  const history = target.mergeHistory || [];
+  if (history.length === 0) return null;
+
+  const last = history[history.length - 1];
+
+  await sequelize.transaction(async (transaction) => {
+    Object.entries(last.previous).forEach(([field, value]) => { target[field] = value; });
+    target.mergeHistory = history.slice(0, -1);
+    await target.save({ transaction });
+
+    await Lead.update(
+      { mergedIntoId: null },
+      { where: { id: last.leadIds, userId: target.userId, mergedIntoId: target.id }, transaction }
+    );
+  });
+
+  return last.leadIds;
+};
+
+module.exports = {
+  normalizeCompany,
+  extractDomains,
+  minhash,
+  similarity,
+  findDuplicateGroups,
+  clusterLeads,
+  mergeLeads,
+  unmergeLeads
+};
@@ -0,0 +1,166 @@
+/**
+ * Per-Source Lead Filters
+ * Validates the customFilters a user saves on a UserScraperConfig and
+ * applies them to postings during distribution.
+ *
+ * Schema (every field optional):
+ * {
+ *   excludeKeywords: string[],  // drop postings mentioning any of these
+ *   requiredKeywords: string[], // keep only postings mentioning all of these
+ *   minBudget: number,          // drop postings whose stated budget (USD) is lower; no stated budget passes
+ *   locations: string[],        // keep only postings whose location matches one; unknown location passes
+ *   maxAgeHours: number,        // drop postings older than this
+ *   includePatterns: string[],  // regexes (see services/safeRegex); keep only postings matching at least one
+ *   excludePatterns: string[],  // regexes (see services/safeRegex); drop postings matching any
+ *   subreddits: string[]        // Reddit only: keep only postings from these subreddits
+ * }
+ */
+
+const { checkPattern, compilePattern, testPattern } = require('./safeRegex');
+
+const STRING_LIST_FIELDS = ['excludeKeywords', 'requiredKeywords', 'locations', 'includePatterns', 'excludePatterns', 'subreddits'];
+const NUMBER_FIELDS = ['minBudget', 'maxAgeHours'];
+const MAX_LIST_LENGTH = 100;
+
+const BUDGET_MULTIPLIERS = { k: 1000, m: 1000000 };
+
+/**
+ * Check a customFilters object against the schema
+ * @returns {{ errors: Array<{path, msg}>, value: Object }} value is the normalized filters, minus invalid entries
+ */
+const validateFilters = (filters) => {
+  const errors = [];
+  const value = {};
+  const error = (field, msg) => errors.push({ path: `customFilters.${field}`, msg });
+
+  if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+    return { errors: [{ path: 'customFilters', msg: 'must be an object' }], value };
+  }
+
+  for (const field of Object.keys(filters)) {
+    if (!STRING_LIST_FIELDS.includes(field) && !NUMBER_FIELDS.includes(field)) {
+      error(field, `unknown filter; expected one of ${[...STRING_LIST_FIELDS, ...NUMBER_FIELDS].join(', ')}`);
+    }
+  }
+
+  for (const field of STRING_LIST_FIELDS) {
+    const list = filters[field];
+    if (list === undefined || list === null) continue;
+
+    if (!Array.isArray(list) || list.some(item => typeof item !== 'string' || !item.trim())) {
+      error(field, 'must be an array of non-empty strings');
+      continue;
+    }
+    if (list.length > MAX_LIST_LENGTH) {
+      error(field, `must have at most ${MAX_LIST_LENGTH} entries`);
+      continue;
+    }
+
+    if (field === 'includePatterns' || field === 'excludePatterns') {
+      // Invalid or backtracking-prone patterns are reported and left out of the normalized value
+      value[field] = list.filter((pattern, i) => {
+        const problem = checkPattern(pattern);
+        if (problem) error(`${field}[${i}]`, problem);
+        return !problem;
+      });
+    } else if (field === 'subreddits') {
+      value[field] = list.map(s => s.trim().toLowerCase().replace(/^\/?r\//, ''));
+    } else {
+      value[field] = list.map(s => s.trim().toLowerCase());
+    }
+  }
+
+  for (const field of NUMBER_FIELDS) {
+    const number = filters[field];
+    if (number === undefined || number === null) continue;
+
+    if (typeof number !== 'number' || !isFinite(number) || number <= 0) {
+      error(field, 'must be a positive number');
+      continue;
+    }
+    value[field] = number;
+  }
+
+  return { errors, value };
+};
+
+/**
+ * Largest dollar amount in a budget hint like "$5k-$10k/month"
+ */
+const parseBudgetAmount = (budgetHint) => {
+  if (!budgetHint) return null;
+
+  const amounts = [...budgetHint.matchAll(/([\d,.]+)\s?([kKmM])?/g)]
+    .map(([, number, suffix]) => {
+      const amount = parseFloat(number.replace(/,/g, ''));
+      return suffix ? amount * BUDGET_MULTIPLIERS[suffix.toLowerCase()] : amount;
+    })
+    .filter(amount => !isNaN(amount));
+
+  return amounts.length > 0 ? Math.max(...amounts) : null;
+};
+
+/**
+ * Pre-build the checks for a filter set; patterns are compiled once and
+ * shared (compilePattern caches them), and ones that fail checkPattern are skipped
+ * @returns {Function} (posting, now) => true when the posting passes
+ */
+const compileFilters = (filters = {}) => {
+  const checks = [];
+  const textOf = (posting) => `${posting.title || ''} ${posting.text || ''}`.toLowerCase();
+
+  if (filters.excludeKeywords && filters.excludeKeywords.length > 0) {
+    checks.push(posting => !filters.excludeKeywords.some(keyword => textOf(posting).includes(keyword)));
+  }
+
+  if (filters.requiredKeywords && filters.requiredKeywords.length > 0) {
+    checks.push(posting => filters.requiredKeywords.every(keyword => textOf(posting).includes(keyword)));
+  }
+
+  if (filters.minBudget) {
+    checks.push(posting => {
+      const amount = parseBudgetAmount(posting.budgetHint);
+      return amount === null || amount >= filters.minBudget;
+    });
+  }
+
+  if (filters.locations && filters.locations.length > 0) {
+    checks.push(posting => {
+      if (!posting.geo) return true;
+      const geo = posting.geo.toLowerCase();
+      return filters.locations.some(location => geo.includes(location));
+    });
+  }
+
+  if (filters.maxAgeHours) {
+    checks.push((posting, now) => {
+      if (!posting.postedAt) return true;
+      return now - new Date(posting.postedAt) <= filters.maxAgeHours * 60 * 60 * 1000;
+    });
+  }
+
+  if (filters.includePatterns && filters.includePatterns.length > 0) {
+    const patterns = filters.includePatterns.map(compilePattern).filter(Boolean);
+    checks.push(posting => patterns.some(p => testPattern(p, `${posting.title || ''} ${posting.text || ''}`)));
+  }
+
+  if (filters.excludePatterns && filters.excludePatterns.length > 0) {
+    const patterns = filters.excludePatterns.map(compilePattern).filter(Boolean);
+    checks.push(posting => !patterns.some(p => testPattern(p, `${posting.title || ''} ${posting.text || ''}`)));
+  }
+
+  if (filters.subreddits && filters.subreddits.length > 0) {
+    checks.push(posting => {
+      const subreddit = posting.meta && posting.meta.subreddit;
+      return !subreddit || filters.subreddits.includes(subreddit);
+    });
+  }
+
+  return (posting, now = new Date()) => checks.every(check => check(posting, now));
+};
+
+module.exports = {
+  validateFilters,
+  parseBudgetAmount,
+  compileFilters
+};
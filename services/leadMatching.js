@@ -0,0 +1,77 @@
+/**
+ * Lead Matching
+ * Decides which postings a user gets: the time window of each of their
+ * sources, their niche's subreddits, keywords (per-source keywords override
+ * the user's) and each source's custom filters. Shared by the worker and the
+ * scraper dry run so both match the same way.
+ */
+
+const { isPersonalSourceKey } = require('../scrapers');
+const keywordQuery = require('./keywordQuery');
+const leadFilters = require('./leadFilters');
+const { getUserSubreddits } = require('./niches');
+
+const DEFAULT_KEYWORDS = ['marketing agency', 'growth'];
+
+/**
+ * Window for one of a user's sources. Personal feeds and page monitors get
+ * no postedAt window: their cursor already returns only unseen items, and
+ * the dates they carry are often coarse ("Oct 8", "yesterday") or missing,
+ * so a new item can look older than the window.
+ * @param {Object} config - Their UserScraperConfig for the source, if any
+ * @returns {{ since: Date|null, keywordMatcher, passesFilters }}
+ */
+const buildSourceWindow = (user, sourceKey, since, config) => {
+  // Filters saved before validation existed may be invalid; apply whatever part is usable
+  const { errors, value } = leadFilters.validateFilters((config && config.customFilters) || {});
+  if (errors.length > 0) {
+    console.warn(`⚠️ Ignoring invalid ${sourceKey} filters for ${user.email}: ${errors.map(e => `${e.path} ${e.msg}`).join('; ')}`);
+  }
+
+  return {
+    since: isPersonalSourceKey(sourceKey) ? null : since,
+    keywordMatcher: config && config.keywords && config.keywords.length > 0
+      ? keywordQuery.compileKeywords(config.keywords)
+      : null,
+    passesFilters: leadFilters.compileFilters(value)
+  };
+};
+
+/**
+ * Matcher for a user across their source windows
+ * @param {Map} windows - sourceKey -> buildSourceWindow result
+ * @param {Object} options - { keywords } to try instead of the user's saved ones
+ * @returns {{ matches: (posting, now) => boolean, matchedTerms: (posting) => Array<string> }}
+ */
+const createUserMatcher = (user, windows, { keywords } = {}) => {
+  const userMatcher = keywordQuery.compileKeywords(keywords || user.keywords || DEFAULT_KEYWORDS);
+  const subreddits = getUserSubreddits(user);
+  const allowedSubreddits = subreddits && subreddits.length > 0
+    ? new Set(subreddits.map(name => name.toLowerCase()))
+    : null;
+
+  const keywordMatcherFor = (posting) => windows.get(posting.sourceKey).keywordMatcher || userMatcher;
+
+  return {
+    matches: (posting, now = new Date()) => {
+      // Only the user's sources, and only postings since the window opened
+      const window = windows.get(posting.sourceKey);
+      if (!window) return false;
+      if (window.since && posting.postedAt && posting.postedAt <= window.since) return false;
+
+      // Reddit postings only go to users whose niche lists the subreddit
+      const subreddit = posting.meta && posting.meta.subreddit;
+      if (subreddit && allowedSubreddits && !allowedSubreddits.has(subreddit)) return false;
+
+      if (!keywordMatcherFor(posting).matches(posting)) return false;
+      return window.passesFilters(posting, now);
+    },
+    matchedTerms: (posting) => keywordMatcherFor(posting).matchedTerms(posting)
+  };
+};
+
+module.exports = {
+  DEFAULT_KEYWORDS,
+  buildSourceWindow,
+  createUserMatcher
+};
@@ -0,0 +1,170 @@
+/**
+ * Lead Score Breakdown
+ * A 0-100 value next to the hot/warm/cold tier, made of feature
+ * contributions a rep can read: budget, urgency, intent, niche match,
+ * ICP fit and recency. The tier (from AI or rules) stays authoritative:
+ * feature points place the lead within that tier's band, so sorting by the
+ * value never puts a warm lead above a hot one. The difference between the
+ * feature points and the value is listed as a "tier" contribution, so the
+ * contributions always add up.
+ */
+
+const { SIGNALS, BUDGET_PATTERN } = require('./aiScorer');
+const nicheScoring = require('./nicheScoring');
+
+// Most points each feature can contribute; they add up to 100
+const FEATURE_MAX = {
+  budget: 25,
+  urgency: 20,
+  intent: 25,
+  nicheMatch: 15,
+  icpFit: 10,
+  recency: 5
+};
+
+// Value range for each tier
+const TIER_BANDS = {
+  hot: { min: 70, max: 100 },
+  warm: { min: 40, max: 69 },
+  cold: { min: 0, max: 39 }
+};
+
+// Niche points a posting can reach: two buyer-intent patterns plus every weight category
+const NICHE_MAX_POINTS = 2 * nicheScoring.NICHE_POINTS.buyerIntent +
+  nicheScoring.NICHE_POINTS.budget + nicheScoring.NICHE_POINTS.urgency + nicheScoring.NICHE_POINTS.intent;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Words too common to say anything about a target market
+const STOPWORDS = new Set(['with', 'that', 'from', 'this', 'their', 'they', 'have', 'small', 'large', 'companies', 'company', 'businesses', 'business']);
+
+const matchKeywords = (lower, keywords) => keywords.filter(keyword => lower.includes(keyword.toLowerCase()));
+
+const contribution = (feature, points, detail) => ({
+  feature,
+  points: Math.min(Math.round(points), FEATURE_MAX[feature]),
+  max: FEATURE_MAX[feature],
+  detail
+});
+
+const scoreBudget = (lower, text, posting) => {
+  const amount = posting.budgetHint || (text.match(BUDGET_PATTERN) || [])[0] || null;
+  const terms = matchKeywords(lower, SIGNALS.hot.budget);
+  const points = (amount ? 15 : 0) + (terms.length > 0 ? 10 : 0);
+  const found = [...new Map([amount, ...terms].filter(Boolean).map(term => [term.toLowerCase(), term])).values()];
+  return contribution('budget', points, found.length > 0 ? `Budget: ${found.slice(0, 3).join(', ')}` : 'No budget mentioned');
+};
+
+const scoreUrgency = (lower) => {
+  const urgent = matchKeywords(lower, SIGNALS.hot.urgent);
+  const timing = matchKeywords(lower, SIGNALS.warm.timing);
+  const points = urgent.length * 10 + timing.length * 4;
+  const found = [...urgent, ...timing];
+  return contribution('urgency', points, found.length > 0 ? `Timing: ${found.slice(0, 3).join(', ')}` : 'No deadline or urgency');
+};
+
+const scoreIntent = (lower) => {
+  const strong = matchKeywords(lower, [...SIGNALS.hot.decision, ...SIGNALS.hot.action]);
+  const weak = matchKeywords(lower, [...SIGNALS.warm.interest, ...SIGNALS.warm.research]);
+  const points = strong.length * 8 + weak.length * 3;
+  const found = [...strong, ...weak];
+  return contribution('intent', points, found.length > 0 ? `Buying intent: ${found.slice(0, 3).join(', ')}` : 'No buying intent phrases');
+};
+
+const scoreNicheMatch = (text, niche) => {
+  if (!niche) return contribution('nicheMatch', 0, 'No niche selected');
+
+  const { points, matchedRules } = nicheScoring.scoreWithNiche(text, niche);
+  return contribution(
+    'nicheMatch',
+    (Math.min(points, NICHE_MAX_POINTS) / NICHE_MAX_POINTS) * FEATURE_MAX.nicheMatch,
+    nicheScoring.describeMatches(niche, matchedRules)
+  );
+};
+
+const marketWords = (user) => [...new Set(
+  `${user.targetMarket || ''} ${user.industry || ''}`.toLowerCase()
+    .split(/[^a-z0-9+#]+/)
+    .filter(word => word.length >= 4 && !STOPWORDS.has(word))
+)];
+
+// How well the posting fits who the user sells to: lead types, market and locations
+const scoreIcpFit = (lower, posting, user, types) => {
+  if (!user) return contribution('icpFit', 0, 'No customer profile');
+
+  let points = 0;
+  const details = [];
+
+  const selected = user.leadTypes || [];
+  const matchedTypes = (types || []).filter(entry => selected.includes(entry.type));
+  if (matchedTypes.length > 0) {
+    points += 4 * Math.max(...matchedTypes.map(entry => entry.confidence || 0));
+    details.push(`type ${matchedTypes.map(entry => entry.type).join(', ')}`);
+  }
+
+  const market = marketWords(user).filter(word => lower.includes(word));
+  if (market.length > 0) {
+    points += Math.min(market.length, 3);
+    details.push(`market ${market.slice(0, 3).join(', ')}`);
+  }
+
+  const where = `${posting.geo || ''} ${lower}`.toLowerCase();
+  const location = (user.customerLocations || []).find(place => place && where.includes(place.toLowerCase()));
+  if (location) {
+    points += 3;
+    details.push(`location ${location}`);
+  }
+
+  return contribution('icpFit', points, details.length > 0 ? `Fits: ${details.join('; ')}` : 'Nothing matches the customer profile');
+};
+
+const scoreRecency = (posting, now) => {
+  const postedAt = posting.postedAt ? new Date(posting.postedAt) : null;
+  if (!postedAt || isNaN(postedAt.getTime())) return contribution('recency', 0, 'Posting date unknown');
+
+  const days = Math.max((now - postedAt.getTime()) / DAY_MS, 0);
+  const points = days <= 1 ? 5 : days <= 3 ? 3 : days <= 7 ? 1 : 0;
+  return contribution('recency', points, days < 1 ? 'Posted today' : `Posted ${Math.floor(days)} day(s) ago`);
+};
+
+/**
+ * Numeric score and its breakdown for a scored posting
+ * @param {Object} posting - Scraped posting (title, text, budgetHint, geo, postedAt)
+ * @param {string} tier - hot, warm or cold, as scored
+ * @param {Object} options - { niche, user, types: [{ type, confidence }], now }
+ * @returns {{ value: number, contributions: Array<{feature, points, max, detail}> }}
+ */
+const explainScore = (posting, tier, { niche = null, user = null, types = [], now = Date.now() } = {}) => {
+  const text = `${posting.title || ''}\n${posting.text || ''}`;
+  const lower = text.toLowerCase();
+
+  const contributions = [
+    scoreBudget(lower, text, posting),
+    scoreUrgency(lower),
+    scoreIntent(lower),
+    scoreNicheMatch(text, niche),
+    scoreIcpFit(lower, posting, user, types),
+    scoreRecency(posting, now)
+  ];
+
+  const featurePoints = contributions.reduce((sum, entry) => sum + entry.points, 0);
+  const band = TIER_BANDS[tier] || TIER_BANDS.warm;
+  const value = band.min + Math.round((featurePoints / 100) * (band.max - band.min));
+
+  if (value !== featurePoints) {
+    contributions.push({
+      feature: 'tier',
+      points: value - featurePoints,
+      max: null,
+      detail: `${tier} leads score ${band.min}-${band.max}; features place it within that range`
+    });
+  }
+
+  return { value, contributions };
+};
+
+module.exports = {
+  FEATURE_MAX,
+  TIER_BANDS,
+  explainScore
+};
@@ -0,0 +1,103 @@
+/**
+ * Niche-Aware Scoring
+ * Scores postings against the buyer-intent patterns and scoring weights of
+ * the user's niche (a template from services/niches, or their custom niche)
+ */
+
+const { NICHE_TEMPLATES } = require('./niches');
+const { compilePattern, testPattern } = require('./safeRegex');
+
+// Points per matched category; buyer intent counts up to twice
+const NICHE_POINTS = { buyerIntent: 3, budget: 2, urgency: 2, intent: 1 };
+const MAX_BUYER_INTENT_MATCHES = 2;
+
+const WEIGHT_CATEGORIES = ['budget', 'urgency', 'intent'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word match where the term starts/ends with a word character ("hire" not in "whirled")
+const termPattern = (term) => {
+  const start = /^\w/.test(term) ? '\\b' : '';
+  const end = /\w$/.test(term) ? '\\b' : '';
+  return new RegExp(`${start}${escapeRegExp(term)}${end}`, 'i');
+};
+
+// Template patterns are RegExps; custom niche patterns are user strings, so
+// ones safeRegex refuses (invalid or prone to backtracking) are dropped
+const toRegExp = (pattern) => (pattern instanceof RegExp ? pattern : compilePattern(pattern));
+
+const compileNiche = (id, config) => {
+  const weights = config.scoringWeights || {};
+
+  return {
+    id,
+    name: config.name || id,
+    description: config.description || null,
+    buyerIntent: (config.buyerIntent || []).map(toRegExp).filter(Boolean),
+    weights: Object.fromEntries(WEIGHT_CATEGORIES.map(category => [
+      category,
+      (weights[category] || []).map(term => ({ term, pattern: termPattern(term) }))
+    ]))
+  };
+};
+
+/**
+ * The niche a user's leads should be scored against, compiled, or null
+ * when they haven't picked one. Templates are read live so improvements
+ * apply to everyone; the snapshot in nicheConfig covers retired templates.
+ */
+const getUserNiche = (user) => {
+  if (!user.nicheId) return null;
+
+  if (user.customNiche && user.customNiche.id === user.nicheId) {
+    return compileNiche(user.nicheId, user.customNiche);
+  }
+
+  const template = NICHE_TEMPLATES[user.nicheId];
+  if (template) return compileNiche(user.nicheId, template);
+
+  return user.nicheConfig ? compileNiche(user.nicheId, user.nicheConfig) : null;
+};
+
+/**
+ * @returns {{ points: number, matchedRules: { buyerIntent, budget, urgency, intent } }}
+ */
+const scoreWithNiche = (text, niche) => {
+  const matchedRules = {
+    buyerIntent: niche.buyerIntent.filter(pattern => testPattern(pattern, text)).map(pattern => pattern.source)
+  };
+  WEIGHT_CATEGORIES.forEach(category => {
+    matchedRules[category] = niche.weights[category]
+      .filter(({ pattern }) => pattern.test(text))
+      .map(({ term }) => term);
+  });
+
+  const points =
+    Math.min(matchedRules.buyerIntent.length, MAX_BUYER_INTENT_MATCHES) * NICHE_POINTS.buyerIntent +
+    WEIGHT_CATEGORIES.reduce((sum, category) => sum + (matchedRules[category].length > 0 ? NICHE_POINTS[category] : 0), 0);
+
+  return { points, matchedRules };
+};
+
+const pointsToScore = (points) => {
+  if (points >= 4) return 'hot';
+  if (points >= 2) return 'warm';
+  return 'cold';
+};
+
+const describeMatches = (niche, matchedRules) => {
+  const parts = [];
+  if (matchedRules.buyerIntent.length > 0) parts.push(`${matchedRules.buyerIntent.length} buyer-intent pattern(s)`);
+  WEIGHT_CATEGORIES.forEach(category => {
+    if (matchedRules[category].length > 0) parts.push(`${category}: ${matchedRules[category].slice(0, 3).join(', ')}`);
+  });
+  return parts.length > 0 ? `${niche.name} signals - ${parts.join('; ')}` : `No ${niche.name} signals`;
+};
+
+module.exports = {
+  NICHE_POINTS,
+  getUserNiche,
+  scoreWithNiche,
+  pointsToScore,
+  describeMatches
+};
@@ -3,6 +3,8 @@
  * Pre-built and custom niche templates for lead generation
  */
 
+const { compilePattern } = require('./safeRegex');
+
 const NICHE_TEMPLATES = {
   // Marketing & Agencies
   'performance-marketing': {
@@ -226,13 +228,36 @@ const createCustomNiche = (name, description, config) => {
     keywords: config.keywords || [],
     sources: config.sources || { hackerNews: true, reddit: true, upwork: false, linkedin: false },
     subreddits: config.subreddits || [],
-    buyerIntent: (config.buyerIntentPatterns || []).map(p => new RegExp(p, 'i')),
+    buyerIntent: (config.buyerIntentPatterns || []).map(compilePattern).filter(Boolean),
     scoringWeights: config.scoringWeights || { budget: [], urgency: [], intent: [] }
   };
 
   return id;
 };
 
+// Subreddits the user's Reddit leads may come from, from their niche.
+// null means no niche list: they get the Reddit source defaults, unrestricted.
+const getUserSubreddits = (user) => {
+  if (user.customNiche && user.nicheId && user.customNiche.id === user.nicheId) {
+    return user.customNiche.subreddits || [];
+  }
+  if (user.nicheConfig && Array.isArray(user.nicheConfig.subreddits)) {
+    return user.nicheConfig.subreddits;
+  }
+  const template = user.nicheId ? getNicheConfig(user.nicheId) : null;
+  return template ? template.subreddits : null;
+};
+
+// Replace the user's niche subreddit list (custom niche, or their copy of the template's)
+const setUserSubreddits = (user, subreddits) => {
+  if (user.customNiche && user.nicheId && user.customNiche.id === user.nicheId) {
+    user.customNiche = { ...user.customNiche, subreddits };
+  } else {
+    user.nicheConfig = { ...(user.nicheConfig || {}), subreddits };
+  }
+  return user;
+};
+
 // Get keywords for a specific niche with industry context
 const getNicheKeywords = (nicheId, industry = null) => {
   const config = getNicheConfig(nicheId);
@@ -265,5 +290,7 @@ module.exports = {
   getNicheConfig,
   applyNicheToUser,
   createCustomNiche,
-  getNicheKeywords
+  getNicheKeywords,
+  getUserSubreddits,
+  setUserSubreddits
 };
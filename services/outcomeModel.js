@@ -0,0 +1,379 @@
+/**
+ * Outcome Model
+ * Learns from how a user's leads turned out. Leads they qualified or closed
+ * are positive examples, leads they archived negative ones. A logistic
+ * regression over posting tokens, source, lead types and the score
+ * breakdown features is trained per user, on CPU, by a worker job. Once it
+ * has enough labels and predicts better than chance on held-out leads, its
+ * probability is blended into the score of each new lead.
+ */
+
+const { Op } = require('sequelize');
+const { Lead, ScoringModel } = require('../models');
+const { FEATURE_MAX, TIER_BANDS } = require('./leadScore');
+
+const ALGORITHM = 'logistic-regression';
+
+const POSITIVE_STATUSES = ['qualified', 'closed'];
+const NEGATIVE_STATUSES = ['archived'];
+
+// Labels needed before a model is trained at all, overall and per class
+const MIN_LABELS = parseInt(process.env.OUTCOME_MODEL_MIN_LABELS || '30');
+const MIN_PER_CLASS = 5;
+
+// A model has to rank held-out leads at least this well to be used
+const MIN_AUC = 0.6;
+
+// The model's share of the blended score grows with labels up to this
+const MAX_BLEND_WEIGHT = 0.5;
+const FULL_WEIGHT_LABELS = 200;
+
+// Most recent labelled leads trained on per user
+const MAX_TRAINING_LEADS = 5000;
+
+// Tokens seen in fewer training leads than this carry no weight
+const MIN_TOKEN_LEADS = 3;
+const MAX_VOCABULARY = 2000;
+
+const FOLDS = 5;
+const EPOCHS = 30;
+const LEARNING_RATE = 0.1;
+const L2 = 0.001;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'you', 'are', 'with', 'this', 'that', 'have', 'from', 'your', 'our', 'will',
+  'can', 'not', 'but', 'all', 'any', 'who', 'what', 'was', 'has', 'they', 'their', 'would', 'about'
+]);
+
+const tokenize = (text) => new Set(
+  String(text || '').toLowerCase()
+    .split(/[^a-z0-9$+#]+/)
+    .filter(token => token.length >= 3 && token.length <= 30 && !STOPWORDS.has(token))
+);
+
+/**
+ * Features of a lead row (a Lead, or the object transformLead builds)
+ * @returns {Map<string, number>} feature name -> value
+ */
+const leadFeatures = (lead) => {
+  const features = new Map();
+
+  tokenize(`${lead.intent || ''} ${lead.description || ''}`).forEach(token => features.set(`w:${token}`, 1));
+  if (lead.source) features.set(`source:${lead.source}`, 1);
+  (lead.types || []).forEach(entry => features.set(`type:${entry.type}`, entry.confidence || 1));
+
+  const breakdown = (lead.aiAnalysis && lead.aiAnalysis.scoreBreakdown) || [];
+  breakdown
+    .filter(entry => FEATURE_MAX[entry.feature])
+    .forEach(entry => features.set(`f:${entry.feature}`, entry.points / FEATURE_MAX[entry.feature]));
+
+  return features;
+};
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-Math.max(Math.min(z, 35), -35)));
+
+// Small seeded PRNG, so the same leads always train the same model
+const seededRandom = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Which features get weights: all non-token ones, plus tokens common enough to generalize
+const buildVocabulary = (examples) => {
+  const counts = new Map();
+  examples.forEach(({ features }) => features.forEach((value, name) => counts.set(name, (counts.get(name) || 0) + 1)));
+
+  const tokens = [...counts.entries()]
+    .filter(([name, count]) => name.startsWith('w:') && count >= MIN_TOKEN_LEADS)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_VOCABULARY)
+    .map(([name]) => name);
+  const others = [...counts.keys()].filter(name => !name.startsWith('w:'));
+
+  return [...others, ...tokens];
+};
+
+/**
+ * Fit a logistic regression with SGD, L2 regularization and balanced class weights
+ * @param {Array<{features: Map, label: 0|1}>} examples
+ * @returns {{ bias: number, weights: Object }}
+ */
+const fit = (examples, seed = 1) => {
+  const vocabulary = buildVocabulary(examples);
+  const index = new Map(vocabulary.map((name, i) => [name, i]));
+  const rows = examples.map(({ features, label }) => ({
+    label,
+    entries: [...features.entries()].filter(([name]) => index.has(name)).map(([name, value]) => [index.get(name), value])
+  }));
+
+  const positives = rows.filter(row => row.label === 1).length;
+  const classWeight = {
+    1: rows.length / (2 * Math.max(positives, 1)),
+    0: rows.length / (2 * Math.max(rows.length - positives, 1))
+  };
+
+  const weights = new Float64Array(vocabulary.length);
+  let bias = 0;
+  const random = seededRandom(seed);
+  const order = rows.map((row, i) => i);
+
+  for (let epoch = 0; epoch < EPOCHS; epoch++) {
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    const rate = LEARNING_RATE / (1 + epoch * 0.1);
+
+    order.forEach(i => {
+      const { label, entries } = rows[i];
+      const z = entries.reduce((sum, [k, value]) => sum + weights[k] * value, bias);
+      const gradient = (sigmoid(z) - label) * classWeight[label];
+
+      bias -= rate * gradient;
+      entries.forEach(([k, value]) => {
+        weights[k] -= rate * (gradient * value + L2 * weights[k]);
+      });
+    });
+  }
+
+  const kept = {};
+  vocabulary.forEach((name, i) => {
+    if (Math.abs(weights[i]) >= 1e-4) kept[name] = Math.round(weights[i] * 10000) / 10000;
+  });
+  return { bias: Math.round(bias * 10000) / 10000, weights: kept };
+};
+
+/**
+ * @returns {number} Probability (0-1) that the lead turns out well
+ */
+const predict = (parameters, features) => {
+  let z = parameters.bias;
+  features.forEach((value, name) => {
+    if (parameters.weights[name] !== undefined) z += parameters.weights[name] * value;
+  });
+  return sigmoid(z);
+};
+
+// Area under the ROC curve: how often a positive is ranked above a negative
+const rocAuc = (predictions) => {
+  const sorted = [...predictions].sort((a, b) => a.probability - b.probability);
+  const positives = sorted.filter(p => p.label === 1).length;
+  const negatives = sorted.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  let rankSum = 0;
+  for (let i = 0; i < sorted.length;) {
+    let j = i;
+    while (j < sorted.length && sorted[j].probability === sorted[i].probability) j++;
+    const averageRank = (i + j + 1) / 2;
+    for (let k = i; k < j; k++) if (sorted[k].label === 1) rankSum += averageRank;
+    i = j;
+  }
+  return (rankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+const evaluate = (predictions) => {
+  const truePositives = predictions.filter(p => p.label === 1 && p.probability >= 0.5).length;
+  const predictedPositives = predictions.filter(p => p.probability >= 0.5).length;
+  const positives = predictions.filter(p => p.label === 1).length;
+  const correct = predictions.filter(p => (p.probability >= 0.5 ? 1 : 0) === p.label).length;
+  const logLoss = predictions.reduce((sum, p) => {
+    const probability = Math.min(Math.max(p.probability, 1e-6), 1 - 1e-6);
+    return sum - (p.label === 1 ? Math.log(probability) : Math.log(1 - probability));
+  }, 0) / predictions.length;
+
+  return {
+    accuracy: round(correct / predictions.length),
+    precision: round(predictedPositives > 0 ? truePositives / predictedPositives : 0),
+    recall: round(positives > 0 ? truePositives / positives : 0),
+    auc: round(rocAuc(predictions)),
+    logLoss: round(logLoss),
+    baseRate: round(positives / predictions.length)
+  };
+};
+
+/**
+ * Cross-validate on the examples, then fit the final model on all of them
+ * @returns {{ parameters, metrics }}
+ */
+const train = (examples) => {
+  const predictions = [];
+  for (let fold = 0; fold < FOLDS; fold++) {
+    const training = examples.filter((example, i) => i % FOLDS !== fold);
+    const held = examples.filter((example, i) => i % FOLDS === fold);
+    if (held.length === 0) continue;
+
+    const parameters = fit(training, fold + 1);
+    held.forEach(({ features, label }) => predictions.push({ probability: predict(parameters, features), label }));
+  }
+
+  return { parameters: fit(examples), metrics: { ...evaluate(predictions), folds: FOLDS } };
+};
+
+const labelFor = (status) => (POSITIVE_STATUSES.includes(status) ? 1 : 0);
+
+// The user's leads with an outcome, newest decisions first; merged duplicates count once via their target
+const findLabelledLeads = (userId) => Lead.findAll({
+  where: {
+    userId,
+    mergedIntoId: null,
+    status: { [Op.in]: [...POSITIVE_STATUSES, ...NEGATIVE_STATUSES] }
+  },
+  attributes: ['id', 'status', 'source', 'intent', 'description', 'types', 'aiAnalysis'],
+  order: [['updatedAt', 'DESC']],
+  limit: MAX_TRAINING_LEADS
+});
+
+const countLabels = (leads) => {
+  const positive = leads.filter(lead => labelFor(lead.status) === 1).length;
+  return { total: leads.length, positive, negative: leads.length - positive };
+};
+
+const blendWeight = (labelCount) => Math.round(MAX_BLEND_WEIGHT * Math.min(labelCount / FULL_WEIGHT_LABELS, 1) * 100) / 100;
+
+/**
+ * Retrain a user's model from their labelled leads and save it
+ * @returns {Promise<ScoringModel>}
+ */
+const trainForUser = async (userId) => {
+  const leads = await findLabelledLeads(userId);
+  const labels = countLabels(leads);
+  const [model] = await ScoringModel.findOrCreate({ where: { userId }, defaults: { userId } });
+
+  if (labels.total < MIN_LABELS || labels.positive < MIN_PER_CLASS || labels.negative < MIN_PER_CLASS) {
+    return model.update({ status: 'insufficient_data', labels, parameters: null, metrics: null, trainedAt: new Date() });
+  }
+
+  // Interleave by id so every fold sees leads from across the whole history
+  const examples = [...leads]
+    .sort((a, b) => (a.id < b.id ? -1 : 1))
+    .map(lead => ({ features: leadFeatures(lead), label: labelFor(lead.status) }));
+  const { parameters, metrics } = train(examples);
+
+  return model.update({
+    algorithm: ALGORITHM,
+    status: metrics.auc !== null && metrics.auc >= MIN_AUC ? 'active' : 'weak',
+    parameters,
+    labels,
+    metrics,
+    trainedAt: new Date()
+  });
+};
+
+/**
+ * Users with enough labelled leads to train on
+ * @returns {Promise<Array<string>>} Their ids
+ */
+const findTrainableUserIds = async () => {
+  const rows = await Lead.findAll({
+    where: {
+      mergedIntoId: null,
+      status: { [Op.in]: [...POSITIVE_STATUSES, ...NEGATIVE_STATUSES] }
+    },
+    attributes: ['userId'],
+    group: ['user_id'],
+    having: Lead.sequelize.where(Lead.sequelize.fn('COUNT', Lead.sequelize.col('id')), { [Op.gte]: MIN_LABELS }),
+    raw: true
+  });
+  return rows.map(row => row.userId);
+};
+
+/**
+ * The user's model when it is good enough to blend into scores, or null
+ */
+const getActiveModel = async (userId) => {
+  const model = await ScoringModel.findOne({ where: { userId } });
+  return model && model.status === 'active' && model.parameters ? model : null;
+};
+
+const tierForValue = (value) => Object.keys(TIER_BANDS).find(tier => value >= TIER_BANDS[tier].min) || 'cold';
+
+/**
+ * Blend the model's probability into a lead row built by transformLead:
+ * updates score, scoreValue and the breakdown, and records the prediction
+ * in aiAnalysis.outcomeModel
+ */
+const blendIntoLead = (model, row) => {
+  const labelCount = (model.labels && model.labels.total) || 0;
+  const weight = blendWeight(labelCount);
+  if (weight === 0 || row.scoreValue === null || row.scoreValue === undefined) return row;
+
+  const probability = predict(model.parameters, leadFeatures(row));
+  const value = Math.round((1 - weight) * row.scoreValue + weight * probability * 100);
+  const tier = tierForValue(value);
+  const percent = Math.round(probability * 100);
+
+  row.aiAnalysis.scoreBreakdown = [...(row.aiAnalysis.scoreBreakdown || []), {
+    feature: 'model',
+    points: value - row.scoreValue,
+    max: null,
+    detail: `Your past outcomes: ${percent}% likely to qualify${tier !== row.score ? ` (${row.score} → ${tier})` : ''}`
+  }];
+  row.aiAnalysis.outcomeModel = {
+    probability: Math.round(probability * 1000) / 1000,
+    weight,
+    scoreBefore: row.score,
+    scoreValueBefore: row.scoreValue,
+    trainedAt: model.trainedAt
+  };
+  row.score = tier;
+  row.scoreValue = value;
+  return row;
+};
+
+// Strongest features either way, for showing what the model learned
+const topFeatures = (parameters, count = 10) => {
+  const entries = Object.entries(parameters.weights).sort((a, b) => b[1] - a[1]);
+  const describe = ([feature, weight]) => ({ feature, weight });
+  return {
+    positive: entries.filter(([, weight]) => weight > 0).slice(0, count).map(describe),
+    negative: entries.filter(([, weight]) => weight < 0).reverse().slice(0, count).map(describe)
+  };
+};
+
+/**
+ * What GET /api/settings/ai/model shows: the saved model plus the labels available now
+ */
+const describeModel = async (userId) => {
+  const [model, leads] = await Promise.all([
+    ScoringModel.findOne({ where: { userId } }),
+    findLabelledLeads(userId)
+  ]);
+  const labelsNow = countLabels(leads);
+  const requirements = { minLabels: MIN_LABELS, minPerClass: MIN_PER_CLASS, minAuc: MIN_AUC };
+
+  if (!model) {
+    return { status: 'untrained', labelsNow, requirements };
+  }
+
+  return {
+    status: model.status,
+    algorithm: model.algorithm,
+    trainedAt: model.trainedAt,
+    labels: model.labels,
+    labelsNow,
+    requirements,
+    blendWeight: model.status === 'active' ? blendWeight(model.labels.total || 0) : 0,
+    metrics: model.metrics,
+    topFeatures: model.parameters ? topFeatures(model.parameters) : null
+  };
+};
+
+module.exports = {
+  POSITIVE_STATUSES,
+  NEGATIVE_STATUSES,
+  MIN_LABELS,
+  leadFeatures,
+  fit,
+  predict,
+  train,
+  trainForUser,
+  findTrainableUserIds,
+  getActiveModel,
+  blendIntoLead,
+  describeModel
+};
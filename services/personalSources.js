@@ -0,0 +1,171 @@
+/**
+ * Personal Sources
+ * Sources a user adds for themselves (RSS/Atom feeds, page monitors): a
+ * ScrapeSource row they own, holding the fetch settings in config, plus their
+ * UserScraperConfig row for keywords and custom filters.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const { sequelize, ScrapeSource, UserScraperConfig } = require('../models');
+const { validateKeywords } = require('./keywordQuery');
+const { validateFilters } = require('./leadFilters');
+const { isBlockedHostname } = require('./httpClient');
+
+// Personal sources of each kind (category) a plan may add
+const PLAN_SOURCE_LIMITS = {
+  free: 1,
+  pro: 10,
+  enterprise: 50
+};
+
+const getSourceLimit = (user) => PLAN_SOURCE_LIMITS[user.subscriptionTier] || PLAN_SOURCE_LIMITS.free;
+
+/**
+ * Validate the fields every personal source shares; name is required on create
+ * @returns {{ errors: Array<{path, msg}>, filters }} filters: normalized customFilters
+ */
+const validateSourceSettings = ({ name, keywords, customFilters }, { creating }) => {
+  const errors = [];
+  let filters;
+
+  if (creating || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      errors.push({ path: 'name', msg: 'must be 1-100 characters' });
+    }
+  }
+  if (keywords !== undefined) {
+    if (!Array.isArray(keywords)) errors.push({ path: 'keywords', msg: 'must be an array' });
+    else errors.push(...validateKeywords(keywords));
+  }
+  if (customFilters !== undefined) {
+    const result = validateFilters(customFilters);
+    errors.push(...result.errors);
+    filters = result.value;
+  }
+
+  return { errors, filters };
+};
+
+// Problems with a URL a user wants fetched. Names that resolve to private
+// addresses are refused by the HTTP client at fetch time.
+const validateUrl = (url, path = 'url') => {
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    // reported below
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    return [{ path, msg: 'must be an http(s) URL' }];
+  }
+  if (net.isIP(parsed.hostname.replace(/^\[|\]$/g, '')) !== 0 || isBlockedHostname(parsed.hostname)) {
+    return [{ path, msg: 'must use a public host name, not an IP address or localhost' }];
+  }
+  return [];
+};
+
+const serializeSource = (source, config) => ({
+  key: source.key,
+  name: source.name,
+  ...source.config,
+  isActive: source.isActive,
+  keywords: config ? config.keywords : [],
+  customFilters: config ? config.customFilters : {},
+  lastScrapedAt: config ? config.lastScrapedAt : null,
+  createdAt: source.createdAt
+});
+
+const listOwnSources = async (userId, category) => {
+  const sources = await ScrapeSource.findAll({
+    where: { ownerId: userId, category },
+    order: [['createdAt', 'ASC']]
+  });
+  const configs = await UserScraperConfig.findAll({
+    where: { userId, sourceKey: sources.map(source => source.key) }
+  });
+  const configsByKey = new Map(configs.map(config => [config.sourceKey, config]));
+
+  return sources.map(source => serializeSource(source, configsByKey.get(source.key)));
+};
+
+const findOwnSource = (userId, key, category) => ScrapeSource.findOne({
+  where: { key, ownerId: userId, category }
+});
+
+const countOwnSources = (userId, category) => ScrapeSource.count({
+  where: { ownerId: userId, category }
+});
+
+/**
+ * Create the source and the owner's config for it together
+ * @param {Object} options - { keyPrefix, category, icon, name, description, config, keywords, filters }
+ * @returns {Promise<Object>} The serialized source
+ */
+const createOwnSource = async (user, { keyPrefix, category, icon, name, description, config, keywords = [], filters = {} }) => {
+  const key = `${keyPrefix}${crypto.randomBytes(6).toString('hex')}`;
+
+  return sequelize.transaction(async (transaction) => {
+    const source = await ScrapeSource.create({
+      key,
+      name: name.trim(),
+      description,
+      icon,
+      category,
+      ownerId: user.id,
+      config
+    }, { transaction });
+
+    const userConfig = await UserScraperConfig.create({
+      userId: user.id,
+      sourceKey: key,
+      isEnabled: true,
+      keywords: keywords.map(k => k.trim()),
+      customFilters: filters
+    }, { transaction });
+
+    return serializeSource(source, userConfig);
+  });
+};
+
+/**
+ * Save changes to a source and its shared settings
+ * @param {Object} changes - { name, isActive, keywords, filters }; undefined leaves a field alone
+ * @returns {Promise<Object>} The serialized source
+ */
+const updateOwnSource = async (user, source, { name, isActive, keywords, filters }) => {
+  if (name !== undefined) source.name = name.trim();
+  if (isActive !== undefined) source.isActive = Boolean(isActive);
+  await source.save();
+
+  const [config] = await UserScraperConfig.findOrCreate({
+    where: { userId: user.id, sourceKey: source.key },
+    defaults: { userId: user.id, sourceKey: source.key, isEnabled: true }
+  });
+  if (keywords !== undefined) config.keywords = keywords.map(k => k.trim());
+  if (filters !== undefined) config.customFilters = filters;
+  await config.save();
+
+  return serializeSource(source, config);
+};
+
+// Remove a source and its configs; leads it produced are kept
+const deleteOwnSource = async (source) => {
+  await sequelize.transaction(async (transaction) => {
+    await UserScraperConfig.destroy({ where: { sourceKey: source.key }, transaction });
+    await source.destroy({ transaction });
+  });
+};
+
+module.exports = {
+  PLAN_SOURCE_LIMITS,
+  getSourceLimit,
+  validateSourceSettings,
+  validateUrl,
+  listOwnSources,
+  findOwnSource,
+  countOwnSources,
+  createOwnSource,
+  updateOwnSource,
+  deleteOwnSource
+};
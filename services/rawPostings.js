@@ -0,0 +1,116 @@
+/**
+ * Raw Posting Store
+ * Saves each scraped posting once, deduplicated by source and external id
+ * (or URL), so leads can reference it instead of copying it per user
+ */
+
+const { v5: uuidv5 } = require('uuid');
+const { Op } = require('sequelize');
+const { RawPosting } = require('../models');
+const scrapers = require('../scrapers');
+const { extractSignals, extractBudget } = require('../scrapers/utils');
+
+// Fixed namespace so the same posting always maps to the same id
+const POSTING_NAMESPACE = '6f1c8a52-3d0e-4b8f-9a57-2c4e1d7b9f30';
+
+const getDedupeKey = (posting) => {
+  const key = posting.externalId || posting.url;
+  return key ? String(key).substring(0, 500) : null;
+};
+
+const getPostingId = (sourceKey, dedupeKey) => uuidv5(`${sourceKey}:${dedupeKey}`, POSTING_NAMESPACE);
+
+const truncate = (value, length = 255) => (value ? String(value).substring(0, length) : null);
+
+/**
+ * Upsert postings and stamp each with its rawPostingId.
+ * Postings with neither an external id nor a URL can't be deduplicated and are dropped.
+ * @param {Array} postings - Normalized postings from the scrapers
+ * @returns {Promise<Array>} The postings that were stored, with rawPostingId set
+ */
+const savePostings = async (postings, seenAt = new Date()) => {
+  const byId = new Map();
+
+  for (const posting of postings) {
+    const dedupeKey = getDedupeKey(posting);
+    if (!dedupeKey) continue;
+
+    posting.rawPostingId = getPostingId(posting.sourceKey, dedupeKey);
+    if (byId.has(posting.rawPostingId)) continue;
+
+    byId.set(posting.rawPostingId, {
+      id: posting.rawPostingId,
+      sourceKey: posting.sourceKey,
+      dedupeKey,
+      externalId: truncate(posting.externalId),
+      url: posting.url,
+      title: posting.title,
+      text: posting.text,
+      author: truncate(posting.author),
+      postedAt: posting.postedAt,
+      companyName: truncate(posting.companyName),
+      geo: truncate(posting.geo),
+      budgetHint: truncate(posting.budgetHint),
+      meta: posting.meta,
+      raw: posting.raw,
+      firstSeenAt: seenAt,
+      lastSeenAt: seenAt
+    });
+  }
+
+  if (byId.size > 0) {
+    await RawPosting.bulkCreate(Array.from(byId.values()), {
+      updateOnDuplicate: ['title', 'text', 'companyName', 'geo', 'budgetHint', 'meta', 'lastSeenAt', 'updatedAt'],
+      returning: false
+    });
+  }
+
+  return postings.filter(p => p.rawPostingId);
+};
+
+/**
+ * Back into the posting shape the scrapers produce; signals aren't stored,
+ * so they are extracted again, as is the budget of rows saved before it was
+ */
+const toPosting = (row) => {
+  const combined = `${row.title || ''}\n${row.text || ''}`;
+
+  return {
+    rawPostingId: row.id,
+    sourceKey: row.sourceKey,
+    source: scrapers.getLeadSource(row.sourceKey) || row.sourceKey,
+    externalId: row.externalId,
+    url: row.url,
+    title: row.title,
+    text: row.text,
+    author: row.author,
+    postedAt: row.postedAt,
+    companyName: row.companyName || null,
+    signals: extractSignals(combined),
+    budgetHint: row.budgetHint || extractBudget(combined),
+    geo: row.geo || null,
+    meta: row.meta || {},
+    raw: row.raw
+  };
+};
+
+/**
+ * Postings from these sources first seen since `since`, newest first
+ */
+const findRecentPostings = async (sourceKeys, since, limit = 5000) => {
+  const rows = await RawPosting.findAll({
+    where: { sourceKey: sourceKeys, firstSeenAt: { [Op.gte]: since } },
+    attributes: { exclude: ['raw'] },
+    order: [['firstSeenAt', 'DESC']],
+    limit
+  });
+  return rows.map(toPosting);
+};
+
+module.exports = {
+  getDedupeKey,
+  getPostingId,
+  savePostings,
+  toPosting,
+  findRecentPostings
+};
@@ -0,0 +1,262 @@
+/**
+ * Safe User Regexes
+ * Users save regexes (filter include/exclude patterns, custom niche
+ * buyer-intent patterns) that the shared worker runs against every posting.
+ * JavaScript regexes backtrack, so one pattern like (a+)+$ could stall
+ * distribution for every tenant. checkPattern() refuses the shapes that
+ * backtrack badly:
+ *
+ *   - nested quantifiers: a repeated group holding a variable quantifier, (a+)+
+ *   - repeated alternation: (a|ab)*
+ *   - overlapping quantifiers: two unbounded repeats that can match the same
+ *     characters with nothing required between them to tell them apart,
+ *     \d+\d+, a.*a.*b or \w*\s*\w*
+ *   - backreferences
+ *
+ * Text tested against user patterns is cut at MAX_MATCH_CHARS, which bounds
+ * what a single pass can cost.
+ */
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_MATCH_CHARS = 5000;
+
+// A bounded repeat this long costs as much as an unbounded one
+const MAX_BOUNDED_REPEAT = 100;
+
+const MAX_COMPILED = 1000;
+
+// Characters an atom is tried against to tell whether two atoms overlap
+const SAMPLE_CHARS = [
+  ...Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)),
+  '\t', '\n', '\r', 'é', 'ß', '€', '中', ' '
+];
+
+const ANY = 'any';
+
+class UnsafePattern extends Error {}
+
+// Which sample characters one atom ("\d", "[a-z]", ".", "x") matches
+const charsMatched = (source) => {
+  const atom = new RegExp(`^(?:${source})$`, 'i');
+  return new Set(SAMPLE_CHARS.filter(char => atom.test(char)));
+};
+
+const overlaps = (a, b) => {
+  if (a === ANY || b === ANY) return true;
+  for (const char of a) {
+    if (b.has(char)) return true;
+  }
+  return false;
+};
+
+/**
+ * Parse the pattern into nodes:
+ *   { kind: 'atom', source, min, max }
+ *   { kind: 'group', alternatives: [[node]], min, max }
+ *   { kind: 'anchor' }   (^, $, \b, lookarounds)
+ */
+const parse = (pattern) => {
+  let pos = 0;
+
+  const readEscape = () => {
+    const start = pos;
+    pos += 1; // backslash
+    const char = pattern[pos];
+    if (/[1-9]/.test(char) || (char === 'k' && pattern[pos + 1] === '<')) {
+      throw new UnsafePattern('backreferences are not allowed');
+    }
+    pos += 1;
+    if (char === 'x') pos += 2;
+    else if (char === 'u') pos += 4;
+    else if (char === 'c') pos += 1;
+    return pattern.slice(start, pos);
+  };
+
+  const readClass = () => {
+    const start = pos;
+    pos += 1;
+    if (pattern[pos] === '^') pos += 1;
+    while (pos < pattern.length && pattern[pos] !== ']') {
+      pos += pattern[pos] === '\\' ? 2 : 1;
+    }
+    pos += 1;
+    return pattern.slice(start, pos);
+  };
+
+  const readQuantifier = () => {
+    const char = pattern[pos];
+    let min = 1;
+    let max = 1;
+    if (char === '*') {
+      [min, max] = [0, Infinity];
+      pos += 1;
+    } else if (char === '+') {
+      [min, max] = [1, Infinity];
+      pos += 1;
+    } else if (char === '?') {
+      [min, max] = [0, 1];
+      pos += 1;
+    } else if (char === '{') {
+      const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(pos));
+      if (!match) return { min, max };
+      min = parseInt(match[1]);
+      max = match[2] === undefined ? min : match[3] === '' ? Infinity : parseInt(match[3]);
+      pos += match[0].length;
+    } else {
+      return { min, max };
+    }
+    if (pattern[pos] === '?') pos += 1; // lazy
+    return { min, max: max > MAX_BOUNDED_REPEAT ? Infinity : max };
+  };
+
+  const readAlternatives = () => {
+    const alternatives = [[]];
+    while (pos < pattern.length && pattern[pos] !== ')') {
+      const char = pattern[pos];
+      let node;
+
+      if (char === '|') {
+        alternatives.push([]);
+        pos += 1;
+        continue;
+      }
+      if (char === '^' || char === '$') {
+        pos += 1;
+        node = { kind: 'anchor' };
+      } else if (char === '\\' && /[bB]/.test(pattern[pos + 1])) {
+        pos += 2;
+        node = { kind: 'anchor' };
+      } else if (char === '(') {
+        const lookaround = /^\(\?<?[=!]/.exec(pattern.slice(pos));
+        const prefix = lookaround ? lookaround[0] : (/^\(\?(?::|<[^>]+>)/.exec(pattern.slice(pos)) || ['('])[0];
+        pos += prefix.length;
+        const alternativesInside = readAlternatives();
+        pos += 1; // )
+        node = lookaround
+          ? { kind: 'anchor', alternatives: alternativesInside }
+          : { kind: 'group', alternatives: alternativesInside };
+      } else if (char === '[') {
+        node = { kind: 'atom', source: readClass() };
+      } else if (char === '\\') {
+        node = { kind: 'atom', source: readEscape() };
+      } else {
+        pos += 1;
+        node = { kind: 'atom', source: char };
+      }
+
+      if (node.kind !== 'anchor') Object.assign(node, readQuantifier());
+      alternatives[alternatives.length - 1].push(node);
+    }
+    return alternatives;
+  };
+
+  return readAlternatives();
+};
+
+const isRepeated = (node) => node.kind === 'group' && node.max > 1;
+
+const childrenOf = (node) => (node.alternatives || []).flat();
+
+// Any quantifier that can match a varying number of times, anywhere inside
+const hasVariableQuantifier = (nodes) => nodes.some(node =>
+  (node.kind !== 'anchor' && node.min !== node.max) || hasVariableQuantifier(childrenOf(node)));
+
+const hasUnbounded = (nodes) => nodes.some(node => node.max === Infinity || hasUnbounded(childrenOf(node)));
+
+/**
+ * A sequence as the elements that matter for overlap: atoms, with plain
+ * single-branch groups inlined; other groups become one element matching
+ * anything, unbounded when anything inside is
+ */
+const flatten = (sequence) => sequence.flatMap(node => {
+  if (node.kind === 'anchor') return [];
+  if (node.kind === 'atom') return [{ chars: charsMatched(node.source), min: node.min, max: node.max }];
+  if (node.min === 1 && node.max === 1 && node.alternatives.length === 1) return flatten(node.alternatives[0]);
+  return [{ chars: ANY, min: node.min, max: hasUnbounded(node.alternatives.flat()) ? Infinity : node.max }];
+});
+
+const checkSequence = (sequence) => {
+  sequence.forEach(node => {
+    if (isRepeated(node)) {
+      if (node.alternatives.length > 1) throw new UnsafePattern('a repeated group must not contain alternatives (|)');
+      if (hasVariableQuantifier(node.alternatives[0])) throw new UnsafePattern('nested quantifiers are not allowed');
+    }
+    (node.alternatives || []).forEach(checkSequence);
+  });
+
+  // Between two unbounded repeats that overlap, something required that the
+  // first can't match has to come, or the split between them is ambiguous.
+  // Optional repeats in between don't help: in \w*\s*\w* the \s* can match
+  // nothing, so every earlier repeat not yet separated is compared.
+  let open = [];
+  flatten(sequence).forEach(element => {
+    if (element.min > 0) open = open.filter(earlier => overlaps(earlier.chars, element.chars));
+    if (element.max !== Infinity) return;
+    if (open.some(earlier => overlaps(earlier.chars, element.chars))) {
+      throw new UnsafePattern('overlapping quantifiers are not allowed; separate them with text the first one cannot match');
+    }
+    open.push(element);
+  });
+};
+
+// Why a string pattern can't be used, or null when it can
+const findProblem = (pattern) => {
+  if (pattern.length > MAX_PATTERN_LENGTH) return `must be at most ${MAX_PATTERN_LENGTH} characters`;
+
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    return error.message;
+  }
+
+  try {
+    const alternatives = parse(pattern);
+    checkSequence(alternatives.length === 1 ? alternatives[0] : [{ kind: 'group', alternatives, min: 1, max: 1 }]);
+  } catch (error) {
+    if (error instanceof UnsafePattern) return `too slow to run: ${error.message}`;
+    throw error;
+  }
+  return null;
+};
+
+// pattern -> { problem, regex }, so each pattern is checked and compiled once per process
+const compiled = new Map();
+
+const lookup = (pattern) => {
+  let entry = compiled.get(pattern);
+  if (!entry) {
+    const problem = findProblem(pattern);
+    entry = { problem, regex: problem ? null : new RegExp(pattern, 'i') };
+    compiled.set(pattern, entry);
+    if (compiled.size > MAX_COMPILED) compiled.delete(compiled.keys().next().value);
+  }
+  return entry;
+};
+
+/**
+ * @returns {string|null} Why the pattern can't be used, or null when it can
+ */
+const checkPattern = (pattern) => {
+  if (typeof pattern !== 'string' || !pattern.trim()) return 'must be a non-empty string';
+  return lookup(pattern).problem;
+};
+
+/**
+ * A user pattern compiled case-insensitively
+ * @returns {RegExp|null} null when checkPattern refuses it
+ */
+const compilePattern = (pattern) => {
+  if (typeof pattern !== 'string' || !pattern.trim()) return null;
+  return lookup(pattern).regex;
+};
+
+// Test a user pattern against at most MAX_MATCH_CHARS of text
+const testPattern = (regex, text) => regex.test(text.length > MAX_MATCH_CHARS ? text.substring(0, MAX_MATCH_CHARS) : text);
+
+module.exports = {
+  MAX_PATTERN_LENGTH,
+  MAX_MATCH_CHARS,
+  checkPattern,
+  compilePattern,
+  testPattern
+};
@@ -0,0 +1,141 @@
+/**
+ * Scrape Scheduler
+ * Works out which users are due a scrape for which sources,
+ * based on their scrapeFrequency and the last time each source ran for them
+ */
+
+const { Op } = require('sequelize');
+const { User, UserScraperConfig } = require('../models');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// How often each frequency runs. Realtime runs on every worker tick.
+const FREQUENCY_INTERVALS = {
+  realtime: 15 * MINUTE,
+  hourly: HOUR,
+  daily: DAY,
+  weekly: 7 * DAY
+};
+
+// Sources cheap enough to poll between ticks for realtime users (the realtime loop)
+const REALTIME_SOURCE_KEYS = (process.env.REALTIME_SOURCES || 'hackerNews,reddit')
+  .split(',').map(key => key.trim()).filter(Boolean);
+
+const REALTIME_POLL_INTERVAL = parseInt(process.env.REALTIME_POLL_MINUTES || '2') * MINUTE;
+
+// Frequencies each subscription tier may use
+const PLAN_FREQUENCIES = {
+  free: ['daily'],
+  pro: ['hourly', 'daily'],
+  enterprise: ['hourly', 'daily', 'weekly', 'realtime']
+};
+
+// Runs due within this window are picked up now rather than on the next tick
+const SCHEDULE_GRACE_MS = 2 * MINUTE;
+
+// A user's frequency, clamped to what their plan allows (e.g. after a downgrade)
+const getEffectiveFrequency = (user) => {
+  const allowed = PLAN_FREQUENCIES[user.subscriptionTier] || PLAN_FREQUENCIES.free;
+  return allowed.includes(user.scrapeFrequency) ? user.scrapeFrequency : 'daily';
+};
+
+// Realtime users poll the realtime sources faster than the tick
+const getSourceInterval = (frequency, sourceKey) => {
+  if (frequency === 'realtime' && REALTIME_SOURCE_KEYS.includes(sourceKey)) return REALTIME_POLL_INTERVAL;
+  return FREQUENCY_INTERVALS[frequency] || DAY;
+};
+
+const getNextRunAt = (frequency, from = new Date(), sourceKey = null) => {
+  return new Date(from.getTime() + getSourceInterval(frequency, sourceKey));
+};
+
+// Sources a user has switched on in sourcesConfig, limited to ones we can scrape.
+// Personal sources (owners: sourceKey -> userId) are on for their owner only.
+const getEnabledSourceKeys = (user, availableKeys, owners = new Map()) => {
+  const sourcesConfig = user.sourcesConfig || {};
+  return availableKeys.filter(key => (owners.has(key) ? owners.get(key) === user.id : sourcesConfig[key]));
+};
+
+/**
+ * Find every (user, source) pair that is due to run
+ * @param {Array<string>} sourceKeys - Source keys the worker can scrape
+ * @param {Date} now
+ * @param {Object} options - { owners: Map of personal sourceKey -> owner userId,
+ *   frequencies: only users on these frequencies (the realtime loop passes ['realtime']) }
+ * @returns {Promise<Array<{user, sourceKey, frequency, since: Date, config}>>}
+ *   `since` is where this user's window starts: their last run for the
+ *   source, or one interval back if the source has never run for them.
+ *   `config` is their UserScraperConfig for the source, if any
+ */
+const getDueSchedules = async (sourceKeys, now = new Date(), { owners = new Map(), frequencies = null } = {}) => {
+  const users = await User.findAll({
+    where: {
+      isActive: true,
+      leadsUsedThisMonth: { [Op.lt]: User.sequelize.col('leads_limit') }
+    }
+  });
+
+  if (users.length === 0) return [];
+
+  const configs = await UserScraperConfig.findAll({
+    where: {
+      userId: users.map(u => u.id),
+      sourceKey: sourceKeys
+    }
+  });
+  const configsByKey = new Map(configs.map(c => [`${c.userId}:${c.sourceKey}`, c]));
+
+  const dueBefore = new Date(now.getTime() + SCHEDULE_GRACE_MS);
+  const schedules = [];
+
+  for (const user of users) {
+    const frequency = getEffectiveFrequency(user);
+    if (frequencies && !frequencies.includes(frequency)) continue;
+
+    for (const sourceKey of getEnabledSourceKeys(user, sourceKeys, owners)) {
+      const config = configsByKey.get(`${user.id}:${sourceKey}`);
+
+      if (config && config.isEnabled === false) continue;
+      if (config && config.nextRunAt && config.nextRunAt > dueBefore) continue;
+
+      const since = (config && config.lastScrapedAt) ||
+        new Date(now.getTime() - getSourceInterval(frequency, sourceKey));
+
+      schedules.push({ user, sourceKey, frequency, since, config: config || null });
+    }
+  }
+
+  return schedules;
+};
+
+/**
+ * Record that the given schedules ran at `ranAt` and set their next run
+ */
+const markSchedulesRun = async (schedules, ranAt = new Date()) => {
+  if (schedules.length === 0) return;
+
+  const rows = schedules.map(({ user, sourceKey, frequency }) => ({
+    userId: user.id,
+    sourceKey,
+    lastScrapedAt: ranAt,
+    nextRunAt: getNextRunAt(frequency, ranAt, sourceKey)
+  }));
+
+  await UserScraperConfig.bulkCreate(rows, {
+    updateOnDuplicate: ['lastScrapedAt', 'nextRunAt', 'updatedAt']
+  });
+};
+
+module.exports = {
+  FREQUENCY_INTERVALS,
+  PLAN_FREQUENCIES,
+  REALTIME_SOURCE_KEYS,
+  REALTIME_POLL_INTERVAL,
+  getEffectiveFrequency,
+  getEnabledSourceKeys,
+  getNextRunAt,
+  getDueSchedules,
+  markSchedulesRun
+};
@@ -0,0 +1,81 @@
+/**
+ * AI Score Cache
+ * Stores AI scores so a posting delivered to many users (or rescored after
+ * a restart) costs one LLM call per provider, model and niche. Keys come
+ * from aiScorer (text hash + provider + model + niche + prompt version);
+ * entries expire after AI_CACHE_TTL_HOURS and are pruned nightly along with
+ * entries from older prompts. AI_CACHE_TTL_HOURS=0 turns the cache off.
+ */
+
+const { Op } = require('sequelize');
+const { AiScoreCache } = require('../models');
+const { PROMPT_VERSION } = require('./aiScorer');
+
+const TTL_HOURS = parseInt(process.env.AI_CACHE_TTL_HOURS || '168');
+
+const RESULT_FIELDS = ['score', 'reason', 'confidence', 'budgetSignal', 'urgencySignal'];
+
+const enabled = () => TTL_HOURS > 0;
+
+/**
+ * @param {Array<string>} keys
+ * @returns {Promise<Map>} key -> cached scoring, for entries still valid
+ */
+const getMany = async (keys) => {
+  if (!enabled() || keys.length === 0) return new Map();
+
+  const entries = await AiScoreCache.findAll({
+    where: {
+      cacheKey: keys,
+      promptVersion: PROMPT_VERSION,
+      expiresAt: { [Op.gt]: new Date() }
+    },
+    attributes: ['cacheKey', 'result']
+  });
+
+  if (entries.length > 0) {
+    await AiScoreCache.increment('hits', { where: { cacheKey: entries.map(entry => entry.cacheKey) } });
+  }
+  return new Map(entries.map(entry => [entry.cacheKey, entry.result]));
+};
+
+/**
+ * Save fresh AI scores
+ * @param {Array<{key, provider, model, result}>} entries
+ */
+const setMany = async (entries) => {
+  if (!enabled() || entries.length === 0) return;
+
+  const expiresAt = new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000);
+  await AiScoreCache.bulkCreate(entries.map(({ key, provider, model, result }) => ({
+    cacheKey: key,
+    promptVersion: PROMPT_VERSION,
+    provider,
+    model: model || null,
+    result: Object.fromEntries(RESULT_FIELDS.map(field => [field, result[field] === undefined ? null : result[field]])),
+    hits: 0,
+    expiresAt
+  })), {
+    updateOnDuplicate: ['promptVersion', 'provider', 'model', 'result', 'hits', 'expiresAt', 'updatedAt']
+  });
+};
+
+/**
+ * Delete expired entries and those written for an older prompt
+ * @returns {Promise<number>} Entries removed
+ */
+const pruneCache = () => AiScoreCache.destroy({
+  where: {
+    [Op.or]: [
+      { expiresAt: { [Op.lte]: new Date() } },
+      { promptVersion: { [Op.ne]: PROMPT_VERSION } }
+    ]
+  }
+});
+
+module.exports = {
+  enabled,
+  getMany,
+  setMany,
+  pruneCache
+};
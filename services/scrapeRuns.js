@@ -0,0 +1,130 @@
+/**
+ * Scrape Run Tracking
+ * Records what each worker run did per source (and per user served),
+ * so "why did I get zero leads yesterday?" has an answer
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { ScrapeRun } = require('../models');
+
+const USER_COUNTERS = ['itemsMatched', 'leadsCreated', 'duplicatesSkipped', 'quotaBlocked'];
+
+const emptyUserStats = () => ({
+  itemsMatched: 0,
+  leadsCreated: 0,
+  duplicatesSkipped: 0,
+  quotaBlocked: 0,
+  errors: []
+});
+
+/**
+ * Open a ScrapeRun row for each source about to be scraped
+ * @returns {Promise<Object>} tracker passed to the other functions
+ */
+const startRuns = async (sourceKeys, startedAt = new Date()) => {
+  const runId = uuidv4();
+  const runs = await ScrapeRun.bulkCreate(
+    sourceKeys.map(sourceKey => ({ runId, sourceKey, startedAt, status: 'running' }))
+  );
+
+  const bySource = new Map(runs.map(run => [run.sourceKey, {
+    run,
+    errors: [],
+    userStats: {}
+  }]));
+
+  return { runId, bySource };
+};
+
+const trackFetched = (tracker, sourceKey, count) => {
+  const entry = tracker.bySource.get(sourceKey);
+  if (entry) entry.run.itemsFetched = count;
+};
+
+const trackError = (tracker, sourceKey, error, { stage = 'fetch', userId = null } = {}) => {
+  const entry = tracker.bySource.get(sourceKey);
+  if (!entry) return;
+
+  const record = { message: error.message || String(error), stage, at: new Date().toISOString() };
+
+  if (userId) {
+    entry.userStats[userId] = entry.userStats[userId] || emptyUserStats();
+    entry.userStats[userId].errors.push(record);
+  } else {
+    entry.errors.push(record);
+  }
+};
+
+// Per-host request metrics from the httpClient for one source's fetch
+const trackHttp = (tracker, sourceKey, httpStats) => {
+  const entry = tracker.bySource.get(sourceKey);
+  if (entry) entry.run.httpStats = httpStats;
+};
+
+/**
+ * Bump one of the per-user counters (and the run's total) for a source
+ */
+const trackUser = (tracker, sourceKey, userId, counter, amount = 1) => {
+  const entry = tracker.bySource.get(sourceKey);
+  if (!entry || !USER_COUNTERS.includes(counter)) return;
+
+  entry.userStats[userId] = entry.userStats[userId] || emptyUserStats();
+  entry.userStats[userId][counter] += amount;
+  entry.run[counter] += amount;
+};
+
+/**
+ * Mark every user as served by the run even if nothing matched for them
+ */
+const trackUserServed = (tracker, sourceKey, userId) => {
+  const entry = tracker.bySource.get(sourceKey);
+  if (!entry) return;
+  entry.userStats[userId] = entry.userStats[userId] || emptyUserStats();
+};
+
+/**
+ * Close out all runs; a source with fetch errors is marked failed
+ */
+const finishRuns = async (tracker, finishedAt = new Date()) => {
+  for (const { run, errors, userStats } of tracker.bySource.values()) {
+    run.finishedAt = finishedAt;
+    run.status = errors.length > 0 ? 'failed' : 'completed';
+    run.errors = errors;
+    run.userIds = Object.keys(userStats);
+    run.userStats = userStats;
+    await run.save();
+  }
+};
+
+/**
+ * A run as one user sees it: source-level facts plus only their own counters
+ */
+const serializeRunForUser = (run, userId) => {
+  const stats = (run.userStats || {})[userId] || emptyUserStats();
+
+  return {
+    id: run.id,
+    runId: run.runId,
+    sourceKey: run.sourceKey,
+    status: run.status,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    itemsFetched: run.itemsFetched,
+    itemsMatched: stats.itemsMatched,
+    leadsCreated: stats.leadsCreated,
+    duplicatesSkipped: stats.duplicatesSkipped,
+    quotaBlocked: stats.quotaBlocked,
+    errors: [...(run.errors || []), ...stats.errors]
+  };
+};
+
+module.exports = {
+  startRuns,
+  trackFetched,
+  trackError,
+  trackHttp,
+  trackUser,
+  trackUserServed,
+  finishRuns,
+  serializeRunForUser
+};
@@ -0,0 +1,102 @@
+/**
+ * Structured AI Output
+ * Pulls the JSON object out of a provider reply and checks it against a
+ * JSON Schema subset: type (including "integer" and "null", or a list of
+ * types), enum, minimum/maximum, minLength/maxLength, required, properties,
+ * items and minItems/maxItems. One non-standard keyword, uniqueKey, rejects
+ * arrays where two objects share a value for that property. Errors come back
+ * as readable strings, so they can be sent to the model in a repair prompt.
+ */
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+};
+
+const describe = (path) => path || 'reply';
+
+/**
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema
+ * @param {string} path - Where value sits in the reply, for error messages
+ * @returns {Array<string>} Errors; empty when value matches
+ */
+const validate = (value, schema, path = '') => {
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && !types.some(type => matchesType(value, type))) {
+    return [`${describe(path)} must be ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${describe(path)} must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${describe(path)} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${describe(path)} must be at most ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${describe(path)} must not be empty`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${describe(path)} must be at most ${schema.maxLength} characters`);
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path ? `${path}.` : ''}${key} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) errors.push(...validate(value[key], propertySchema, path ? `${path}.${key}` : key));
+    });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${describe(path)} must have at least ${schema.minItems} entries, got ${value.length}`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${describe(path)} must have at most ${schema.maxItems} entries, got ${value.length}`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+
+    if (schema.uniqueKey) {
+      const seen = new Set();
+      value.forEach(item => {
+        const key = item && item[schema.uniqueKey];
+        if (key === undefined) return;
+        if (seen.has(key)) errors.push(`${describe(path)} has more than one entry with ${schema.uniqueKey} ${JSON.stringify(key)}`);
+        seen.add(key);
+      });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * The JSON object in a reply, from its first "{" to its last "}", so code
+ * fences or a sentence around it don't matter
+ * @returns {{ value: Object|null, error: string|null }}
+ */
+const extractJson = (content) => {
+  const text = String(content || '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) return { value: null, error: 'reply contains no JSON object' };
+
+  try {
+    return { value: JSON.parse(text.substring(start, end + 1)), error: null };
+  } catch (error) {
+    return { value: null, error: `reply is not valid JSON (${error.message})` };
+  }
+};
+
+module.exports = {
+  validate,
+  extractJson
+};
@@ -0,0 +1,213 @@
+/**
+ * Worker Coordination
+ * Lets several leadWorker processes share one database:
+ *
+ *   - leader election: only the process holding the scheduler advisory lock
+ *     enqueues cron work (scrape ticks, realtime polls, counter resets)
+ *   - exclusive sections: withLock() runs a function only when no other
+ *     process holds the named lock
+ *   - heartbeats: each process keeps a worker_heartbeats row fresh, so dead
+ *     workers (and the jobs they held) can be spotted
+ *
+ * Postgres session advisory locks belong to a connection, so each held lock
+ * keeps its own connection checked out of the pool until it is released.
+ */
+
+const os = require('os');
+const { Op } = require('sequelize');
+const { sequelize, WorkerHeartbeat } = require('../models');
+
+const LEADER_LOCK = 'scheduler';
+
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+
+// A worker silent for this long is considered dead
+const HEARTBEAT_TIMEOUT_MS = 60 * 1000;
+
+let leaderConnection = null;
+let heartbeatTimer = null;
+let heartbeat = null; // { workerId, startedAt, getCurrentJob, elect }
+
+/**
+ * Take a session advisory lock without waiting
+ * @returns {Promise<Object|null>} The connection holding it, or null when another process has it
+ */
+const acquireLock = async (name) => {
+  const connection = await sequelize.connectionManager.getConnection();
+  try {
+    const result = await connection.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [`ai_sdr:${name}`]);
+    if (result.rows[0].locked) return connection;
+  } catch (error) {
+    sequelize.connectionManager.releaseConnection(connection);
+    throw error;
+  }
+  sequelize.connectionManager.releaseConnection(connection);
+  return null;
+};
+
+const releaseLock = async (name, connection) => {
+  try {
+    await connection.query('SELECT pg_advisory_unlock(hashtext($1))', [`ai_sdr:${name}`]);
+  } catch (error) {
+    // The lock went with the connection if it broke
+  } finally {
+    sequelize.connectionManager.releaseConnection(connection);
+  }
+};
+
+/**
+ * Run `fn` only if no other process holds the lock `name`
+ * @returns {Promise<{acquired: boolean, result}>}
+ */
+const withLock = async (name, fn) => {
+  const connection = await acquireLock(name);
+  if (!connection) return { acquired: false, result: undefined };
+
+  try {
+    return { acquired: true, result: await fn() };
+  } finally {
+    await releaseLock(name, connection);
+  }
+};
+
+const isLeader = () => leaderConnection !== null;
+
+// Keep or take the scheduler lock; a broken connection gives up leadership
+const refreshLeadership = async () => {
+  if (leaderConnection) {
+    try {
+      await leaderConnection.query('SELECT 1');
+      return;
+    } catch (error) {
+      console.warn('⚠️ Lost the scheduler lock connection, stepping down');
+      sequelize.connectionManager.releaseConnection(leaderConnection);
+      leaderConnection = null;
+    }
+  }
+
+  leaderConnection = await acquireLock(LEADER_LOCK);
+  if (leaderConnection) console.log('👑 This worker is now the scheduler leader');
+};
+
+const beat = async (status = 'running') => {
+  const currentJob = heartbeat.getCurrentJob ? heartbeat.getCurrentJob() : null;
+
+  await WorkerHeartbeat.upsert({
+    workerId: heartbeat.workerId,
+    hostname: os.hostname(),
+    pid: process.pid,
+    status,
+    isLeader: isLeader(),
+    currentJob: currentJob ? { id: currentJob.id, type: currentJob.type, startedAt: currentJob.startedAt } : null,
+    startedAt: heartbeat.startedAt,
+    lastSeenAt: new Date()
+  });
+};
+
+const tick = async () => {
+  try {
+    if (heartbeat.elect) await refreshLeadership();
+    await beat();
+  } catch (error) {
+    console.error('Worker heartbeat failed:', error.message);
+  }
+};
+
+/**
+ * Start heartbeats and leader election for this process
+ * @param {Object} options - { workerId, getCurrentJob: () => { id, type, startedAt } | null,
+ *   elect: false for one-shot CLI runs, which only need their jobs kept alive }
+ */
+const startHeartbeat = async ({ workerId, getCurrentJob = null, elect = true }) => {
+  if (heartbeatTimer) return;
+
+  heartbeat = { workerId, startedAt: new Date(), getCurrentJob, elect };
+  await tick();
+  heartbeatTimer = setInterval(tick, HEARTBEAT_INTERVAL_MS);
+};
+
+const markStopping = async () => {
+  if (!heartbeat) return;
+  await beat('stopping').catch(error => console.error('Worker heartbeat failed:', error.message));
+};
+
+/**
+ * Stop heartbeats, hand leadership to another worker and record the stop
+ */
+const stopHeartbeat = async () => {
+  if (heartbeatTimer) clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+
+  if (leaderConnection) {
+    await releaseLock(LEADER_LOCK, leaderConnection);
+    leaderConnection = null;
+  }
+  if (heartbeat) {
+    await beat('stopped').catch(error => console.error('Worker heartbeat failed:', error.message));
+    heartbeat = null;
+  }
+};
+
+/**
+ * Workers that stopped or went silent; jobs they held can be handed out again
+ * @returns {Promise<Array<string>>} Their worker ids
+ */
+const findDeadWorkerIds = async () => {
+  const workers = await WorkerHeartbeat.findAll({
+    where: {
+      [Op.or]: [
+        { status: 'stopped' },
+        { lastSeenAt: { [Op.lt]: new Date(Date.now() - HEARTBEAT_TIMEOUT_MS) } }
+      ]
+    },
+    attributes: ['workerId']
+  });
+  return workers.map(worker => worker.workerId);
+};
+
+/**
+ * Workers with a recent heartbeat; jobs they hold are left alone
+ * @returns {Promise<Array<string>>} Their worker ids
+ */
+const findLiveWorkerIds = async () => {
+  const workers = await WorkerHeartbeat.findAll({
+    where: {
+      status: { [Op.ne]: 'stopped' },
+      lastSeenAt: { [Op.gte]: new Date(Date.now() - HEARTBEAT_TIMEOUT_MS) }
+    },
+    attributes: ['workerId']
+  });
+  return workers.map(worker => worker.workerId);
+};
+
+/**
+ * Known workers, most recently seen first
+ */
+const listWorkers = async () => {
+  const workers = await WorkerHeartbeat.findAll({ order: [['lastSeenAt', 'DESC']], limit: 100 });
+  const aliveAfter = Date.now() - HEARTBEAT_TIMEOUT_MS;
+
+  return workers.map(worker => ({
+    workerId: worker.workerId,
+    hostname: worker.hostname,
+    pid: worker.pid,
+    status: worker.status,
+    isLeader: worker.isLeader,
+    alive: worker.status !== 'stopped' && worker.lastSeenAt.getTime() > aliveAfter,
+    currentJob: worker.currentJob,
+    startedAt: worker.startedAt,
+    lastSeenAt: worker.lastSeenAt
+  }));
+};
+
+module.exports = {
+  HEARTBEAT_TIMEOUT_MS,
+  withLock,
+  isLeader,
+  startHeartbeat,
+  markStopping,
+  stopHeartbeat,
+  findDeadWorkerIds,
+  findLiveWorkerIds,
+  listWorkers
+};
@@ -0,0 +1,6 @@
+-- AI SDR Per-User Scrape Scheduling Migration
+
+-- Next scheduled run per user/source, derived from users.scrape_frequency
+ALTER TABLE user_scraper_configs ADD COLUMN IF NOT EXISTS next_run_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_user_scraper_configs_next_run_at ON user_scraper_configs(next_run_at);
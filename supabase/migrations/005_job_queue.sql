@@ -0,0 +1,28 @@
+-- AI SDR Durable Job Queue Migration
+
+DO $$ BEGIN
+    CREATE TYPE enum_jobs_status AS ENUM ('pending', 'running', 'completed', 'dead');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Worker jobs, claimed with SELECT ... FOR UPDATE SKIP LOCKED
+CREATE TABLE IF NOT EXISTS jobs (
+    id BIGSERIAL PRIMARY KEY,
+    type VARCHAR(100) NOT NULL,
+    payload JSONB DEFAULT '{}'::jsonb,
+    status enum_jobs_status DEFAULT 'pending',
+    priority INTEGER DEFAULT 0,
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 5,
+    run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    locked_at TIMESTAMP,
+    locked_by VARCHAR(100),
+    last_error TEXT,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_type ON jobs(type);
@@ -0,0 +1,31 @@
+-- AI SDR Scrape Run History Migration
+
+DO $$ BEGIN
+    CREATE TYPE enum_scrape_runs_status AS ENUM ('running', 'completed', 'failed');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+-- One row per source per worker run
+CREATE TABLE IF NOT EXISTS scrape_runs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    run_id UUID NOT NULL,
+    source_key VARCHAR(50) NOT NULL,
+    status enum_scrape_runs_status DEFAULT 'running',
+    started_at TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP,
+    items_fetched INTEGER DEFAULT 0,
+    items_matched INTEGER DEFAULT 0,
+    leads_created INTEGER DEFAULT 0,
+    duplicates_skipped INTEGER DEFAULT 0,
+    quota_blocked INTEGER DEFAULT 0,
+    errors JSONB DEFAULT '[]'::jsonb,
+    user_ids UUID[] DEFAULT ARRAY[]::UUID[],
+    user_stats JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scrape_runs_run_id ON scrape_runs(run_id);
+CREATE INDEX IF NOT EXISTS idx_scrape_runs_source_started ON scrape_runs(source_key, started_at);
+CREATE INDEX IF NOT EXISTS idx_scrape_runs_user_ids ON scrape_runs USING GIN(user_ids);
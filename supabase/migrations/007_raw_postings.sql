@@ -0,0 +1,29 @@
+-- AI SDR Shared Raw Postings Migration
+
+-- Canonical scraped postings, stored once and shared by every user they match
+CREATE TABLE IF NOT EXISTS raw_postings (
+    id UUID PRIMARY KEY,
+    source_key VARCHAR(50) NOT NULL,
+    dedupe_key VARCHAR(500) NOT NULL,
+    external_id VARCHAR(255),
+    url TEXT,
+    title TEXT,
+    text TEXT,
+    author VARCHAR(255),
+    posted_at TIMESTAMP,
+    meta JSONB DEFAULT '{}'::jsonb,
+    raw JSONB,
+    first_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(source_key, dedupe_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_raw_postings_posted_at ON raw_postings(posted_at);
+CREATE INDEX IF NOT EXISTS idx_raw_postings_first_seen_at ON raw_postings(first_seen_at);
+
+-- Leads become per-user assignments of a raw posting
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS raw_posting_id UUID REFERENCES raw_postings(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_leads_user_raw_posting ON leads(user_id, raw_posting_id);
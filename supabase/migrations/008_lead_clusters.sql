@@ -0,0 +1,12 @@
+-- AI SDR Lead Clusters & Merging Migration
+
+-- Leads that look like the same buyer across sources share a cluster
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS cluster_id UUID;
+
+-- Duplicates merged into another lead point at it and drop out of listings
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS merged_into_id UUID REFERENCES leads(id) ON DELETE SET NULL;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS merged_sources JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS merge_history JSONB DEFAULT '[]'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_leads_cluster_id ON leads(cluster_id);
+CREATE INDEX IF NOT EXISTS idx_leads_merged_into_id ON leads(merged_into_id);
@@ -0,0 +1,15 @@
+-- AI SDR Lead Types Migration
+
+-- How a user's leads are classified into their chosen lead types
+DO $$ BEGIN
+    CREATE TYPE enum_users_lead_type_classifier AS ENUM ('rule', 'ai');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS lead_type_classifier enum_users_lead_type_classifier DEFAULT 'rule';
+
+-- Types each lead was classified into, with confidences: [{"type": "hiring", "confidence": 0.8}]
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS types JSONB DEFAULT '[]'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_leads_types ON leads USING GIN (types jsonb_path_ops);
@@ -0,0 +1,6 @@
+-- AI SDR User Niches Migration
+
+-- The niche a user applied (template id or custom-*), used for scoring
+ALTER TABLE users ADD COLUMN IF NOT EXISTS niche_id VARCHAR(100);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS niche_config JSONB;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS custom_niche JSONB;
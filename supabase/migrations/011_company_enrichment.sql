@@ -0,0 +1,22 @@
+-- AI SDR Company Enrichment Migration
+
+-- Per-domain enrichment cache; rows are refreshed once expires_at passes
+CREATE TABLE IF NOT EXISTS company_enrichments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    lookup_key VARCHAR(255) NOT NULL UNIQUE,
+    domain VARCHAR(255),
+    fields JSONB DEFAULT '{}'::jsonb,
+    fetched_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_company_enrichments_expires_at ON company_enrichments(expires_at);
+
+-- Enriched values on a lead, with where each came from and when
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS enrichment JSONB;
+
+-- Which scores get enriched, and this month's fresh lookups against the plan cap
+ALTER TABLE users ADD COLUMN IF NOT EXISTS enrich_scores VARCHAR(255)[] DEFAULT ARRAY['hot', 'warm'];
+ALTER TABLE users ADD COLUMN IF NOT EXISTS enrichments_this_month INTEGER DEFAULT 0;
@@ -0,0 +1,7 @@
+-- AI SDR User Feeds Migration
+
+-- Personal sources: RSS/Atom feeds a user registers, keyed feed-<id>
+ALTER TABLE scrape_sources ADD COLUMN IF NOT EXISTS owner_id UUID REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE scrape_sources ADD COLUMN IF NOT EXISTS cursor JSONB DEFAULT '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_scrape_sources_owner_id ON scrape_sources(owner_id);
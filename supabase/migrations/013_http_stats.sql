@@ -0,0 +1,4 @@
+-- AI SDR HTTP Stats Migration
+
+-- Outbound requests per host made while fetching each source (see services/httpClient.js)
+ALTER TABLE scrape_runs ADD COLUMN IF NOT EXISTS http_stats JSONB DEFAULT '{}'::jsonb;
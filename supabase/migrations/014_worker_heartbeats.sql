@@ -0,0 +1,23 @@
+-- AI SDR Worker Heartbeats Migration
+
+DO $$ BEGIN
+    CREATE TYPE enum_worker_heartbeats_status AS ENUM ('running', 'stopping', 'stopped');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+-- One row per worker process; a stale last_seen_at means it died
+CREATE TABLE IF NOT EXISTS worker_heartbeats (
+    worker_id VARCHAR(100) PRIMARY KEY,
+    hostname VARCHAR(255) NOT NULL,
+    pid INTEGER NOT NULL,
+    status enum_worker_heartbeats_status DEFAULT 'running',
+    is_leader BOOLEAN DEFAULT false,
+    current_job JSONB,
+    started_at TIMESTAMP NOT NULL,
+    last_seen_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_worker_heartbeats_last_seen_at ON worker_heartbeats(last_seen_at);
@@ -0,0 +1,6 @@
+-- AI SDR Lead Score Value Migration
+
+-- 0-100 score within the hot/warm/cold range; older leads have none
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS score_value INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_leads_user_id_score_value ON leads(user_id, score_value);
@@ -0,0 +1,21 @@
+-- AI SDR Scoring Models Migration
+
+DO $$ BEGIN
+    CREATE TYPE enum_scoring_models_status AS ENUM ('insufficient_data', 'weak', 'active');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+-- One outcome-trained scoring model per user, retrained by the worker
+CREATE TABLE IF NOT EXISTS scoring_models (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    algorithm VARCHAR(50) DEFAULT 'logistic-regression',
+    status enum_scoring_models_status DEFAULT 'insufficient_data',
+    parameters JSONB,
+    labels JSONB DEFAULT '{}'::jsonb,
+    metrics JSONB,
+    trained_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
@@ -0,0 +1,24 @@
+-- AI SDR AI Usage Migration
+
+-- Monthly cap on what the worker spends with the user's AI key (USD, NULL = no cap)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS ai_monthly_budget DECIMAL(10, 2);
+
+-- One row per LLM call made with a user's key
+CREATE TABLE IF NOT EXISTS ai_usage (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(100),
+    purpose VARCHAR(50) NOT NULL,
+    lead_count INTEGER DEFAULT 0,
+    input_tokens INTEGER DEFAULT 0,
+    output_tokens INTEGER DEFAULT 0,
+    tokens_estimated BOOLEAN DEFAULT false,
+    cost_usd DECIMAL(12, 6) DEFAULT 0,
+    success BOOLEAN DEFAULT true,
+    error TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_user_id_created_at ON ai_usage(user_id, created_at);
@@ -0,0 +1,20 @@
+-- AI SDR AI Score Cache Migration
+
+-- AI scores reused across users and runs for the same posting, provider, model, niche and prompt
+CREATE TABLE IF NOT EXISTS ai_score_cache (
+    cache_key VARCHAR(64) PRIMARY KEY,
+    prompt_version VARCHAR(20) NOT NULL,
+    provider VARCHAR(50) NOT NULL,
+    model VARCHAR(100),
+    result JSONB NOT NULL,
+    hits INTEGER DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_score_cache_expires_at ON ai_score_cache(expires_at);
+
+-- Cache hits and misses per scoring run, on purpose = 'cache' rows
+ALTER TABLE ai_usage ADD COLUMN IF NOT EXISTS cache_hits INTEGER DEFAULT 0;
+ALTER TABLE ai_usage ADD COLUMN IF NOT EXISTS cache_misses INTEGER DEFAULT 0;
@@ -0,0 +1,8 @@
+-- AI SDR AI Output Validation Migration
+
+-- Whether a scoring reply matched the expected JSON schema (NULL when not checked);
+-- purpose = 'repair' rows are the retries sent after an invalid reply
+ALTER TABLE ai_usage ADD COLUMN IF NOT EXISTS output_valid BOOLEAN;
+
+-- Provider-wide validation stats look at recent calls across all users
+CREATE INDEX IF NOT EXISTS idx_ai_usage_created_at ON ai_usage(created_at);
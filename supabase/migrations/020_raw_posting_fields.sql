@@ -0,0 +1,8 @@
+-- AI SDR Raw Posting Fields Migration
+
+-- Fields the scrapers read from the source itself (a "Who is hiring?" header,
+-- Upwork's Country and Budget lines), kept so postings loaded back from the
+-- store carry them too
+ALTER TABLE raw_postings ADD COLUMN IF NOT EXISTS company_name VARCHAR(255);
+ALTER TABLE raw_postings ADD COLUMN IF NOT EXISTS geo VARCHAR(255);
+ALTER TABLE raw_postings ADD COLUMN IF NOT EXISTS budget_hint VARCHAR(255);
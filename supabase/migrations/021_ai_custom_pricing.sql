@@ -0,0 +1,5 @@
+-- AI SDR Custom Provider Pricing Migration
+
+-- What a custom (OpenAI-compatible) endpoint charges, in USD per 1K tokens;
+-- without it, spend on that endpoint can't be counted against ai_monthly_budget
+ALTER TABLE users ADD COLUMN IF NOT EXISTS ai_cost_per_1k DECIMAL(10, 6);
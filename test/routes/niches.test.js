@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockResponse } = require('../helpers');
+const { Job } = require('../../models');
+const jobQueue = require('../../services/jobQueue');
+const { applyNiche, createCustomNiche } = require('../../routes/niches');
+
+const createNiche = async (body, userFields = {}) => {
+  let saved = false;
+  const user = { keywords: [], save: async () => { saved = true; }, ...userFields };
+  const res = mockResponse();
+  await createCustomNiche({ user, body: { name: 'Candle shops', keywords: ['candle'], ...body } }, res);
+  return { res, saved, user };
+};
+
+test('createCustomNiche rejects buyer-intent patterns that backtrack badly', async () => {
+  for (const pattern of ['\\w*\\s*\\w*$', '\\d*[a-z]*\\d*$', '(a+)+', '(a|ab)*']) {
+    const { res, saved } = await createNiche({ buyerIntentPatterns: ['need an? agency', pattern] });
+
+    assert.equal(res.statusCode, 400, pattern);
+    assert.equal(res.body.message, 'Invalid scoring rules');
+    assert.equal(res.body.errors[0].path, 'buyerIntentPatterns[1]');
+    assert.match(res.body.errors[0].msg, /^too slow to run: /);
+    assert.equal(saved, false);
+  }
+});
+
+test('createCustomNiche rejects malformed scoring rules with 400', async () => {
+  const notArray = await createNiche({ buyerIntentPatterns: 'need an agency' });
+  assert.equal(notArray.res.statusCode, 400);
+  assert.deepEqual(notArray.res.body.errors, [{ path: 'buyerIntentPatterns', msg: 'must be an array' }]);
+
+  const badWeights = await createNiche({ scoringWeights: { budget: 'lots' } });
+  assert.equal(badWeights.res.statusCode, 400);
+  assert.equal(badWeights.res.body.errors[0].path, 'scoringWeights.budget');
+});
+
+test('createCustomNiche saves a niche whose patterns are safe', async () => {
+  const { res, saved, user } = await createNiche({ buyerIntentPatterns: ['need an? agency', 'budget:?\\s*\\$\\d+'] });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(saved, true);
+  assert.deepEqual(user.customNiche.buyerIntent, ['need an? agency', 'budget:?\\s*\\$\\d+']);
+});
+
+const onboardedUser = () => ({
+  id: 'user-1',
+  onboardingCompleted: true,
+  leadsUsedThisMonth: 0,
+  leadsLimit: 50,
+  keywords: ['wordpress'],
+  sourcesConfig: { hackerNews: true }
+});
+
+const stubQueue = (t) => {
+  t.mock.method(Job, 'findOne', async () => null);
+  return t.mock.method(jobQueue, 'enqueue', async () => ({ id: 'job-1' }));
+};
+
+test('createCustomNiche queues a backfill for the new keywords', async (t) => {
+  const enqueue = stubQueue(t);
+
+  const { res } = await createNiche({ sources: { hackerNews: true } }, onboardedUser());
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.backfillJobId, 'job-1');
+  assert.equal(enqueue.mock.callCount(), 1);
+});
+
+test('applyNiche queues a backfill only when the keywords change', async (t) => {
+  const enqueue = stubQueue(t);
+  const user = { ...onboardedUser(), save: async () => {} };
+
+  const res = mockResponse();
+  await applyNiche({ user, body: { nicheId: 'performance-marketing' } }, res);
+  assert.equal(res.body.data.backfillJobId, 'job-1');
+
+  const again = mockResponse();
+  await applyNiche({ user, body: { nicheId: 'performance-marketing' } }, again);
+  assert.equal(again.body.data.backfillJobId, null);
+  assert.equal(enqueue.mock.callCount(), 1);
+});
+
+test('scoring skips slow patterns saved before they were checked', () => {
+  const { getUserNiche, scoreWithNiche } = require('../../services/nicheScoring');
+  const user = {
+    nicheId: 'custom-1',
+    customNiche: { id: 'custom-1', name: 'Old niche', buyerIntent: ['\\w*\\s*\\w*$', 'need an? agency'] }
+  };
+  const niche = getUserNiche(user);
+
+  assert.deepEqual(niche.buyerIntent.map(pattern => pattern.source), ['need an? agency']);
+  const started = Date.now();
+  const { matchedRules } = scoreWithNiche(`${'a'.repeat(2000)}!`, niche);
+  assert.deepEqual(matchedRules.buyerIntent, []);
+  assert.ok(Date.now() - started < 200);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFeed, isFeed } = require('../../scrapers/feed');
+const { readFixture } = require('../helpers');
+
+test('parseFeed reads RSS 2.0 items, unwrapping CDATA and preferring content:encoded', () => {
+  const items = parseFeed(readFixture('upwork-jobs.xml'));
+
+  assert.equal(items.length, 2);
+  assert.equal(items[0].title, 'Google Ads Expert for Ecommerce Store - Upwork');
+  assert.equal(items[0].link, 'https://www.upwork.com/jobs/Google-Ads-Expert-for-Ecommerce-Store_%7E01a2b3c4d5e6f7a8b9?source=rss');
+  assert.equal(items[0].published, 'Tue, 08 Oct 2024 12:30:00 +0000');
+  assert.equal(items[0].guid, items[0].link);
+  assert.ok(items[0].description.startsWith('We need an experienced PPC manager'));
+  assert.ok(items[1].description.includes('<b>Hourly Range</b>: $25.00-$45.00'));
+  assert.deepEqual(items[0].categories, []);
+});
+
+test('parseFeed reads Atom entries', () => {
+  const [first, second] = parseFeed(readFixture('atom-feed.xml'));
+
+  assert.deepEqual(first, {
+    title: 'Need help with paid social & email',
+    link: 'https://example.com/requests/101',
+    description: '<p>We sell <b>candles</b> online and want a partner for paid social.</p>',
+    author: 'Dana Lee',
+    published: '2024-10-08T18:30:02Z',
+    guid: 'tag:example.com,2024:request-101',
+    categories: ['marketing', 'ecommerce']
+  });
+  assert.equal(second.link, 'https://example.com/requests/102');
+  assert.equal(second.description, 'Our site is from 2012.');
+  assert.equal(second.published, '2024-10-07T08:00:00Z');
+  assert.equal(second.author, null);
+});
+
+test('parseFeed reads RSS categories and authors', () => {
+  const items = parseFeed(`<rss><channel>
+    <item>
+      <title>Fish &amp; chips shop wants a website</title>
+      <link>https://example.com/jobs/7</link>
+      <description>&lt;p&gt;Simple brochure site&lt;/p&gt;</description>
+      <dc:creator>Sam</dc:creator>
+      <category>web</category>
+      <category><![CDATA[design]]></category>
+    </item>
+  </channel></rss>`);
+
+  assert.equal(items[0].title, 'Fish & chips shop wants a website');
+  assert.equal(items[0].description, '<p>Simple brochure site</p>');
+  assert.equal(items[0].author, 'Sam');
+  assert.equal(items[0].guid, null);
+  assert.deepEqual(items[0].categories, ['web', 'design']);
+});
+
+test('parseFeed returns nothing for documents that are not feeds or have no items', () => {
+  assert.deepEqual(parseFeed('<html><body>Not a feed</body></html>'), []);
+  assert.deepEqual(parseFeed(''), []);
+  assert.equal(isFeed('<rss version="2.0"><channel></channel></rss>'), true);
+  assert.equal(isFeed('<html></html>'), false);
+});
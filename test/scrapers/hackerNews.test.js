@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('../../services/httpClient');
+const hackerNews = require('../../scrapers/hackerNews');
+const { readJsonFixture } = require('../helpers');
+
+const { parseHit } = hackerNews;
+
+const hits = readJsonFixture('hackerNews-search.json').hits;
+const byId = (id) => hits.find(hit => hit.objectID === id);
+
+test('parseHit turns an Ask HN story into a posting', () => {
+  const posting = parseHit(byId('41800001'));
+
+  assert.equal(posting.sourceKey, 'hackerNews');
+  assert.equal(posting.source, 'hacker_news');
+  assert.equal(posting.externalId, '41800001');
+  assert.equal(posting.url, 'https://news.ycombinator.com/item?id=41800001');
+  assert.equal(posting.title, 'Ask HN: Recommendations for a performance marketing agency?');
+  assert.equal(posting.text, "We're a seed-stage SaaS startup spending ~$8k/month on Google Ads with a 1.2x ROAS.\nLooking for an agency that can take over PPC and landing pages ASAP.");
+  assert.equal(posting.author, 'founder_jane');
+  assert.equal(posting.postedAt.toISOString(), '2024-10-08T14:03:11.000Z');
+  assert.equal(posting.companyName, null);
+  assert.equal(posting.budgetHint, '$8k/month');
+  assert.deepEqual(posting.meta, { type: 'story', storyId: null, storyTitle: null, points: 42 });
+  ['Google Ads', 'PPC', 'Performance focus', 'Startup', 'SaaS', 'Urgent'].forEach(signal => {
+    assert.ok(posting.signals.includes(signal), `missing signal ${signal}`);
+  });
+});
+
+test('parseHit reads the company from a "Who is hiring?" comment', () => {
+  const posting = parseHit(byId('41800002'));
+
+  assert.equal(posting.title, 'Acme Analytics | Growth Marketer | Remote (US) | $120k-$150k');
+  assert.equal(posting.companyName, 'Acme Analytics');
+  assert.equal(posting.budgetHint, '$120k-$150k');
+  assert.deepEqual(posting.meta, {
+    type: 'comment',
+    storyId: '41709301',
+    storyTitle: 'Ask HN: Who is hiring? (October 2024)',
+    points: 0
+  });
+  assert.ok(posting.signals.includes('Hiring'));
+  assert.ok(posting.signals.includes('Remote'));
+});
+
+test('parseHit leaves the company empty for comments without a "|" header', () => {
+  const posting = parseHit(byId('41800003'));
+
+  assert.equal(posting.companyName, null);
+  assert.equal(posting.title, 'Is anyone else seeing CPMs spike this week?');
+});
+
+test('parseHit falls back to the title for stories without text', () => {
+  const posting = parseHit(byId('41800004'));
+
+  assert.equal(posting.text, 'Ask HN: Is a link-only post still a lead?');
+  assert.equal(posting.budgetHint, null);
+});
+
+// Algolia stand-in: `total` Ask HN hits, one a second counting down from
+// `newest`, served newest first in pages of hitsPerPage
+const stubSearch = (t, { total, newest }) => t.mock.method(http, 'get', async (url, { params }) => {
+  const after = /created_at_i>(\d+)/.exec(params.numericFilters || '');
+  const before = /created_at_i<=(\d+)/.exec(params.numericFilters || '');
+  const all = Array.from({ length: total }, (_, i) => ({
+    objectID: String(newest - i),
+    title: `Ask HN: question ${i}`,
+    story_text: 'Looking for an agency',
+    author: 'someone',
+    created_at_i: newest - i
+  })).filter(hit => (!after || hit.created_at_i > Number(after[1])) && (!before || hit.created_at_i <= Number(before[1])));
+  const page = params.page || 0;
+  return {
+    data: {
+      hits: all.slice(page * params.hitsPerPage, (page + 1) * params.hitsPerPage),
+      nbPages: Math.ceil(all.length / params.hitsPerPage)
+    }
+  };
+});
+
+const config = { tags: ['ask_hn'], includeWhoIsHiring: false, hitsPerPage: 100 };
+
+test('fetch pages back until it reaches the cursor', async (t) => {
+  const get = stubSearch(t, { total: 250, newest: 2000 });
+
+  const { postings, cursor } = await hackerNews.fetch(config, { since: 1000 });
+
+  assert.equal(get.mock.callCount(), 3);
+  assert.equal(postings.length, 250);
+  assert.equal(cursor.since, 2000);
+});
+
+test('fetch finishes a burst longer than one run in the runs after it', async (t) => {
+  stubSearch(t, { total: 1500, newest: 5000 });
+
+  const first = await hackerNews.fetch(config, { since: 1000 });
+  assert.equal(first.postings.length, 1000);
+  assert.deepEqual([first.cursor.since, first.cursor.until, first.cursor.resumeFrom], [1000, 4001, 5000]);
+
+  const second = await hackerNews.fetch(config, first.cursor);
+  assert.equal(second.postings.length, 501);
+  assert.deepEqual([second.cursor.since, second.cursor.until, second.cursor.resumeFrom], [5000, null, null]);
+
+  const ids = new Set([...first.postings, ...second.postings].map(p => p.externalId));
+  assert.equal(ids.size, 1500);
+});
+
+test('the first fetch reads only the newest page', async (t) => {
+  const get = stubSearch(t, { total: 250, newest: 2000 });
+
+  const { postings, cursor } = await hackerNews.fetch(config, {});
+
+  assert.equal(get.mock.callCount(), 1);
+  assert.equal(postings.length, 100);
+  assert.equal(cursor.since, 2000);
+});
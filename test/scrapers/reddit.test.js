@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseListing } = require('../../scrapers/reddit');
+const { readJsonFixture } = require('../helpers');
+
+const listing = readJsonFixture('reddit-listing.json');
+
+test('parseListing keeps posts and drops stickies and non-post children', () => {
+  const postings = parseListing(listing);
+
+  assert.deepEqual(postings.map(p => p.externalId), ['t3_1g2abcd', 't3_1g2efgh']);
+});
+
+test('parseListing maps a post into a posting', () => {
+  const [posting] = parseListing(listing);
+
+  assert.equal(posting.sourceKey, 'reddit');
+  assert.equal(posting.source, 'reddit');
+  assert.equal(posting.url, 'https://www.reddit.com/r/forhire/comments/1g2abcd/hiring_shopify_store_needs_a_meta_ads_specialist/');
+  assert.equal(posting.title, '[Hiring] Shopify store needs a Meta ads specialist');
+  assert.equal(posting.author, 'glowco');
+  assert.equal(posting.postedAt.toISOString(), '2024-10-08T15:06:40.000Z');
+  assert.equal(posting.budgetHint, '$2,000-$3,000/month');
+  assert.deepEqual(posting.meta, { subreddit: 'forhire', flair: 'Hiring', score: 12, numComments: 7 });
+  ['Meta/Facebook Ads', 'Shopify', 'E-commerce', 'Hiring', 'Remote'].forEach(signal => {
+    assert.ok(posting.signals.includes(signal), `missing signal ${signal}`);
+  });
+});
+
+test('parseListing builds the id from a bare post id and uses the title as text when empty', () => {
+  const posting = parseListing(listing)[1];
+
+  assert.equal(posting.externalId, 't3_1g2efgh');
+  assert.equal(posting.text, 'Looking for a cofounder');
+  assert.deepEqual(posting.meta, { subreddit: 'startups', flair: null, score: 0, numComments: 0 });
+});
+
+test('parseListing returns nothing for an empty or malformed body', () => {
+  assert.deepEqual(parseListing(null), []);
+  assert.deepEqual(parseListing({}), []);
+  assert.deepEqual(parseListing({ data: { children: [] } }), []);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readFixture, serveTestSites } = require('../helpers');
+const { createFeedAdapter, previewFeed, MAX_FEED_BYTES } = require('../../scrapers/rssFeed');
+
+const xml = (body) => (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+  res.end(body);
+};
+
+const redirect = (location) => (req, res) => {
+  res.writeHead(301, { Location: location });
+  res.end();
+};
+
+const adapter = createFeedAdapter({ key: 'feed-test', name: 'Test feed' });
+
+test('feeds are fetched without consulting the feed site\'s robots.txt', async (t) => {
+  const site = await serveTestSites(t.mock);
+  t.after(site.close);
+  site.route('jobs.test', '/robots.txt', xml('User-agent: *\nDisallow: /'));
+  site.route('jobs.test', '/feed.xml', xml(readFixture('upwork-jobs.xml')));
+
+  const { postings } = await adapter.fetch({ url: site.url('jobs.test', '/feed.xml') }, {});
+
+  assert.equal(postings.length, 2);
+  assert.ok(!site.hits.some(hit => hit.path === '/robots.txt'));
+});
+
+test('a feed redirecting to another site is held to that site\'s robots.txt', async (t) => {
+  const site = await serveTestSites(t.mock);
+  t.after(site.close);
+  site.route('moved.test', '/feed.xml', redirect(site.url('mirror.test', '/private/feed.xml')));
+  site.route('mirror.test', '/robots.txt', xml('User-agent: *\nDisallow: /private'));
+  site.route('mirror.test', '/private/feed.xml', xml(readFixture('upwork-jobs.xml')));
+
+  await assert.rejects(adapter.fetch({ url: site.url('moved.test', '/feed.xml') }, {}), { code: 'ROBOTS_DISALLOWED' });
+  await assert.rejects(previewFeed(site.url('moved.test', '/feed.xml')), { code: 'ROBOTS_DISALLOWED' });
+  assert.ok(!site.hits.some(hit => hit.path === '/private/feed.xml'));
+});
+
+test('feeds larger than MAX_FEED_BYTES are refused', async (t) => {
+  const site = await serveTestSites(t.mock);
+  t.after(site.close);
+  site.route('huge.test', '/feed.xml', xml(`<rss><channel>${' '.repeat(MAX_FEED_BYTES)}</channel></rss>`));
+
+  await assert.rejects(adapter.fetch({ url: site.url('huge.test', '/feed.xml') }, {}), { code: 'RESPONSE_TOO_LARGE' });
+});
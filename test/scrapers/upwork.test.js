@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseItem } = require('../../scrapers/upwork');
+const { parseFeed } = require('../../scrapers/feed');
+const { readFixture } = require('../helpers');
+
+const items = parseFeed(readFixture('upwork-jobs.xml'));
+
+test('parseItem maps a fixed-price job into a posting', () => {
+  const posting = parseItem(items[0]);
+
+  assert.equal(posting.sourceKey, 'upwork');
+  assert.equal(posting.source, 'upwork');
+  assert.equal(posting.externalId, '~01a2b3c4d5e6f7a8b9');
+  assert.equal(posting.url, 'https://www.upwork.com/jobs/Google-Ads-Expert-for-Ecommerce-Store_%7E01a2b3c4d5e6f7a8b9?source=rss');
+  assert.equal(posting.title, 'Google Ads Expert for Ecommerce Store');
+  assert.ok(posting.text.startsWith('We need an experienced PPC manager to restructure our Google Ads account.\n'));
+  assert.ok(!posting.text.includes('<'), 'text still contains markup');
+  assert.equal(posting.postedAt.toISOString(), '2024-10-08T12:30:00.000Z');
+  assert.equal(posting.budgetHint, '$1,500');
+  assert.equal(posting.geo, 'United States');
+  assert.deepEqual(posting.meta, { category: 'Search Engine Marketing' });
+  assert.ok(posting.signals.includes('Google Ads'));
+  assert.ok(posting.signals.includes('PPC'));
+});
+
+test('parseItem reads the hourly range when there is no fixed budget', () => {
+  const posting = parseItem(items[1]);
+
+  assert.equal(posting.externalId, '~01ffee0011223344');
+  assert.equal(posting.title, 'Social Media Manager (Ongoing)');
+  assert.equal(posting.budgetHint, '$25.00-$45.00');
+  assert.equal(posting.geo, 'Canada');
+  assert.deepEqual(posting.meta, { category: 'Social Media Marketing' });
+});
+
+test('parseItem falls back to the guid when the link has no job id', () => {
+  const posting = parseItem({ title: 'Job - Upwork', link: 'https://www.upwork.com/jobs/unknown', guid: 'guid-1', description: '' });
+
+  assert.equal(posting.externalId, 'guid-1');
+  assert.equal(posting.budgetHint, null);
+  assert.equal(posting.geo, null);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { scoreLead, scoreLeads } = require('../../services/aiScorer');
+
+const HOT = { score: 'Hot', reason: 'Has a budget and a deadline', confidence: 90 };
+
+// Stubs the provider API to answer with these replies in turn; the budget
+// double records each metered call
+const stubProvider = (t, replies) => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  const post = t.mock.method(axios, 'post', async () => {
+    const content = replies[post.mock.callCount()];
+    return { data: { choices: [{ message: { content: typeof content === 'string' ? content : JSON.stringify(content) } }] } };
+  });
+  const records = [];
+  const budget = { reserve: () => true, record: async (entry) => { records.push(entry); } };
+  return { post, records, options: { apiKey: 'test-key', budget } };
+};
+
+const promptOf = (post, index) => post.mock.calls[index].arguments[1].messages[0].content;
+
+test('scoreLead uses a valid reply as it is', async (t) => {
+  const { post, records, options } = stubProvider(t, [HOT]);
+
+  const result = await scoreLead('Need a Shopify agency, $5k budget', 'openai', options);
+
+  assert.equal(post.mock.callCount(), 1);
+  assert.equal(result.method, 'ai');
+  assert.equal(result.score, 'hot');
+  assert.equal(result.reason, HOT.reason);
+  assert.deepEqual(records.map(record => [record.purpose, record.outputValid]), [['scoring', true]]);
+});
+
+test('scoreLead asks for a repair when the reply is invalid and uses the repaired one', async (t) => {
+  const { post, records, options } = stubProvider(t, ['Sure! {"score": "scorching"}', HOT]);
+
+  const result = await scoreLead('Need a Shopify agency, $5k budget', 'openai', options);
+
+  assert.equal(post.mock.callCount(), 2);
+  assert.match(promptOf(post, 1), /did not match the requested format:\n- reason is required\n- confidence is required\n- score must be one of hot, warm, cold, got "scorching"\n/);
+  assert.match(promptOf(post, 1), /Previous reply:\n"""Sure! \{"score": "scorching"\}"""/);
+  assert.equal(result.method, 'ai');
+  assert.equal(result.score, 'hot');
+  assert.deepEqual(records.map(record => [record.purpose, record.outputValid]), [['scoring', false], ['repair', true]]);
+});
+
+test('scoreLead falls back to rules when the repaired reply is still invalid', async (t) => {
+  const { post, records, options } = stubProvider(t, ['no JSON here', { score: 'hot', confidence: 250 }]);
+
+  const result = await scoreLead('Need a Shopify agency, $5k budget', 'openai', options);
+
+  assert.equal(post.mock.callCount(), 2);
+  assert.equal(result.method, 'rule-based');
+  assert.equal(result.fallbackFrom, 'openai');
+  assert.equal(result.invalidOutput, true);
+  assert.match(result.error, /^Invalid AI reply after repair: reason is required; confidence must be at most 100/);
+  assert.deepEqual(records.map(record => record.outputValid), [false, false]);
+});
+
+test('scoreLeads keeps the valid entries of a batch reply and falls back for the rest', async (t) => {
+  const reply = {
+    leads: [
+      { id: 1, ...HOT },
+      { id: 2, score: 'lukewarm', reason: 'Vague', confidence: 40 },
+      { id: 3, score: 'cold', reason: 'Just browsing', confidence: 70 }
+    ]
+  };
+  const { post, options } = stubProvider(t, [reply, reply]);
+
+  const results = await scoreLeads(['Need a Shopify agency, $5k budget', 'Thinking about a website', 'Nice blog post'], 'openai', options);
+
+  assert.equal(post.mock.callCount(), 2);
+  assert.deepEqual(results.map(result => result.method), ['ai', 'rule-based', 'ai']);
+  assert.deepEqual([results[0].score, results[2].score], ['hot', 'cold']);
+  assert.equal(results[0].batchSize, 3);
+  assert.equal(results[1].invalidOutput, true);
+});
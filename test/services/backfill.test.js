@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('../helpers');
+const { Job } = require('../../models');
+const jobQueue = require('../../services/jobQueue');
+const { backfillChangedKeywords } = require('../../services/backfill');
+
+const makeUser = (overrides = {}) => ({
+  id: 'user-1',
+  onboardingCompleted: true,
+  leadsUsedThisMonth: 0,
+  leadsLimit: 50,
+  keywords: ['shopify', 'ecommerce agency'],
+  sourcesConfig: { hackerNews: true },
+  ...overrides
+});
+
+const stubQueue = (t, pending = null) => {
+  t.mock.method(Job, 'findOne', async () => pending);
+  return t.mock.method(jobQueue, 'enqueue', async (type, payload) => ({ id: 'job-1', type, payload }));
+};
+
+test('backfillChangedKeywords queues a backfill when the keywords changed', async (t) => {
+  const enqueue = stubQueue(t);
+
+  const result = await backfillChangedKeywords(makeUser(), ['shopify']);
+
+  assert.equal(result.queued, true);
+  assert.equal(result.job.id, 'job-1');
+  assert.deepEqual(enqueue.mock.calls[0].arguments[1], { userId: 'user-1', days: 30 });
+});
+
+test('backfillChangedKeywords ignores reordering and surrounding spaces', async (t) => {
+  const enqueue = stubQueue(t);
+
+  assert.equal(await backfillChangedKeywords(makeUser(), [' ecommerce agency', 'shopify ']), null);
+  assert.equal(enqueue.mock.callCount(), 0);
+});
+
+test('backfillChangedKeywords compares a source\'s own keywords when given', async (t) => {
+  const enqueue = stubQueue(t);
+  const user = makeUser();
+
+  assert.equal(await backfillChangedKeywords(user, ['wordpress'], ['wordpress']), null);
+  assert.equal((await backfillChangedKeywords(user, ['wordpress'], ['wordpress', 'woocommerce'])).queued, true);
+  assert.equal(enqueue.mock.callCount(), 1);
+});
+
+test('backfillChangedKeywords skips users who can\'t use a backfill', async (t) => {
+  const enqueue = stubQueue(t);
+
+  assert.equal(await backfillChangedKeywords(makeUser({ onboardingCompleted: false }), []), null);
+  assert.equal(await backfillChangedKeywords(makeUser({ leadsUsedThisMonth: 50 }), []), null);
+  assert.equal(await backfillChangedKeywords(makeUser({ sourcesConfig: { upwork: true } }), []), null);
+  assert.equal(enqueue.mock.callCount(), 0);
+});
+
+test('backfillChangedKeywords returns the backfill already waiting', async (t) => {
+  const enqueue = stubQueue(t, { id: 'job-0' });
+
+  const result = await backfillChangedKeywords(makeUser(), []);
+
+  assert.deepEqual(result, { job: { id: 'job-0' }, queued: false });
+  assert.equal(enqueue.mock.callCount(), 0);
+});
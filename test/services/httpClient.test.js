@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { serveTestSites } = require('../helpers');
+const http = require('../../services/httpClient');
+
+const text = (body, headers = {}) => (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/plain', ...headers });
+  res.end(body);
+};
+
+const redirect = (location) => (req, res) => {
+  res.writeHead(302, { Location: location });
+  res.end();
+};
+
+test('responses over maxBytes fail with RESPONSE_TOO_LARGE instead of being buffered', async (t) => {
+  const site = await serveTestSites(t.mock);
+  t.after(site.close);
+  site.route('big.test', '/huge', text('x'.repeat(256 * 1024)));
+  site.route('big.test', '/small', text('ok'));
+
+  await assert.rejects(
+    http.get(site.url('big.test', '/huge'), { responseType: 'text', checkRobots: false, maxBytes: 64 * 1024 }),
+    { name: 'HttpError', code: http.RESPONSE_TOO_LARGE }
+  );
+  assert.equal(site.hits.filter(hit => hit.path === '/huge').length, 1, 'an oversized response was retried');
+
+  const small = await http.get(site.url('big.test', '/small'), { responseType: 'text', checkRobots: false, maxBytes: 64 * 1024 });
+  assert.equal(small.data, 'ok');
+});
+
+test('redirect hops are checked against the new host\'s robots.txt', async (t) => {
+  const site = await serveTestSites(t.mock);
+  t.after(site.close);
+  site.route('hop-from.test', '/jobs', redirect(site.url('hop-to.test', '/private/jobs')));
+  site.route('hop-to.test', '/robots.txt', text('User-agent: *\nDisallow: /private'));
+
+  await assert.rejects(http.get(site.url('hop-from.test', '/jobs')), { code: 'ROBOTS_DISALLOWED' });
+  assert.ok(!site.hits.some(hit => hit.path === '/private/jobs'), 'the disallowed page was fetched');
+  assert.equal(http.getMetrics()[site.host('hop-to.test')].robotsBlocked, 1);
+});
+
+test('redirect hops wait for the new host\'s spacing', async (t) => {
+  const site = await serveTestSites(t.mock);
+  t.after(site.close);
+  site.route('spaced.test', '/first', text('first'));
+  site.route('spaced.test', '/second', text('second'));
+  site.route('elsewhere.test', '/moved', redirect(site.url('spaced.test', '/second')));
+
+  await http.get(site.url('spaced.test', '/first'), { responseType: 'text', checkRobots: false });
+  const response = await http.get(site.url('elsewhere.test', '/moved'), { responseType: 'text', checkRobots: false });
+
+  assert.equal(response.data, 'second');
+  const [first, second] = site.hits.filter(hit => hit.hostname === 'spaced.test');
+  assert.ok(second.at - first.at >= 950, `second request came ${second.at - first.at}ms after the first`);
+  assert.equal(http.getMetrics()[site.host('spaced.test')].requests, 2);
+});
+
+test('requests to one host are spaced out and at most two run at once', async (t) => {
+  const site = await serveTestSites(t.mock);
+  t.after(site.close);
+  let active = 0;
+  let maxActive = 0;
+  site.route('paced.test', '/slow', (req, res) => {
+    active += 1;
+    maxActive = Math.max(maxActive, active);
+    setTimeout(() => {
+      active -= 1;
+      text('done')(req, res);
+    }, 2200);
+  });
+
+  const url = site.url('paced.test', '/slow');
+  await Promise.all([1, 2, 3].map(() => http.get(url, { responseType: 'text', checkRobots: false, cache: false })));
+
+  const [first, second, third] = site.hits.map(hit => hit.at);
+  assert.equal(maxActive, 2);
+  assert.ok(second - first >= 950, `second request came ${second - first}ms after the first`);
+  assert.ok(third - first >= 2150, `third request came ${third - first}ms after the first, before a slot was free`);
+});
+
+test('robots.txt is fetched once per origin and disallowed paths are never requested', async (t) => {
+  const site = await serveTestSites(t.mock);
+  t.after(site.close);
+  site.route('robots.test', '/robots.txt', text('User-agent: *\nDisallow: /admin\nAllow: /admin/public'));
+  site.route('robots.test', '/admin/public', text('public'));
+
+  await assert.rejects(http.get(site.url('robots.test', '/admin/secret')), { name: 'HttpError', code: 'ROBOTS_DISALLOWED' });
+  const allowed = await http.get(site.url('robots.test', '/admin/public'), { responseType: 'text' });
+
+  assert.equal(allowed.data, 'public');
+  assert.deepEqual(site.hits.map(hit => hit.path), ['/robots.txt', '/admin/public']);
+  assert.equal(site.hits[0].headers['user-agent'], http.USER_AGENT);
+  assert.equal(http.getMetrics()[site.host('robots.test')].robotsBlocked, 1);
+});
+
+test('retryable statuses are retried, waiting out Retry-After, until retries run out', async (t) => {
+  const site = await serveTestSites(t.mock);
+  t.after(site.close);
+  t.mock.method(Math, 'random', () => 0);
+  const failFirst = (status, headers, body) => {
+    let calls = 0;
+    return (req, res) => {
+      calls += 1;
+      if (calls > 1) return text(body)(req, res);
+      res.writeHead(status, headers);
+      res.end();
+    };
+  };
+  site.route('flaky.test', '/jobs', failFirst(503, {}, 'recovered'));
+  site.route('busy.test', '/jobs', failFirst(429, { 'Retry-After': '2' }, 'waited'));
+  site.route('down.test', '/jobs', (req, res) => {
+    res.writeHead(503);
+    res.end();
+  });
+  const options = { responseType: 'text', checkRobots: false };
+
+  const flaky = await http.get(site.url('flaky.test', '/jobs'), options);
+  assert.equal(flaky.data, 'recovered');
+  assert.equal(http.getMetrics()[site.host('flaky.test')].retries, 1);
+
+  const busy = await http.get(site.url('busy.test', '/jobs'), options);
+  const [asked, retried] = site.hits.filter(hit => hit.hostname === 'busy.test').map(hit => hit.at);
+  assert.equal(busy.data, 'waited');
+  assert.ok(retried - asked >= 1950, `retried ${retried - asked}ms after a Retry-After of 2s`);
+
+  await assert.rejects(http.get(site.url('down.test', '/jobs'), { ...options, retries: 1 }), { name: 'HttpError', status: 503 });
+  assert.equal(site.hits.filter(hit => hit.hostname === 'down.test').length, 2);
+});
+
+test('an unchanged response is revalidated with its ETag and served from the cache', async (t) => {
+  const site = await serveTestSites(t.mock);
+  t.after(site.close);
+  site.route('etag.test', '/feed', (req, res) => {
+    if (req.headers['if-none-match'] === '"v1"') {
+      res.writeHead(304, { ETag: '"v1"' });
+      return res.end();
+    }
+    return text('<rss></rss>', { ETag: '"v1"' })(req, res);
+  });
+  const url = site.url('etag.test', '/feed');
+
+  const fresh = await http.get(url, { responseType: 'text', checkRobots: false });
+  const cached = await http.get(url, { responseType: 'text', checkRobots: false });
+
+  assert.equal(fresh.fromCache, false);
+  assert.equal(cached.fromCache, true);
+  assert.equal(cached.status, 200);
+  assert.equal(cached.data, '<rss></rss>');
+  assert.equal(site.hits[1].headers['if-none-match'], '"v1"');
+  assert.equal(http.getMetrics()[site.host('etag.test')].cacheHits, 1);
+
+  // Callers sending their own validators get the 304 itself
+  const own = await http.get(url, { responseType: 'text', checkRobots: false, headers: { 'If-None-Match': '"v1"' } });
+  assert.equal(own.status, 304);
+  assert.equal(own.fromCache, false);
+});
+
+test('private, loopback and link-local addresses are refused before anything is sent', async (t) => {
+  const site = await serveTestSites(t.mock, {
+    'intranet.test': '10.0.0.5',
+    'metadata.test': '169.254.169.254',
+    'loopback.test': '127.0.0.2',
+    'ipv6-loopback.test': '::1',
+    'ipv6-link-local.test': 'fe80::1'
+  });
+  t.after(site.close);
+  const urls = [
+    site.url('intranet.test'),
+    site.url('metadata.test', '/latest/meta-data/'),
+    site.url('loopback.test'),
+    site.url('ipv6-loopback.test'),
+    site.url('ipv6-link-local.test'),
+    `http://127.0.0.2:${site.port}/`,
+    `http://[::1]:${site.port}/`,
+    'http://169.254.169.254/latest/meta-data/',
+    `http://localhost:${site.port}/`,
+    'http://[::ffff:10.0.0.1]/'
+  ];
+
+  for (const url of urls) {
+    await assert.rejects(http.get(url, { checkRobots: false, retries: 0 }), { name: 'HttpError', code: http.PRIVATE_ADDRESS }, url);
+  }
+  assert.deepEqual(site.hits, []);
+  assert.equal(http.isBlockedHostname('192.168.1.1'), true);
+  assert.equal(http.isBlockedHostname('example.com'), false);
+});
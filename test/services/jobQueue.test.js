@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('../helpers');
+const { Op } = require('sequelize');
+const { sequelize, Job, WorkerHeartbeat } = require('../../models');
+const jobQueue = require('../../services/jobQueue');
+
+const { JOB_TYPES } = jobQueue;
+
+const makeJob = (overrides = {}) => ({
+  id: 'job-1',
+  type: JOB_TYPES.CACHE_PRUNE,
+  payload: {},
+  attempts: 1,
+  maxAttempts: 3,
+  runAt: new Date('2024-10-08T12:00:00Z'),
+  lockedBy: 'worker-a',
+  ...overrides
+});
+
+// Job.update stand-in reporting `count` rows changed
+const stubUpdate = (t, count = 1) => t.mock.method(Job, 'update', async () => [count]);
+
+test('getBackoffMs doubles from 30s per attempt, capped at an hour, with 20% jitter', (t) => {
+  t.mock.method(Math, 'random', () => 0.5);
+  assert.deepEqual([1, 2, 3, 4].map(jobQueue.getBackoffMs), [30000, 60000, 120000, 240000]);
+  assert.equal(jobQueue.getBackoffMs(20), 60 * 60 * 1000);
+
+  t.mock.method(Math, 'random', () => 0);
+  assert.equal(jobQueue.getBackoffMs(1), 24000);
+  t.mock.method(Math, 'random', () => 0.999999);
+  assert.ok(Math.abs(jobQueue.getBackoffMs(1) - 36000) <= 1);
+});
+
+test('failJob reschedules with backoff while attempts remain', async (t) => {
+  t.mock.method(Math, 'random', () => 0.5);
+  const update = stubUpdate(t);
+  const before = Date.now();
+
+  const dead = await jobQueue.failJob(makeJob({ attempts: 2 }), new Error('boom'));
+
+  assert.equal(dead, false);
+  const [values, { where }] = update.mock.calls[0].arguments;
+  assert.equal(values.status, 'pending');
+  assert.ok(values.runAt.getTime() >= before + 60000 && values.runAt.getTime() <= Date.now() + 60000);
+  assert.match(values.lastError, /^Error: boom/);
+  assert.equal(values.lockedBy, null);
+  assert.deepEqual(where, { id: 'job-1', status: 'running', lockedBy: 'worker-a' });
+});
+
+test('failJob dead-letters a job on its last attempt', async (t) => {
+  const update = stubUpdate(t);
+  const job = makeJob({ attempts: 3 });
+
+  const dead = await jobQueue.failJob(job, 'plain message');
+
+  assert.equal(dead, true);
+  const [values] = update.mock.calls[0].arguments;
+  assert.equal(values.status, 'dead');
+  assert.equal(values.runAt, job.runAt);
+  assert.equal(values.lastError, 'plain message');
+});
+
+test('failJob leaves a job another worker took over alone', async (t) => {
+  stubUpdate(t, 0);
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  assert.equal(await jobQueue.failJob(makeJob({ attempts: 3 }), new Error('late')), false);
+  assert.match(warn.mock.calls[0].arguments[0], /taken over by another worker/);
+});
+
+test('processJobs completes jobs that succeed and dead-letters ones failing their last attempt', async (t) => {
+  const queued = [
+    makeJob({ id: 'ok', type: JOB_TYPES.COUNTERS_RESET }),
+    makeJob({ id: 'fails', type: JOB_TYPES.CACHE_PRUNE, attempts: 3 })
+  ];
+  t.mock.method(sequelize, 'query', async () => (queued.length > 0 ? [queued.shift()] : []));
+  const update = stubUpdate(t);
+  t.mock.method(console, 'error', () => {});
+  const ran = [];
+  jobQueue.registerHandler(JOB_TYPES.COUNTERS_RESET, async (payload, job) => { ran.push(job.id); });
+  jobQueue.registerHandler(JOB_TYPES.CACHE_PRUNE, async () => { throw new Error('disk full'); });
+
+  assert.equal(await jobQueue.processJobs(5), 2);
+
+  assert.deepEqual(ran, ['ok']);
+  const statuses = update.mock.calls.map(call => [call.arguments[1].where.id, call.arguments[0].status]);
+  assert.deepEqual(statuses, [['ok', 'completed'], ['fails', 'dead']]);
+});
+
+test('recoverStaleJobs requeues jobs of dead workers and old jobs of unknown ones', async (t) => {
+  t.mock.method(WorkerHeartbeat, 'findAll', async ({ where }) => (where[Op.or]
+    ? [{ workerId: 'crashed' }]
+    : [{ workerId: 'alive' }]));
+  const update = stubUpdate(t, 2);
+  t.mock.method(console, 'log', () => {});
+  const before = Date.now();
+
+  assert.equal(await jobQueue.recoverStaleJobs(60000), 2);
+
+  const [values, { where }] = update.mock.calls[0].arguments;
+  assert.deepEqual(values, { status: 'pending', lockedAt: null, lockedBy: null });
+  assert.equal(where.status, 'running');
+  const [byDeadWorker, byAge] = where[Op.or];
+  assert.deepEqual(byDeadWorker, { lockedBy: ['crashed'] });
+  assert.deepEqual(byAge.lockedBy, { [Op.notIn]: ['crashed', 'alive'] });
+  const cutoff = byAge.lockedAt[Op.lt].getTime();
+  assert.ok(cutoff >= before - 60000 && cutoff <= Date.now() - 60000);
+});
+
+test('recoverStaleJobs goes by age alone when no worker sent a heartbeat', async (t) => {
+  t.mock.method(WorkerHeartbeat, 'findAll', async () => []);
+  const update = stubUpdate(t, 0);
+
+  assert.equal(await jobQueue.recoverStaleJobs(), 0);
+
+  const { where } = update.mock.calls[0].arguments[1];
+  assert.equal(where[Op.or].length, 1);
+  assert.deepEqual(Object.keys(where[Op.or][0]), ['lockedAt']);
+});
+
+test('enqueue rejects unknown types and skips singletons already queued', async (t) => {
+  t.mock.method(Job, 'findOne', async () => ({ id: 'existing' }));
+  const create = t.mock.method(Job, 'create', async (values) => values);
+
+  await assert.rejects(jobQueue.enqueue('nope'), /Unknown job type: nope/);
+  assert.equal(await jobQueue.enqueue(JOB_TYPES.SCRAPE_RUN, {}, { singleton: true }), null);
+
+  const job = await jobQueue.enqueue(JOB_TYPES.LEAD_ENRICH, { userId: 'u1' });
+  assert.equal(job.maxAttempts, 5);
+  assert.equal(create.mock.callCount(), 1);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { KeywordQueryError, parseQuery, validateKeywords, compileKeywords, searchTerms, requiredSubstrings } = require('../../services/keywordQuery');
+
+const matches = (query, text) => compileKeywords([query]).matches(text);
+
+test('NOT binds tighter than AND, and AND tighter than OR', () => {
+  assert.equal(compileKeywords(['shopify OR wordpress AND agency']).queries[0], '(shopify OR (wordpress AND agency))');
+  assert.equal(compileKeywords(['NOT hiring AND agency']).queries[0], '(NOT hiring AND agency)');
+
+  assert.equal(matches('shopify OR wordpress AND agency', 'shopify store'), true);
+  assert.equal(matches('shopify OR wordpress AND agency', 'wordpress site'), false);
+  assert.equal(matches('(shopify OR wordpress) AND agency', 'shopify store'), false);
+  assert.equal(matches('agency NOT hiring', 'agency needed'), true);
+  assert.equal(matches('agency NOT hiring', 'agency hiring now'), false);
+  assert.equal(matches('NOT hiring OR agency', 'agency hiring now'), true);
+});
+
+test('adjacent terms are ANDed', () => {
+  assert.equal(matches('shopify (agency OR freelancer)', 'freelancer for our shopify store'), true);
+  assert.equal(matches('shopify (agency OR freelancer)', 'shopify store'), false);
+});
+
+test('NEAR counts the words between two terms, in either order', () => {
+  const text = 'our ads need a bigger monthly budget';
+  assert.equal(matches('ads NEAR/4 budget', text), true);
+  assert.equal(matches('ads NEAR/3 budget', text), false);
+  assert.equal(matches('budget NEAR/4 ads', text), true);
+  assert.equal(matches('ads NEAR budget', text), true);
+  assert.equal(matches('ads NEAR budget', 'ads for a new product that has a small budget'), false);
+  assert.equal(matches('"google ads" NEAR/0 budget', 'google ads budget'), true);
+});
+
+test('terms match whole words with light stemming', () => {
+  assert.equal(matches('ads', 'new downloads page'), false);
+  assert.equal(matches('ads', 'running ads'), true);
+  assert.equal(matches('agency', 'two agencies pitched'), true);
+  assert.equal(matches('hire', 'we are hiring'), true);
+  assert.equal(matches('market*', 'marketplace launch'), true);
+  assert.equal(matches('market*', 'supermarket'), false);
+  assert.equal(matches('"facebook ads"', 'ads on facebook'), false);
+  assert.equal(matches('e-commerce', 'an e commerce brand'), true);
+});
+
+test('plain keyword entries match as stemmed phrases', () => {
+  assert.equal(matches('performance marketing', 'Performance-marketing agency'), true);
+  assert.equal(matches('performance marketing', 'marketing performance'), false);
+  assert.equal(compileKeywords([]).matches('anything'), true);
+});
+
+test('parse errors carry a message and the position they point at', () => {
+  const cases = [
+    ['"facebook ads', 'Unterminated quote', 0],
+    ['ads NEAR/x budget', 'NEAR distance must be a number, e.g. NEAR/3', 4],
+    ['(ads OR seo', 'Missing closing ")"', 0],
+    ['ads OR', 'Expected a term after OR', 6],
+    ['ads AND OR seo', 'Expected a term after AND', 8],
+    ['ads )', 'Unexpected ")"', 4],
+    ['m* AND ads', 'Wildcard prefix must be at least 2 characters', 0],
+    ['mar*ket AND ads', 'Wildcard * is only allowed at the end of a term', 3],
+    ['(ads OR seo) NEAR budget', 'NEAR only works between terms or phrases', 13],
+    ['"" AND ads', 'Empty phrase', 0]
+  ];
+
+  cases.forEach(([query, message, position]) => {
+    assert.throws(() => parseQuery(query), (error) => {
+      assert.ok(error instanceof KeywordQueryError, query);
+      assert.equal(error.message, message, query);
+      assert.equal(error.position, position, query);
+      return true;
+    });
+  });
+});
+
+test('validateKeywords reports each bad entry with its path and position', () => {
+  assert.deepEqual(validateKeywords(['shopify', 'ads OR']), [{
+    path: 'keywords[1]',
+    msg: 'Expected a term after OR (position 6)',
+    query: 'ads OR',
+    position: 6,
+    near: ''
+  }]);
+  assert.deepEqual(validateKeywords('shopify'), [{ path: 'keywords', msg: 'must be an array of keyword queries' }]);
+  assert.deepEqual(validateKeywords([' '], 'filters'), [{ path: 'filters[0]', msg: 'must be a non-empty string' }]);
+});
+
+test('entries saved before validation fall back to plain phrases', () => {
+  const matcher = compileKeywords(['(ads OR']);
+  assert.equal(matcher.matches('ads or seo'), true);
+  assert.equal(matcher.matches('seo'), false);
+});
+
+test('searchTerms and requiredSubstrings skip negated parts', () => {
+  assert.deepEqual(searchTerms(['shopify AND (agency OR "growth partner") NOT hiring']), ['shopify', 'agency', 'growth partner']);
+  assert.deepEqual(requiredSubstrings(['shopify AND (agency OR freelancer) NOT hiring']), {
+    all: ['shopif', { any: ['agenc', 'freelancer'] }]
+  });
+  assert.equal(requiredSubstrings(['NOT hiring']), null);
+});
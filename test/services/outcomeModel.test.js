@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('../helpers');
+const { Lead, ScoringModel } = require('../../models');
+const outcomeModel = require('../../services/outcomeModel');
+
+// Labelled leads: closed ones ask for Shopify help with a budget, archived ones are giveaways
+const labelledLeads = (positives, negatives) => [
+  ...Array.from({ length: positives }, (_, i) => ({
+    id: `p${String(i).padStart(3, '0')}`,
+    status: i % 2 ? 'qualified' : 'closed',
+    source: 'reddit',
+    intent: 'Need a Shopify agency',
+    description: `Budget approved for our store redesign, ticket ${100 + i}`
+  })),
+  ...Array.from({ length: negatives }, (_, i) => ({
+    id: `n${String(i).padStart(3, '0')}`,
+    status: 'archived',
+    source: 'reddit',
+    intent: 'Crypto giveaway',
+    description: `Free tokens airdrop promotion number ${i}`
+  }))
+];
+
+const stubTraining = (t, leads) => {
+  t.mock.method(Lead, 'findAll', async () => leads);
+  t.mock.method(ScoringModel, 'findOrCreate', async () => [{ update: async (values) => values }]);
+};
+
+test('trainForUser waits for enough labels overall and in each class', async (t) => {
+  stubTraining(t, labelledLeads(10, 10));
+  const tooFew = await outcomeModel.trainForUser('u1');
+  assert.equal(tooFew.status, 'insufficient_data');
+  assert.deepEqual(tooFew.labels, { total: 20, positive: 10, negative: 10 });
+  assert.equal(tooFew.parameters, null);
+
+  stubTraining(t, labelledLeads(4, 40));
+  const oneSided = await outcomeModel.trainForUser('u1');
+  assert.equal(oneSided.status, 'insufficient_data');
+  assert.deepEqual(oneSided.labels, { total: 44, positive: 4, negative: 40 });
+});
+
+test('trainForUser learns weights that separate good leads from bad ones', async (t) => {
+  stubTraining(t, labelledLeads(20, 20));
+
+  const model = await outcomeModel.trainForUser('u1');
+
+  assert.equal(model.status, 'active');
+  assert.ok(model.metrics.auc >= 0.9, `auc ${model.metrics.auc}`);
+  const { weights } = model.parameters;
+  assert.ok(weights['w:shopify'] > 0);
+  assert.ok(weights['w:budget'] > 0);
+  assert.ok(weights['w:crypto'] < 0);
+  assert.ok(weights['w:giveaway'] < 0);
+  assert.equal(weights['w:100'], undefined, 'a token seen in one lead should carry no weight');
+
+  const good = outcomeModel.predict(model.parameters, outcomeModel.leadFeatures({ intent: 'Shopify agency wanted', description: 'budget ready' }));
+  const bad = outcomeModel.predict(model.parameters, outcomeModel.leadFeatures({ intent: 'crypto giveaway', description: 'free tokens' }));
+  assert.ok(good > 0.5 && bad < 0.5, `good ${good}, bad ${bad}`);
+});
+
+test('leadFeatures reads tokens, source, lead types and the normalized score breakdown', () => {
+  const features = outcomeModel.leadFeatures({
+    intent: 'Need an SEO agency',
+    description: 'for the new store',
+    source: 'hacker_news',
+    types: [{ type: 'hiring', confidence: 0.8 }, { type: 'budget_mentioned' }],
+    aiAnalysis: {
+      scoreBreakdown: [
+        { feature: 'budget', points: 25 },
+        { feature: 'urgency', points: 10 },
+        { feature: 'model', points: -5 }
+      ]
+    }
+  });
+
+  assert.deepEqual(Object.fromEntries(features), {
+    'w:need': 1,
+    'w:seo': 1,
+    'w:agency': 1,
+    'w:new': 1,
+    'w:store': 1,
+    'source:hacker_news': 1,
+    'type:hiring': 0.8,
+    'type:budget_mentioned': 1,
+    'f:budget': 1,
+    'f:urgency': 0.5
+  });
+});
+
+const leadRow = (scoreValue, score) => ({
+  intent: 'Need an agency',
+  description: '',
+  score,
+  scoreValue,
+  aiAnalysis: { scoreBreakdown: [{ feature: 'intent', points: 25, max: 25 }] }
+});
+
+// No weights, so the model always predicts 50%
+const neutralModel = (total) => ({ parameters: { bias: 0, weights: {} }, labels: { total }, trainedAt: new Date('2024-10-01T00:00:00Z') });
+
+test('blendIntoLead mixes the prediction into scoreValue by how many labels back it', () => {
+  const full = outcomeModel.blendIntoLead(neutralModel(200), leadRow(80, 'hot'));
+  assert.equal(full.scoreValue, 65);
+  assert.equal(full.score, 'warm');
+  assert.deepEqual(full.aiAnalysis.outcomeModel, {
+    probability: 0.5,
+    weight: 0.5,
+    scoreBefore: 'hot',
+    scoreValueBefore: 80,
+    trainedAt: new Date('2024-10-01T00:00:00Z')
+  });
+  const [, model] = full.aiAnalysis.scoreBreakdown;
+  assert.equal(model.feature, 'model');
+  assert.equal(model.points, -15);
+  assert.equal(model.detail, 'Your past outcomes: 50% likely to qualify (hot → warm)');
+
+  const half = outcomeModel.blendIntoLead(neutralModel(100), leadRow(80, 'hot'));
+  assert.equal(half.aiAnalysis.outcomeModel.weight, 0.25);
+  assert.equal(half.scoreValue, 73);
+  assert.equal(half.score, 'hot');
+  assert.equal(half.aiAnalysis.scoreBreakdown[1].detail, 'Your past outcomes: 50% likely to qualify');
+});
+
+test('blendIntoLead leaves leads alone without labels or a score value', () => {
+  const unlabelled = outcomeModel.blendIntoLead(neutralModel(0), leadRow(80, 'hot'));
+  assert.equal(unlabelled.scoreValue, 80);
+  assert.equal(unlabelled.aiAnalysis.outcomeModel, undefined);
+
+  const unscored = outcomeModel.blendIntoLead(neutralModel(200), leadRow(null, 'warm'));
+  assert.equal(unscored.scoreValue, null);
+  assert.equal(unscored.aiAnalysis.scoreBreakdown.length, 1);
+});
+
+test('getActiveModel only returns models good enough to blend', async (t) => {
+  const stored = { status: 'weak', parameters: { bias: 0, weights: {} } };
+  t.mock.method(ScoringModel, 'findOne', async () => stored);
+  assert.equal(await outcomeModel.getActiveModel('u1'), null);
+
+  stored.status = 'active';
+  assert.equal(await outcomeModel.getActiveModel('u1'), stored);
+});
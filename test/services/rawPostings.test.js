@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('../helpers');
+const { RawPosting } = require('../../models');
+const { savePostings } = require('../../services/rawPostings');
+
+test('savePostings cuts values down to their column sizes', async (t) => {
+  const bulkCreate = t.mock.method(RawPosting, 'bulkCreate', async () => []);
+  const longId = 'x'.repeat(600);
+
+  const saved = await savePostings([{
+    sourceKey: 'feed',
+    externalId: longId,
+    url: 'https://example.com/jobs/1',
+    title: 'Need a website',
+    author: 'a'.repeat(300),
+    geo: 'g'.repeat(300)
+  }]);
+
+  assert.equal(saved.length, 1);
+  const [row] = bulkCreate.mock.calls[0].arguments[0];
+  assert.equal(row.externalId, longId.substring(0, 255));
+  assert.equal(row.author.length, 255);
+  assert.equal(row.geo.length, 255);
+  assert.equal(row.dedupeKey, longId.substring(0, 500));
+});
+
+test('savePostings drops postings it cannot deduplicate', async (t) => {
+  const bulkCreate = t.mock.method(RawPosting, 'bulkCreate', async () => []);
+
+  const saved = await savePostings([{ sourceKey: 'feed', title: 'No id or link' }]);
+
+  assert.deepEqual(saved, []);
+  assert.equal(bulkCreate.mock.callCount(), 0);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkPattern, compilePattern, testPattern, MAX_MATCH_CHARS, MAX_PATTERN_LENGTH } = require('../../services/safeRegex');
+
+const SLOW_PATTERNS = {
+  '(a+)+': 'nested quantifiers',
+  '(a*)*b': 'nested quantifiers',
+  '(a|ab)*': 'alternatives',
+  '\\d+\\d+': 'overlapping quantifiers',
+  'a.*a.*b': 'overlapping quantifiers',
+  '\\w*\\s*\\w*$': 'overlapping quantifiers',
+  '\\d*[a-z]*\\d*$': 'overlapping quantifiers',
+  '\\w+\\s?\\d*\\w+': 'overlapping quantifiers',
+  '(\\w+)\\1': 'backreferences'
+};
+
+const SAFE_PATTERNS = [
+  '\\bshopify\\b',
+  'budget:?\\s*\\$\\d+',
+  'need(s|ed)? (an? )?agency',
+  '\\d+[a-z]+\\d+',
+  '\\$\\d+k?',
+  'looking for .* agency',
+  '[a-z]+@[a-z]+\\.com'
+];
+
+test('checkPattern refuses patterns that backtrack badly', () => {
+  Object.entries(SLOW_PATTERNS).forEach(([pattern, reason]) => {
+    const problem = checkPattern(pattern);
+    assert.ok(problem, `${pattern} was accepted`);
+    assert.ok(problem.includes(reason), `${pattern}: ${problem}`);
+  });
+});
+
+test('checkPattern accepts everyday patterns', () => {
+  SAFE_PATTERNS.forEach(pattern => assert.equal(checkPattern(pattern), null, pattern));
+});
+
+test('checkPattern reports invalid, empty and over-long patterns', () => {
+  assert.match(checkPattern('(['), /Invalid regular expression/);
+  assert.equal(checkPattern('  '), 'must be a non-empty string');
+  assert.equal(checkPattern(42), 'must be a non-empty string');
+  assert.equal(checkPattern('a'.repeat(MAX_PATTERN_LENGTH + 1)), `must be at most ${MAX_PATTERN_LENGTH} characters`);
+});
+
+test('compilePattern compiles case-insensitively and returns null for refused patterns', () => {
+  const regex = compilePattern('shopify');
+  assert.ok(regex.test('SHOPIFY store'));
+  assert.equal(compilePattern('shopify'), regex);
+  assert.equal(compilePattern('\\w*\\s*\\w*$'), null);
+});
+
+test('testPattern only looks at the first MAX_MATCH_CHARS characters', () => {
+  const text = `${'x'.repeat(MAX_MATCH_CHARS)}needle`;
+  assert.equal(testPattern(compilePattern('needle'), text), false);
+  assert.equal(testPattern(compilePattern('needle'), 'a needle'), true);
+});
+
+test('accepted patterns stay fast on long text that does not match', () => {
+  const text = `${'a'.repeat(MAX_MATCH_CHARS)}!`;
+  const started = Date.now();
+  SAFE_PATTERNS.forEach(pattern => testPattern(compilePattern(pattern), text));
+  assert.ok(Date.now() - started < 500, `took ${Date.now() - started}ms`);
+});
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('../helpers');
+const { User, UserScraperConfig } = require('../../models');
+const scheduler = require('../../services/scheduler');
+
+const { FREQUENCY_INTERVALS, REALTIME_POLL_INTERVAL } = scheduler;
+
+const NOW = new Date('2024-10-08T12:00:00Z');
+const MINUTE = 60 * 1000;
+
+const makeUser = (id, overrides = {}) => ({
+  id,
+  subscriptionTier: 'enterprise',
+  scrapeFrequency: 'daily',
+  sourcesConfig: { hackerNews: true, reddit: true, upwork: true },
+  ...overrides
+});
+
+const stubStore = (t, users, configs = []) => {
+  t.mock.method(User, 'findAll', async () => users);
+  t.mock.method(UserScraperConfig, 'findAll', async () => configs);
+};
+
+const dueKeys = (schedules) => schedules.map(s => `${s.user.id}:${s.sourceKey}`).sort();
+
+test('getDueSchedules picks sources whose next run has come, within the grace window', async (t) => {
+  stubStore(t, [makeUser('u1')], [
+    { userId: 'u1', sourceKey: 'hackerNews', nextRunAt: new Date(NOW.getTime() - MINUTE), lastScrapedAt: new Date('2024-10-07T12:00:00Z') },
+    { userId: 'u1', sourceKey: 'reddit', nextRunAt: new Date(NOW.getTime() + MINUTE), lastScrapedAt: new Date('2024-10-07T12:01:00Z') },
+    { userId: 'u1', sourceKey: 'upwork', nextRunAt: new Date(NOW.getTime() + 10 * MINUTE), lastScrapedAt: new Date('2024-10-07T12:10:00Z') }
+  ]);
+
+  const schedules = await scheduler.getDueSchedules(['hackerNews', 'reddit', 'upwork'], NOW);
+
+  assert.deepEqual(dueKeys(schedules), ['u1:hackerNews', 'u1:reddit']);
+  assert.equal(schedules[0].since.toISOString(), '2024-10-07T12:00:00.000Z');
+});
+
+test('getDueSchedules skips sources switched off in sourcesConfig or in the scraper config', async (t) => {
+  stubStore(t, [makeUser('u1', { sourcesConfig: { hackerNews: true, reddit: false, upwork: true } })], [
+    { userId: 'u1', sourceKey: 'upwork', isEnabled: false }
+  ]);
+
+  const schedules = await scheduler.getDueSchedules(['hackerNews', 'reddit', 'upwork'], NOW);
+
+  assert.deepEqual(dueKeys(schedules), ['u1:hackerNews']);
+});
+
+test('the first run looks back one interval of the user\'s frequency', async (t) => {
+  stubStore(t, ['realtime', 'hourly', 'daily', 'weekly'].map(frequency => makeUser(frequency, { scrapeFrequency: frequency })));
+
+  const schedules = await scheduler.getDueSchedules(['hackerNews', 'upwork'], NOW);
+  const lookback = (userId, sourceKey) => {
+    const schedule = schedules.find(s => s.user.id === userId && s.sourceKey === sourceKey);
+    return NOW.getTime() - schedule.since.getTime();
+  };
+
+  assert.equal(schedules.length, 8);
+  assert.ok(schedules.every(s => s.config === null));
+  assert.equal(lookback('hourly', 'upwork'), FREQUENCY_INTERVALS.hourly);
+  assert.equal(lookback('daily', 'upwork'), FREQUENCY_INTERVALS.daily);
+  assert.equal(lookback('weekly', 'upwork'), FREQUENCY_INTERVALS.weekly);
+  assert.equal(lookback('realtime', 'upwork'), FREQUENCY_INTERVALS.realtime);
+  assert.equal(lookback('realtime', 'hackerNews'), REALTIME_POLL_INTERVAL);
+});
+
+test('getDueSchedules clamps frequencies to the plan and filters by frequency', async (t) => {
+  stubStore(t, [
+    makeUser('free', { subscriptionTier: 'free', scrapeFrequency: 'hourly' }),
+    makeUser('pro', { subscriptionTier: 'pro', scrapeFrequency: 'hourly' }),
+    makeUser('realtime', { scrapeFrequency: 'realtime' })
+  ]);
+
+  const all = await scheduler.getDueSchedules(['upwork'], NOW);
+  assert.deepEqual(all.map(s => [s.user.id, s.frequency]), [['free', 'daily'], ['pro', 'hourly'], ['realtime', 'realtime']]);
+
+  const realtime = await scheduler.getDueSchedules(['upwork'], NOW, { frequencies: ['realtime'] });
+  assert.deepEqual(dueKeys(realtime), ['realtime:upwork']);
+});
+
+test('personal sources are only scheduled for their owner', async (t) => {
+  stubStore(t, [makeUser('owner'), makeUser('other')]);
+
+  const schedules = await scheduler.getDueSchedules(['feed-1'], NOW, { owners: new Map([['feed-1', 'owner']]) });
+
+  assert.deepEqual(dueKeys(schedules), ['owner:feed-1']);
+});
+
+test('markSchedulesRun sets the next run one interval after this one for each frequency', async (t) => {
+  const bulkCreate = t.mock.method(UserScraperConfig, 'bulkCreate', async () => []);
+  const user = makeUser('u1');
+
+  await scheduler.markSchedulesRun([
+    { user, sourceKey: 'upwork', frequency: 'hourly' },
+    { user, sourceKey: 'upwork', frequency: 'daily' },
+    { user, sourceKey: 'upwork', frequency: 'weekly' },
+    { user, sourceKey: 'hackerNews', frequency: 'realtime' }
+  ], NOW);
+
+  const rows = bulkCreate.mock.calls[0].arguments[0];
+  assert.deepEqual(rows.map(row => row.nextRunAt.getTime() - NOW.getTime()), [
+    FREQUENCY_INTERVALS.hourly,
+    FREQUENCY_INTERVALS.daily,
+    FREQUENCY_INTERVALS.weekly,
+    REALTIME_POLL_INTERVAL
+  ]);
+  assert.ok(rows.every(row => row.lastScrapedAt === NOW));
+});
+
+test('markSchedulesRun writes nothing when nothing ran', async (t) => {
+  const bulkCreate = t.mock.method(UserScraperConfig, 'bulkCreate', async () => []);
+
+  await scheduler.markSchedulesRun([], NOW);
+
+  assert.equal(bulkCreate.mock.callCount(), 0);
+});
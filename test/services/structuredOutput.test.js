@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, extractJson } = require('../../services/structuredOutput');
+
+const SCHEMA = {
+  type: 'object',
+  required: ['score', 'reason'],
+  properties: {
+    score: { type: 'string', enum: ['hot', 'warm', 'cold'] },
+    reason: { type: 'string', minLength: 1 },
+    confidence: { type: 'number', minimum: 0, maximum: 100 },
+    leads: {
+      type: 'array',
+      minItems: 2,
+      uniqueKey: 'id',
+      items: { type: 'object', properties: { id: { type: 'integer' } } }
+    }
+  }
+};
+
+test('validate accepts a value that matches the schema', () => {
+  assert.deepEqual(validate({ score: 'hot', reason: 'Has a budget', confidence: 90 }, SCHEMA), []);
+});
+
+test('validate names every field that is wrong', () => {
+  assert.deepEqual(validate([], SCHEMA), ['reply must be object, got array']);
+  assert.deepEqual(validate({ score: 'x', reason: ' ', confidence: -1 }, SCHEMA), [
+    'score must be one of hot, warm, cold, got "x"',
+    'reason must not be empty',
+    'confidence must be at least 0'
+  ]);
+  assert.deepEqual(validate({ reason: 'ok' }, SCHEMA), ['score is required']);
+});
+
+test('validate checks array length, items and unique keys', () => {
+  const errors = validate({ score: 'hot', reason: 'ok', leads: [{ id: 1 }] }, SCHEMA);
+  assert.deepEqual(errors, ['leads must have at least 2 entries, got 1']);
+
+  assert.deepEqual(validate({ score: 'hot', reason: 'ok', leads: [{ id: 1 }, { id: 1.5 }, { id: 1 }] }, SCHEMA), [
+    'leads[1].id must be integer, got number',
+    'leads has more than one entry with id 1'
+  ]);
+});
+
+test('extractJson finds the object inside code fences and prose', () => {
+  assert.deepEqual(extractJson('Sure!\n```json\n{"score": "warm"}\n```'), { value: { score: 'warm' }, error: null });
+});
+
+test('extractJson reports replies with no object or broken JSON', () => {
+  assert.deepEqual(extractJson('I cannot help with that'), { value: null, error: 'reply contains no JSON object' });
+  assert.equal(extractJson(null).error, 'reply contains no JSON object');
+  assert.match(extractJson('{"score": hot}').error, /^reply is not valid JSON \(/);
+});
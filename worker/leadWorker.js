@@ -8,90 +8,123 @@ const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 
 const cron = require('node-cron');
-const { User, Lead } = require('../models');
+const { sequelize, User, Lead, ScrapeSource, UserScraperConfig } = require('../models');
 const { Op } = require('sequelize');
 const emailService = require('../services/email');
+const scrapers = require('../scrapers');
+const scheduler = require('../services/scheduler');
+const jobQueue = require('../services/jobQueue');
+const coordination = require('../services/workerCoordination');
+const scrapeRuns = require('../services/scrapeRuns');
+const rawPostings = require('../services/rawPostings');
+const leadDedup = require('../services/leadDedup');
+const leadMatching = require('../services/leadMatching');
+const keywordQuery = require('../services/keywordQuery');
+const leadClassifier = require('../services/leadClassifier');
+const nicheScoring = require('../services/nicheScoring');
+const aiScorer = require('../services/aiScorer');
+const leadScore = require('../services/leadScore');
+const outcomeModel = require('../services/outcomeModel');
+const aiUsage = require('../services/aiUsage');
+const scoreCache = require('../services/scoreCache');
+const enrichment = require('../services/enrichment');
+const backfill = require('../services/backfill');
+const http = require('../services/httpClient');
+const { getUserSubreddits } = require('../services/niches');
 
-// Import scrapers (adjust paths based on actual location)
-const hnScraper = require('../../ai_sdr/sources/hn_intent');
-const redditScraper = require('../../ai_sdr/sources/reddit_jobs');
-const upworkScraper = require('../../ai_sdr/sources/upwork_rss');
+const { JOB_TYPES } = jobQueue;
 
-// Scraper configuration
-const SCRAPERS = {
-  hackernews: {
-    name: 'Hacker News',
-    enabled: true,
-    scrape: () => hnScraper.collectHNLeads()
-  },
-  reddit: {
-    name: 'Reddit',
-    enabled: true,
-    scrape: () => redditScraper.collectRedditLeads()
-  },
-  upwork: {
-    name: 'Upwork',
+// Upper bound on subreddits fetched per run (one request each)
+const MAX_SUBREDDITS_PER_RUN = parseInt(process.env.REDDIT_MAX_SUBREDDITS || '50');
+
+// AI scoring batches in flight per user at once
+const AI_SCORING_CONCURRENCY = parseInt(process.env.AI_SCORING_CONCURRENCY || '4');
+
+const SCORES = ['hot', 'warm', 'cold'];
+
+// Scrape runs share cursors and schedules, so only one runs at a time across workers
+const SCRAPE_LOCK = 'scrape';
+
+// How long a stopping worker waits for its current job before exiting anyway
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.WORKER_SHUTDOWN_TIMEOUT_MS || '60000');
+
+// Scraper configuration, one entry per registered source adapter
+const SCRAPERS = Object.fromEntries(
+  scrapers.listScrapers().map(adapter => [adapter.key, {
+    name: adapter.name,
     enabled: true,
-    scrape: () => upworkScraper.collectUpworkLeads()
-  }
-};
+    scrape: (config, cursor) => adapter.fetch(config, cursor)
+  }])
+);
 
 /**
  * Check if lead matches user keywords
  */
 function matchesKeywords(lead, keywords) {
-  if (!keywords || keywords.length === 0) return true;
-  
-  const text = `${lead.title || ''} ${lead.text || ''} ${lead.intent || ''}`.toLowerCase();
-  
-  return keywords.some(keyword => 
-    text.includes(keyword.toLowerCase())
-  );
+  return keywordQuery.compileKeywords(keywords).matches(lead);
 }
 
 /**
- * Score a lead based on various signals
+ * Score leads with the user's AI provider (rules when they have none),
+ * several leads per call, reusing cached scores for posts already scored.
+ * A failed call falls back to rules for its leads only; once the user's
+ * monthly AI budget is spent, the rest go to rules too.
+ * @param {Object} budget - From aiUsage.createBudget
+ * @returns {Promise<Map>} lead -> aiScorer result
  */
-function scoreLead(lead) {
-  const signals = lead.signals || [];
-  const text = `${lead.title || ''} ${lead.text || ''}`.toLowerCase();
-  
-  let scorePoints = 0;
-  
-  // Budget signals
-  const budgetPatterns = [/'budget', 'spend', 'investment', '$', 'k', 'monthly', 'ad spend']/i];
-  if (budgetPatterns.some(p => p.test(text))) scorePoints += 2;
-  
-  // Urgency signals
-  const urgencyPatterns = [/asap/i, /urgent/i, /immediately/i, /this week/i, /right now/i];
-  if (urgencyPatterns.some(p => p.test(text))) scorePoints += 2;
-  
-  // Platform-specific signals
-  const platformSignals = ['Meta/Facebook Ads', 'Google Ads', 'Shopify', 'PPC', 'Performance focus'];
-  const hasPlatformSignal = signals.some(s => 
-    platformSignals.some(ps => s.toLowerCase().includes(ps.toLowerCase()))
-  );
-  if (hasPlatformSignal) scorePoints += 1;
-  
-  // Company type signals
-  if (signals.includes('Startup')) scorePoints += 1;
-  if (signals.includes('SaaS')) scorePoints += 1;
-  if (signals.includes('E-commerce')) scorePoints += 1;
-  
-  // Determine score category
-  if (scorePoints >= 4) return 'hot';
-  if (scorePoints >= 2) return 'warm';
-  return 'cold';
+async function scoreLeads(user, leads, niche, budget = null) {
+  const scorings = new Map();
+  if (leads.length === 0) return scorings;
+  
+  const options = {
+    apiKey: user.aiProvider !== 'rule' ? user.getAiApiKey() : null,
+    model: user.aiModel,
+    baseUrl: user.aiBaseUrl,
+    costPer1K: user.aiCostPer1K,
+    niche,
+    budget,
+    cache: scoreCache.enabled() ? scoreCache : null,
+    concurrency: AI_SCORING_CONCURRENCY
+  };
+  // Without a key the provider call can only fail, so don't make it
+  const provider = options.apiKey ? user.aiProvider : 'rule';
+  
+  const results = await aiScorer.scoreLeads(leads.map(leadText), provider, options);
+  leads.forEach((lead, index) => scorings.set(lead, results[index]));
+  
+  const fallbacks = results.filter(result => result.fallbackFrom);
+  const overBudget = fallbacks.filter(result => result.budgetExceeded).length;
+  if (overBudget > 0) {
+    console.log(`  💸 ${user.email}: monthly AI budget reached, ${overBudget} leads scored by rules`);
+  }
+  if (fallbacks.length > overBudget) {
+    console.log(`  🤖 ${user.email}: ${fallbacks.length - overBudget} leads scored by rules after ${user.aiProvider} errors`);
+  }
+  
+  return scorings;
+}
+
+function leadText(lead) {
+  return `${lead.title || ''}\n${lead.text || ''}`;
 }
 
 /**
  * Transform scraped lead to database format
+ * @param {Object} options - { classification, niche, scoring, user, model }; scoring is the
+ *   aiScorer result for this lead, computed with rules here when not given;
+ *   user's customer profile counts towards the score breakdown; model is the
+ *   user's active outcome model, blended into the score when given
  */
-function transformLead(scrapedLead, userId) {
-  const score = scoreLead(scrapedLead);
+function transformLead(scrapedLead, userId, { classification = null, niche = null, scoring = null, user = null, model = null } = {}) {
+  const result = scoring || aiScorer.enhancedRuleBasedScoring(leadText(scrapedLead), niche);
+  const { types, ...classifiedBy } = classification ||
+    { types: leadClassifier.classifyByRules(scrapedLead), method: 'rule-based' };
+  const score = SCORES.includes(result.score) ? result.score : 'warm';
+  const breakdown = leadScore.explainScore(scrapedLead, score, { niche, user, types });
   
-  return {
+  const row = {
     userId,
+    rawPostingId: scrapedLead.rawPostingId || null,
     source: scrapedLead.source.replace('-', '_'),
     sourceUrl: scrapedLead.url,
     companyName: scrapedLead.companyName || scrapedLead.author || 'Unknown',
@@ -105,121 +138,252 @@ function transformLead(scrapedLead, userId) {
     contactPhone: scrapedLead.contactPhone || null,
     intent: scrapedLead.title || scrapedLead.text?.substring(0, 200),
     description: scrapedLead.text,
-    score: score,
-    scoreReason: `Matched ${scrapedLead.signals?.length || 0} signals`,
+    score,
+    scoreValue: breakdown.value,
+    scoreReason: result.reason,
     aiAnalysis: {
       signals: scrapedLead.signals || [],
       geo: scrapedLead.geo,
-      budgetHint: scrapedLead.budgetHint
+      budgetHint: scrapedLead.budgetHint,
+      classification: classifiedBy,
+      scoring: {
+        method: result.method,
+        provider: result.provider || null,
+        model: result.model || null,
+        confidence: result.confidence,
+        cached: result.cached || false,
+        fallbackFrom: result.fallbackFrom || null,
+        error: result.error || null
+      },
+      niche: result.niche || null,
+      scoreBreakdown: breakdown.contributions
     },
-    budgetSignal: scrapedLead.budgetHint || null,
+    types,
+    budgetSignal: scrapedLead.budgetHint || result.budgetSignal || null,
     urgencySignal: scrapedLead.signals?.find(s => 
       /urgent|asap|immediately/i.test(s)
-    ) || null,
+    ) || result.urgencySignal || null,
     status: 'new',
     tags: scrapedLead.signals || [],
-    rawData: scrapedLead.raw || scrapedLead
+    // The full payload lives once in raw_postings; only keep it here when there is no posting
+    rawData: scrapedLead.rawPostingId ? null : (scrapedLead.raw || scrapedLead)
   };
+  
+  return model ? outcomeModel.blendIntoLead(model, row) : row;
 }
 
 /**
- * Check if lead already exists for user
+ * Find which of these leads the user already has, in one query.
+ * Legacy leads predate raw_postings, so match on source URL as well.
  */
-async function leadExists(sourceUrl, userId) {
-  const existing = await Lead.findOne({
+async function findAssigned(userId, leads) {
+  const existing = await Lead.findAll({
     where: {
-      sourceUrl,
-      userId
+      userId,
+      [Op.or]: [
+        { rawPostingId: leads.map(lead => lead.rawPostingId) },
+        { sourceUrl: leads.map(lead => lead.url).filter(Boolean) }
+      ]
+    },
+    attributes: ['rawPostingId', 'sourceUrl']
+  });
+  
+  return {
+    postingIds: new Set(existing.map(lead => lead.rawPostingId).filter(Boolean)),
+    urls: new Set(existing.map(lead => lead.sourceUrl).filter(Boolean))
+  };
+}
+
+/**
+ * Bulk insert leads for a user, skipping any (user, posting) pair that
+ * already exists, and charge only the inserted ones against their quota.
+ * The user row is locked while inserting, so concurrent runs (another worker,
+ * a backfill) can't both spend the same remaining quota.
+ * @returns {Promise<{saved: Array, quotaBlocked: Array}>} quotaBlocked: leads the quota left no room for
+ */
+async function insertLeads(user, leads, { classifications = new Map(), scorings = new Map(), niche = null, model = null } = {}) {
+  if (leads.length === 0) return { saved: [], quotaBlocked: [] };
+  
+  return sequelize.transaction(async (transaction) => {
+    const current = await User.findByPk(user.id, {
+      attributes: ['id', 'leadsLimit', 'leadsUsedThisMonth'],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    const remaining = Math.max(current.leadsLimit - current.leadsUsedThisMonth, 0);
+    const allowed = leads.slice(0, remaining);
+    
+    const built = await Lead.bulkCreate(
+      allowed.map(lead => transformLead(lead, user.id, {
+        classification: classifications.get(lead),
+        scoring: scorings.get(lead),
+        niche,
+        user,
+        model
+      })),
+      { ignoreDuplicates: true, returning: false, transaction }
+    );
+    
+    // ON CONFLICT DO NOTHING doesn't report skipped rows; ids are generated client-side, so look them up
+    const saved = await Lead.findAll({ where: { id: built.map(lead => lead.id) }, transaction });
+    
+    if (saved.length > 0) {
+      await current.increment('leadsUsedThisMonth', { by: saved.length, transaction });
     }
+    user.leadsUsedThisMonth = current.leadsUsedThisMonth + saved.length;
+    
+    return { saved, quotaBlocked: leads.slice(remaining) };
   });
-  return !!existing;
 }
 
 /**
  * Run scraper and collect leads
  */
-async function runScraper(scraperKey, scraperConfig) {
+async function runScraper(scraperKey, scraperConfig, tracker, sourceConfig = {}, cursor = {}) {
   console.log(`🔍 Running ${scraperConfig.name} scraper...`);
   
+  // Sources are fetched one at a time, so the metrics delta is this source's traffic
+  const metricsBefore = http.getMetrics();
+  
   try {
-    const leads = await scraperConfig.scrape();
-    console.log(`✅ ${scraperConfig.name}: Found ${leads.length} leads`);
-    return leads;
+    const result = await scraperConfig.scrape(sourceConfig, cursor);
+    console.log(`✅ ${scraperConfig.name}: Found ${result.postings.length} leads${result.notModified ? ' (not modified)' : ''}`);
+    scrapeRuns.trackFetched(tracker, scraperKey, result.postings.length);
+    return result;
   } catch (error) {
     console.error(`❌ ${scraperConfig.name} scraper failed:`, error.message);
-    return [];
+    scrapeRuns.trackError(tracker, scraperKey, error);
+    return null;
+  } finally {
+    scrapeRuns.trackHttp(tracker, scraperKey, http.diffMetrics(metricsBefore, http.getMetrics()));
+  }
+}
+
+/**
+ * Log what each host saw from this process
+ */
+function logHttpMetrics() {
+  for (const [host, m] of Object.entries(http.getMetrics())) {
+    const statuses = Object.entries(m.statuses).map(([statusClass, count]) => `${statusClass}:${count}`).join(' ');
+    console.log(`🌐 ${host}: ${m.requests} requests (${statuses || 'none answered'}), ${m.retries} retries, ${m.cacheHits} cached, ${m.robotsBlocked} blocked by robots.txt, avg ${m.avgLatencyMs}ms`);
   }
 }
 
 /**
- * Distribute leads to users based on keyword matching
+ * Distribute leads to the users whose scheduled run is due
+ * @param {Object} options - { digest: queue digest emails for the new leads (off for realtime runs),
+ *   notify: queue hot-lead notifications (off for backfills of old posts) }
  */
-async function distributeLeads(allLeads) {
+async function distributeLeads(allLeads, schedules, tracker, { digest = true, notify = true } = {}) {
   console.log(`📬 Distributing ${allLeads.length} leads to users...`);
   
-  // Get all active users
-  const users = await User.findAll({
-    where: {
-      isActive: true,
-      leadsUsedThisMonth: { [Op.lt]: Lead.sequelize.col('leadsLimit') }
+  // Group due sources by user: userId -> { user, windows: sourceKey -> { since, keywordMatcher, passesFilters } }
+  const dueUsers = new Map();
+  for (const { user, sourceKey, since, config } of schedules) {
+    if (!dueUsers.has(user.id)) {
+      dueUsers.set(user.id, { user, windows: new Map() });
     }
-  });
+    
+    dueUsers.get(user.id).windows.set(sourceKey, leadMatching.buildSourceWindow(user, sourceKey, since, config));
+    scrapeRuns.trackUserServed(tracker, sourceKey, user.id);
+  }
   
-  console.log(`👥 Found ${users.length} active users`);
+  console.log(`👥 Found ${dueUsers.size} users due a run`);
   
   let totalAssigned = 0;
   const userNewLeads = new Map(); // Track new leads per user for notifications
   
-  for (const user of users) {
-    const userKeywords = user.keywords || ['marketing agency', 'growth'];
-    const userSources = user.sourcesConfig || { hackerNews: true, reddit: true, upwork: true };
+  for (const { user, windows } of dueUsers.values()) {
+    const matcher = leadMatching.createUserMatcher(user, windows);
+    const now = new Date();
+    const matchingLeads = allLeads.filter(lead => matcher.matches(lead, now));
     
-    const matchingLeads = allLeads.filter(lead => {
-      // Check source is enabled
-      const sourceKey = lead.source.replace('-', '_').toLowerCase();
-      const isSourceEnabled = 
-        (sourceKey.includes('hackernews') && userSources.hackerNews) ||
-        (sourceKey.includes('reddit') && userSources.reddit) ||
-        (sourceKey.includes('upwork') && userSources.upwork);
-      
-      if (!isSourceEnabled) return false;
-      
-      // Check keywords match
-      return matchesKeywords(lead, userKeywords);
-    });
+    matchingLeads.forEach(lead => scrapeRuns.trackUser(tracker, lead.sourceKey, user.id, 'itemsMatched'));
     
-    const userNewLeadsList = [];
+    let userNewLeadsList = [];
     
-    for (const lead of matchingLeads) {
-      // Check if already exists
-      if (await leadExists(lead.url, user.id)) {
-        continue;
+    if (matchingLeads.length > 0) {
+      // Drop what the user already has
+      const assigned = await findAssigned(user.id, matchingLeads);
+      const unassigned = matchingLeads.filter(lead => {
+        if (assigned.postingIds.has(lead.rawPostingId) || assigned.urls.has(lead.url)) {
+          scrapeRuns.trackUser(tracker, lead.sourceKey, user.id, 'duplicatesSkipped');
+          return false;
+        }
+        return true;
+      });
+      
+      // Classify lead types and keep only the types the user selected, stopping once
+      // the quota is filled: later leads would be held back, so classifying them
+      // would only spend the AI budget
+      const remaining = Math.max(user.leadsLimit - user.leadsUsedThisMonth, 0);
+      const budget = await aiUsage.createBudget(user);
+      const classifications = new Map();
+      const toCreate = [];
+      let classified = 0;
+      for (; classified < unassigned.length && toCreate.length < remaining; classified++) {
+        const lead = unassigned[classified];
+        const classification = await leadClassifier.classifyForUser(lead, user, { budget });
+        if (!leadClassifier.matchesLeadTypes(classification.types, user.leadTypes)) continue;
+        classifications.set(lead, classification);
+        toCreate.push(lead);
+      }
+      if (toCreate.length < classified) {
+        console.log(`  🏷️ ${user.email}: ${classified - toCreate.length} leads outside selected types`);
       }
       
-      // Check user hasn't exceeded limit
-      if (user.leadsUsedThisMonth >= user.leadsLimit) {
-        console.log(`⚠️ User ${user.email} reached lead limit`);
-        break;
+      // Keep counting what the quota cost them; unclassified leads count whatever their type
+      const quotaBlocked = unassigned.slice(classified);
+      
+      quotaBlocked.forEach(lead => scrapeRuns.trackUser(tracker, lead.sourceKey, user.id, 'quotaBlocked'));
+      if (quotaBlocked.length > 0) {
+        console.log(`⚠️ User ${user.email} reached lead limit (${quotaBlocked.length} leads held back)`);
       }
       
       try {
-        // Transform and save lead
-        const leadData = transformLead(lead, user.id);
-        const savedLead = await Lead.create(leadData);
+        const niche = nicheScoring.getUserNiche(user);
+        const scorings = await scoreLeads(user, toCreate, niche, budget);
+        const model = toCreate.length > 0 ? await outcomeModel.getActiveModel(user.id) : null;
+        const inserted = await insertLeads(user, toCreate, { classifications, scorings, niche, model });
+        userNewLeadsList = inserted.saved;
         
-        // Update user's lead count
-        user.leadsUsedThisMonth += 1;
-        await user.save();
+        // Another run may have spent the quota since this user was loaded
+        const savedPostingIds = new Set(userNewLeadsList.map(lead => lead.rawPostingId));
+        const lateBlocked = new Set(inserted.quotaBlocked);
+        toCreate.forEach(lead => scrapeRuns.trackUser(
+          tracker, lead.sourceKey, user.id,
+          savedPostingIds.has(lead.rawPostingId) ? 'leadsCreated' : (lateBlocked.has(lead) ? 'quotaBlocked' : 'duplicatesSkipped')
+        ));
+        totalAssigned += userNewLeadsList.length;
+        
+        // Group with the same buyer's posts from other sources
+        try {
+          await leadDedup.clusterLeads(user.id, userNewLeadsList);
+        } catch (error) {
+          console.error('Failed to cluster leads:', error.message);
+        }
         
-        userNewLeadsList.push(savedLead);
-        totalAssigned++;
+        // Enrich the scores the user cares about, off the scrape path
+        const toEnrich = userNewLeadsList.filter(lead => (user.enrichScores || []).includes(lead.score));
+        if (toEnrich.length > 0) {
+          await jobQueue.enqueue(JOB_TYPES.LEAD_ENRICH, {
+            userId: user.id,
+            leadIds: toEnrich.map(lead => lead.id)
+          });
+        }
         
-        // Send notification for hot leads
-        if (savedLead.score === 'hot') {
-          await emailService.sendLeadNotification(user, savedLead);
+        // Queue notification for hot leads
+        for (const savedLead of notify ? userNewLeadsList.filter(lead => lead.score === 'hot') : []) {
+          await jobQueue.enqueue(JOB_TYPES.EMAIL_LEAD_NOTIFICATION, {
+            userId: user.id,
+            leadId: savedLead.id
+          });
         }
       } catch (error) {
-        console.error('Failed to save lead:', error.message);
+        console.error('Failed to save leads:', error.message);
+        new Set(toCreate.map(lead => lead.sourceKey)).forEach(sourceKey => {
+          scrapeRuns.trackError(tracker, sourceKey, error, { stage: 'save', userId: user.id });
+        });
       }
     }
     
@@ -230,9 +394,12 @@ async function distributeLeads(allLeads) {
     console.log(`  📨 ${user.email}: ${userNewLeadsList.length} new leads`);
   }
   
-  // Send daily digest emails
-  for (const { user, leads } of userNewLeads.values()) {
-    await emailService.sendDailyDigest(user, leads);
+  // Queue daily digest emails; realtime polls would send one every few minutes
+  for (const { user, leads } of digest ? userNewLeads.values() : []) {
+    await jobQueue.enqueue(JOB_TYPES.EMAIL_DIGEST, {
+      userId: user.id,
+      leadIds: leads.map(lead => lead.id)
+    });
   }
   
   console.log(`✅ Total leads assigned: ${totalAssigned}`);
@@ -240,30 +407,241 @@ async function distributeLeads(allLeads) {
 }
 
 /**
- * Main worker job
+ * Reddit config for this run: the union of subreddits the due users' niches
+ * list, plus the source defaults for users without a list, each fetched once
  */
-async function runWorker() {
-  console.log('\n🚀 Starting lead collection job...');
-  console.log(`⏰ ${new Date().toISOString()}`);
+function getRedditConfig(sourceConfig, redditSchedules) {
+  const defaults = sourceConfig.subreddits || scrapers.getScraper('reddit').DEFAULT_CONFIG.subreddits;
+  const counts = new Map();
+  
+  for (const { user } of redditSchedules) {
+    const subreddits = getUserSubreddits(user);
+    (subreddits && subreddits.length > 0 ? subreddits : defaults).forEach(name => {
+      counts.set(name, (counts.get(name) || 0) + 1);
+    });
+  }
+  
+  // Most-followed first, so the cap drops the long tail
+  const union = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+  if (union.length > MAX_SUBREDDITS_PER_RUN) {
+    console.warn(`⚠️ Reddit: ${union.length} subreddits requested, fetching the top ${MAX_SUBREDDITS_PER_RUN}`);
+  }
+  
+  return { ...sourceConfig, subreddits: union.slice(0, MAX_SUBREDDITS_PER_RUN) };
+}
+
+/**
+ * Stored postings inside the due users' windows that this run didn't fetch
+ */
+async function findEarlierPostings(schedules, fetchedLeads) {
+  if (schedules.length === 0) return [];
+  
+  const sourceKeys = Array.from(new Set(schedules.map(s => s.sourceKey)));
+  const since = new Date(Math.min(...schedules.map(s => s.since.getTime())));
+  const fetchedIds = new Set(fetchedLeads.map(lead => lead.rawPostingId));
+  
+  const stored = await rawPostings.findRecentPostings(sourceKeys, since);
+  return stored.filter(posting => !fetchedIds.has(posting.rawPostingId));
+}
+
+/**
+ * Main worker job, skipped when another worker is already running a scrape
+ * @param {Object} options - { realtime: only poll the realtime sources for realtime users }
+ */
+async function runWorker(options = {}) {
+  const { acquired } = await coordination.withLock(SCRAPE_LOCK, () => scrapeDueSources(options));
+  if (!acquired) {
+    console.log('⏭️ Another worker is running a scrape, skipping this one');
+  }
+}
+
+async function scrapeDueSources({ realtime = false } = {}) {
+  const startedAt = new Date();
+  console.log(`\n🚀 Starting ${realtime ? 'realtime poll' : 'lead collection job'}...`);
+  console.log(`⏰ ${startedAt.toISOString()}`);
   
   const allLeads = [];
   
-  // Run all enabled scrapers
-  for (const [key, config] of Object.entries(SCRAPERS)) {
-    if (config.enabled) {
-      const leads = await runScraper(key, config);
-      allLeads.push(...leads);
+  // Per-source settings live in ScrapeSource.config; a source switched off there is skipped.
+  // Users' own feeds and page monitors are sources too, scraped only for their owner.
+  const sources = await ScrapeSource.findAll({
+    where: { [Op.or]: [{ key: Object.keys(SCRAPERS) }, { ownerId: { [Op.ne]: null } }] }
+  });
+  const sourcesByKey = new Map(sources.map(source => [source.key, source]));
+  const personalSources = sources.filter(source => source.ownerId && source.isActive);
+  const owners = new Map(personalSources.map(source => [source.key, source.ownerId]));
+  
+  const scrapersByKey = { ...SCRAPERS };
+  personalSources.forEach(source => {
+    const adapter = scrapers.getSourceScraper(source);
+    scrapersByKey[source.key] = {
+      name: source.name,
+      enabled: true,
+      scrape: (config, cursor) => adapter.fetch(config, cursor)
+    };
+  });
+  
+  const activeKeys = Object.keys(scrapersByKey).filter(key => {
+    const source = sourcesByKey.get(key);
+    if (realtime && !scheduler.REALTIME_SOURCE_KEYS.includes(key)) return false;
+    return scrapersByKey[key].enabled && (!source || source.isActive);
+  });
+  
+  // Only scrape sources that at least one user is due for
+  const schedules = await scheduler.getDueSchedules(activeKeys, startedAt, {
+    owners,
+    frequencies: realtime ? ['realtime'] : null
+  });
+  if (schedules.length === 0) {
+    console.log('💤 No users due a run\n');
+    return;
+  }
+  
+  const dueKeys = Array.from(new Set(schedules.map(s => s.sourceKey)));
+  const tracker = await scrapeRuns.startRuns(dueKeys, startedAt);
+  const failedKeys = new Set();
+  const newCursors = new Map(); // source -> cursor, saved once its postings are delivered
+  
+  try {
+    for (const key of dueKeys) {
+      // Fetch far enough back to cover the user whose window starts earliest
+      const since = Math.min(...schedules.filter(s => s.sourceKey === key).map(s => s.since.getTime()));
+      const source = sourcesByKey.get(key);
+      const sourceConfig = key === 'reddit'
+        ? getRedditConfig(source ? source.config : {}, schedules.filter(s => s.sourceKey === key))
+        : (source ? source.config : {});
+      
+      // Each source keeps a high-water mark between runs and only fetches what is newer;
+      // anything older is already in the posting store
+      const storedCursor = source ? source.cursor || {} : {};
+      const result = await runScraper(key, scrapersByKey[key], tracker, sourceConfig, {
+        ...storedCursor,
+        since: Math.max(storedCursor.since || 0, Math.floor(since / 1000))
+      });
+      
+      if (result === null) {
+        failedKeys.add(key);
+      } else {
+        allLeads.push(...result.postings);
+        if (source) newCursors.set(source, result.cursor);
+      }
     }
+    
+    // Store each posting once; leads reference it by rawPostingId
+    const storedLeads = await rawPostings.savePostings(allLeads, startedAt);
+    
+    console.log(`📊 Total raw leads collected: ${allLeads.length}`);
+    
+    // Failed sources stay due and are retried on the next tick
+    const ranSchedules = schedules.filter(s => !failedKeys.has(s.sourceKey));
+    
+    // Postings earlier runs (e.g. realtime polls) stored are still new to users whose window reaches further back
+    const earlierLeads = await findEarlierPostings(ranSchedules, storedLeads);
+    
+    // Distribute leads to users
+    await distributeLeads([...storedLeads, ...earlierLeads], ranSchedules, tracker, { digest: !realtime });
+    
+    await scheduler.markSchedulesRun(ranSchedules, startedAt);
+    
+    for (const [source, cursor] of newCursors) {
+      await source.update({ cursor });
+    }
+  } catch (error) {
+    dueKeys.forEach(key => scrapeRuns.trackError(tracker, key, error, { stage: 'distribute' }));
+    throw error;
+  } finally {
+    await scrapeRuns.finishRuns(tracker);
+    if (!realtime) logHttpMetrics();
   }
   
-  console.log(`📊 Total raw leads collected: ${allLeads.length}`);
+  console.log(`✅ Job completed (run ${tracker.runId})\n`);
+}
+
+/**
+ * Search the archives of the user's sources for the last `days` days and
+ * deliver the matches like a scheduled run would, capped by their quota.
+ * Schedules and cursors are left alone.
+ */
+async function backfillUser({ userId, days = backfill.DEFAULT_BACKFILL_DAYS }) {
+  const user = await User.findByPk(userId);
+  if (!user || !user.isActive) return;
+  
+  const startedAt = new Date();
+  days = Math.min(Math.max(parseInt(days) || backfill.DEFAULT_BACKFILL_DAYS, 1), backfill.MAX_BACKFILL_DAYS);
+  console.log(`\n⏪ Backfilling ${days} days for ${user.email}...`);
+  
+  if (user.leadsUsedThisMonth >= user.leadsLimit) {
+    console.log(`⚠️ ${user.email} has no leads left this month, skipping backfill\n`);
+    return;
+  }
+  
+  const searchableKeys = backfill.getSearchableKeys();
+  const sources = await ScrapeSource.findAll({ where: { key: searchableKeys } });
+  const sourcesByKey = new Map(sources.map(source => [source.key, source]));
+  const configs = await UserScraperConfig.findAll({ where: { userId: user.id, sourceKey: searchableKeys } });
+  const configsByKey = new Map(configs.map(config => [config.sourceKey, config]));
+  
+  const since = new Date(startedAt.getTime() - days * 24 * 60 * 60 * 1000);
+  const schedules = scheduler.getEnabledSourceKeys(user, searchableKeys)
+    .filter(key => {
+      const source = sourcesByKey.get(key);
+      const config = configsByKey.get(key);
+      return (!source || source.isActive) && !(config && config.isEnabled === false);
+    })
+    .map(sourceKey => ({ user, sourceKey, since, config: configsByKey.get(sourceKey) || null }));
+  
+  if (schedules.length === 0) {
+    console.log('💤 No searchable sources enabled\n');
+    return;
+  }
+  
+  const tracker = await scrapeRuns.startRuns(schedules.map(s => s.sourceKey), startedAt);
+  const failedKeys = new Set();
+  const postings = [];
   
-  // Distribute leads to users
-  if (allLeads.length > 0) {
-    await distributeLeads(allLeads);
+  try {
+    for (const schedule of schedules) {
+      const adapter = scrapers.getScraper(schedule.sourceKey);
+      const source = sourcesByKey.get(schedule.sourceKey);
+      const sourceConfig = schedule.sourceKey === 'reddit'
+        ? getRedditConfig(source ? source.config : {}, [schedule])
+        : (source ? source.config : {});
+      
+      // Search for what the user's keywords mention; matching applies the full queries afterwards
+      const keywords = schedule.config && schedule.config.keywords && schedule.config.keywords.length > 0
+        ? schedule.config.keywords
+        : (user.keywords || leadMatching.DEFAULT_KEYWORDS);
+      const terms = keywordQuery.searchTerms(keywords).slice(0, backfill.MAX_SEARCH_TERMS);
+      
+      const result = await runScraper(schedule.sourceKey, {
+        name: `${adapter.name} archive`,
+        scrape: (config) => adapter.search(config, {
+          since: Math.floor(since.getTime() / 1000),
+          terms,
+          limit: backfill.MAX_BACKFILL_POSTINGS
+        })
+      }, tracker, sourceConfig);
+      
+      if (result === null) {
+        failedKeys.add(schedule.sourceKey);
+      } else {
+        postings.push(...result.postings);
+      }
+    }
+    
+    const storedLeads = await rawPostings.savePostings(postings, startedAt);
+    console.log(`📊 Archive postings found: ${storedLeads.length}`);
+    
+    // Old posts go out in the digest rather than as hot-lead alerts
+    await distributeLeads(storedLeads, schedules.filter(s => !failedKeys.has(s.sourceKey)), tracker, { notify: false });
+  } catch (error) {
+    schedules.forEach(({ sourceKey }) => scrapeRuns.trackError(tracker, sourceKey, error, { stage: 'distribute' }));
+    throw error;
+  } finally {
+    await scrapeRuns.finishRuns(tracker);
   }
   
-  console.log('✅ Job completed\n');
+  console.log(`✅ Backfill completed (run ${tracker.runId})\n`);
 }
 
 /**
@@ -274,49 +652,220 @@ async function resetMonthlyCounters() {
   
   try {
     await User.update(
-      { leadsUsedThisMonth: 0 },
+      { leadsUsedThisMonth: 0, enrichmentsThisMonth: 0 },
       { where: {} }
     );
     console.log('✅ Monthly counters reset');
   } catch (error) {
     console.error('Failed to reset counters:', error);
+    throw error;
   }
 }
 
+/**
+ * Retrain outcome models: one user's, or every user with enough labelled leads
+ */
+async function trainScoringModels({ userId = null } = {}) {
+  const userIds = userId ? [userId] : await outcomeModel.findTrainableUserIds();
+  console.log(`🧠 Training scoring models for ${userIds.length} users...`);
+  
+  for (const id of userIds) {
+    try {
+      const model = await outcomeModel.trainForUser(id);
+      const auc = model.metrics ? model.metrics.auc : null;
+      console.log(`  🧠 ${id}: ${model.status} (${model.labels.total} labels${auc !== null ? `, AUC ${auc}` : ''})`);
+    } catch (error) {
+      console.error(`Failed to train scoring model for ${id}:`, error.message);
+      if (userId) throw error;
+    }
+  }
+}
+
+/**
+ * Drop expired AI score cache entries and those from older prompts
+ */
+async function pruneScoreCache() {
+  const removed = await scoreCache.pruneCache();
+  console.log(`🧹 Pruned ${removed} AI score cache entries`);
+}
+
+/**
+ * Job handlers - email sends report failure via { success: false }, so
+ * turn that into a throw to get the queue's retry/backoff
+ */
+async function sendDigestJob({ userId, leadIds }) {
+  const user = await User.findByPk(userId);
+  if (!user) return;
+  
+  const leads = await Lead.findAll({ where: { id: leadIds, userId } });
+  const result = await emailService.sendDailyDigest(user, leads);
+  if (!result.success) throw new Error(result.error);
+}
+
+async function sendLeadNotificationJob({ userId, leadId }) {
+  const user = await User.findByPk(userId);
+  const lead = await Lead.findOne({ where: { id: leadId, userId } });
+  if (!user || !lead) return;
+  
+  const result = await emailService.sendLeadNotification(user, lead);
+  if (!result.success) throw new Error(result.error);
+}
+
+async function enrichLeadsJob({ userId, leadIds }) {
+  const user = await User.findByPk(userId);
+  if (!user) return;
+  
+  const leads = await Lead.findAll({ where: { id: leadIds, userId } });
+  const stats = await enrichment.enrichLeadsForUser(user, leads);
+  console.log(`  🔍 ${user.email}: enriched ${stats.enriched} leads (${stats.fetched} fresh lookups, ${stats.skipped} skipped)`);
+}
+
+jobQueue.registerHandler(JOB_TYPES.SCRAPE_RUN, () => runWorker());
+jobQueue.registerHandler(JOB_TYPES.SCRAPE_REALTIME, () => runWorker({ realtime: true }));
+jobQueue.registerHandler(JOB_TYPES.SCRAPE_BACKFILL, backfillUser);
+jobQueue.registerHandler(JOB_TYPES.COUNTERS_RESET, () => resetMonthlyCounters());
+jobQueue.registerHandler(JOB_TYPES.EMAIL_DIGEST, sendDigestJob);
+jobQueue.registerHandler(JOB_TYPES.EMAIL_LEAD_NOTIFICATION, sendLeadNotificationJob);
+jobQueue.registerHandler(JOB_TYPES.LEAD_ENRICH, enrichLeadsJob);
+jobQueue.registerHandler(JOB_TYPES.MODEL_TRAIN, trainScoringModels);
+jobQueue.registerHandler(JOB_TYPES.CACHE_PRUNE, () => pruneScoreCache());
+
 // CLI mode - run once
 if (require.main === module) {
   const args = process.argv.slice(2);
   const command = args[0];
   
+  const exitWith = (promise) => promise
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Worker command failed:', error);
+      process.exit(1);
+    });
+  
+  // Runs that claim queued jobs send heartbeats, so other workers leave those jobs alone
+  const withHeartbeat = (run) => coordination.startHeartbeat({
+    workerId: jobQueue.WORKER_ID,
+    getCurrentJob: jobQueue.getCurrentJob,
+    elect: false
+  })
+    .then(run)
+    .finally(() => coordination.stopHeartbeat());
+  
   if (command === 'reset') {
-    resetMonthlyCounters().then(() => process.exit(0));
+    exitWith(resetMonthlyCounters());
   } else if (command === 'test-email') {
     // Test email sending
     const testUser = { email: process.env.TEST_EMAIL || 'test@example.com', firstName: 'Test' };
-    emailService.sendWelcomeEmail(testUser).then(() => process.exit(0));
+    exitWith(emailService.sendWelcomeEmail(testUser));
+  } else if (command === 'realtime') {
+    // One realtime poll, then send the notifications it queued
+    exitWith(withHeartbeat(() => runWorker({ realtime: true }).then(() => jobQueue.drain())));
+  } else if (command === 'backfill') {
+    // node worker/leadWorker.js backfill --user <id or email> --days 30
+    const option = (name) => {
+      const index = args.indexOf(`--${name}`);
+      return index === -1 ? undefined : args[index + 1];
+    };
+    const userRef = option('user');
+    if (!userRef) {
+      console.error('Usage: node worker/leadWorker.js backfill --user <id or email> [--days 30]');
+      process.exit(1);
+    }
+    exitWith(withHeartbeat(() => User.findOne({ where: userRef.includes('@') ? { email: userRef } : { id: userRef } })
+      .then(user => {
+        if (!user) throw new Error(`User ${userRef} not found`);
+        return backfillUser({ userId: user.id, days: option('days') });
+      })
+      .then(() => jobQueue.drain())));
+  } else if (command === 'train') {
+    // node worker/leadWorker.js train [--user <id>]
+    const index = args.indexOf('--user');
+    exitWith(trainScoringModels({ userId: index === -1 ? null : args[index + 1] }));
+  } else if (command === 'jobs') {
+    // Process whatever is queued, then exit
+    exitWith(withHeartbeat(() => jobQueue.recoverStaleJobs().then(() => jobQueue.drain())));
   } else {
-    // Run worker once
-    runWorker().then(() => process.exit(0));
+    // Run worker once, then send the emails it queued
+    exitWith(withHeartbeat(() => runWorker().then(() => jobQueue.drain())));
   }
 }
 
-// Scheduled mode - run via cron
+// Scheduled mode - run via cron. Every worker runs queued jobs; only the
+// leader (see services/workerCoordination.js) enqueues the scheduled ones.
 if (process.env.NODE_ENV === 'production' || process.env.ENABLE_CRON === 'true') {
   console.log('📅 Scheduling worker jobs...');
   
-  // Run every hour
-  cron.schedule('0 * * * *', runWorker);
+  const scheduleForLeader = (expression, type, options, label) => cron.schedule(expression, () => {
+    if (!coordination.isLeader()) return;
+    jobQueue.enqueue(type, {}, options)
+      .catch(error => console.error(`Failed to enqueue ${label}:`, error.message));
+  });
+  
+  const tasks = [
+    // Tick every 15 minutes; each tick only scrapes for users whose frequency says they're due.
+    // Failed runs aren't retried: the next tick picks up whoever is still due.
+    scheduleForLeader(process.env.WORKER_CRON || '*/15 * * * *', JOB_TYPES.SCRAPE_RUN,
+      { singleton: true, maxAttempts: 1 }, 'scrape run'),
+    
+    // Realtime users get the realtime sources (HN, Reddit) polled between ticks
+    scheduleForLeader(process.env.REALTIME_CRON || '*/2 * * * *', JOB_TYPES.SCRAPE_REALTIME,
+      { singleton: true, maxAttempts: 1 }, 'realtime poll'),
+    
+    // Reset counters on 1st of each month at midnight
+    scheduleForLeader('0 0 1 * *', JOB_TYPES.COUNTERS_RESET, { singleton: true }, 'counter reset'),
+    
+    // Retrain outcome models from the day's status changes
+    scheduleForLeader(process.env.MODEL_TRAIN_CRON || '0 3 * * *', JOB_TYPES.MODEL_TRAIN,
+      { singleton: true, maxAttempts: 1 }, 'model training'),
+    
+    // Expired and outdated AI score cache entries
+    scheduleForLeader('30 3 * * *', JOB_TYPES.CACHE_PRUNE, { singleton: true }, 'cache prune')
+  ];
+  
+  // Heartbeats also (re)run the leader election
+  coordination.startHeartbeat({ workerId: jobQueue.WORKER_ID, getCurrentJob: jobQueue.getCurrentJob })
+    .catch(error => console.error('Failed to start worker heartbeat:', error.message));
+  
+  // Run queued jobs
+  jobQueue.start();
+  
+  console.log('✅ Scheduled: Per-user lead collection + Realtime polling + Monthly counter reset + Nightly model training');
   
-  // Reset counters on 1st of each month at midnight
-  cron.schedule('0 0 1 * *', resetMonthlyCounters);
+  // Finish the job in progress before exiting; one still running after the
+  // timeout is picked up by another worker once this one's heartbeat says stopped
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`🛑 ${signal} received, finishing the current job...`);
+    
+    tasks.forEach(task => task.stop());
+    await coordination.markStopping();
+    
+    const finished = await Promise.race([
+      jobQueue.stop().then(() => true),
+      new Promise(resolve => setTimeout(() => resolve(false), SHUTDOWN_TIMEOUT_MS))
+    ]);
+    if (!finished) {
+      console.warn(`⚠️ Job still running after ${SHUTDOWN_TIMEOUT_MS / 1000}s, leaving it to another worker`);
+    }
+    
+    await coordination.stopHeartbeat();
+    await sequelize.close().catch(() => {});
+    console.log('👋 Worker stopped');
+    process.exit(0);
+  };
   
-  console.log('✅ Scheduled: Hourly lead collection + Monthly counter reset');
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
 }
 
 module.exports = {
   runWorker,
+  backfillUser,
   resetMonthlyCounters,
+  trainScoringModels,
   matchesKeywords,
-  scoreLead,
+  scoreLeads,
   transformLead
 };